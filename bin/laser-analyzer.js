@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * Laser Analyzer CLI — processes .bin files without the Electron UI.
+ *
+ * Runs the same pipeline as the app (triangulation, weak return and noise
+ * rejection, pipe detection and tracking, feature detection) over every
+ * profile of each input file and writes, next to the input or into --out:
+ *   <name>.<xyz|ply|las>     Point cloud (see pointExport.js)
+ *   <name>_events.csv        One line per detected feature
+ *   <name>_summary.json      Pipe, per-pipe track, burial, trench and feature statistics, freespan and anode events
+ *
+ * Usage: laser-analyzer [options] <file.bin>...
+ */
+
+import { open, readFile, readdir, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { indexBinFile, createBinFileSource, getAcquisitionTime, getSensorSerial } from '../src/utils/binParser.js';
+import { processProfile } from '../src/utils/profilePipeline.js';
+import { detectFeatures, measureFreespanGap } from '../src/utils/featureDetection.js';
+import { createMultiPipeTracker, pipeTracks, trackSegments, trackedPipeResult } from '../src/utils/pipeTracking.js';
+import { createBatchRow, summarizeBatch, summarizeBurial, summarizeTrench } from '../src/utils/batchProcessing.js';
+import { analyzeBurial } from '../src/utils/burialAnalysis.js';
+import { analyzeSeabed } from '../src/utils/seabedModel.js';
+import { computeAlongTrackPositions } from '../src/utils/profileAssembly.js';
+import { aggregateFreespans, aggregateAnodes, DEFAULT_ANODE_SETTINGS } from '../src/utils/alongTrackEvents.js';
+import { createPointEncoder, classifyExportPoints, EXPORT_FORMATS } from '../src/utils/pointExport.js';
+import { parseNavFile, interpolateNav, georeferencePoints, DEFAULT_MOUNTING } from '../src/utils/navigation.js';
+import { CONFIG_DEFAULTS, validateConfig, findConfigForSerial } from '../src/utils/configProfiles.js';
+
+const READ_BATCH = 50; // profiles decoded per read
+
+const USAGE = `Usage: laser-analyzer [options] <file.bin>...
+
+Options:
+  -c, --config <path>      Configuration JSON saved or exported from the app, or a
+                           folder of them to pick from by sensor serial number
+  -o, --out <dir>          Output folder (default: next to each input file)
+  -f, --format <format>    Point cloud format: ${Object.keys(EXPORT_FORMATS).join(', ')} or none (default: las)
+      --nav <file>         Navigation file; georeferences points and events
+      --mounting <values>  Sensor mounting as leverX,leverY,leverZ,roll,pitch,heading (m, °)
+      --step <mm>          Along-track distance between profiles (default: 10)
+      --speed <m/s>        Vehicle speed; places profiles by timestamp instead of --step
+      --anode-spacing <m>  Expected distance between anodes; longer gaps are listed as
+                           missing anodes, 0 turns the check off (default: ${DEFAULT_ANODE_SETTINGS.expectedSpacing / 1000})
+      --start <n>          First profile to process, 1-based (default: 1)
+      --count <n>          Number of profiles to process (default: all)
+      --no-features        Skip feature detection
+      --no-pipe            Skip pipe detection and tracking
+      --fixed-diameter     Hold the fitted pipe diameter at the configured one
+  -q, --quiet              No progress output
+  -h, --help               Show this help
+`;
+
+/**
+ * ByteReader over a file on disk (see binParser.js), reading only the
+ * requested ranges.
+ *
+ * @param {string} filePath
+ * @returns {Promise<import('../src/utils/binParser.js').ByteReader & { close: () => Promise<void> }>}
+ */
+async function fileByteReader(filePath) {
+    const handle = await open(filePath, 'r');
+    const { size } = await handle.stat();
+    return {
+        size,
+        read: async (offset, length) => {
+            const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+            return new Uint8Array(buffer.buffer, buffer.byteOffset, bytesRead);
+        },
+        close: () => handle.close(),
+    };
+}
+
+async function readConfigFile(filePath) {
+    let data;
+    try {
+        data = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`${filePath}: ${e.message}`);
+    }
+    return validateConfig(data, CONFIG_DEFAULTS);
+}
+
+/**
+ * Load the configurations named by --config: one file, or every JSON file
+ * in a folder. Invalid files in a folder are skipped with a warning.
+ *
+ * @param {string|undefined} configPath
+ * @returns {Promise<{ configs: import('../src/utils/configProfiles.js').ConfigProfile[], isFolder: boolean }>}
+ */
+async function loadConfigs(configPath) {
+    if (!configPath) return { configs: [], isFolder: false };
+
+    if (!(await stat(configPath)).isDirectory()) {
+        return { configs: [await readConfigFile(configPath)], isFolder: false };
+    }
+
+    const configs = [];
+    for (const name of (await readdir(configPath)).filter(n => n.toLowerCase().endsWith('.json'))) {
+        try {
+            configs.push(await readConfigFile(path.join(configPath, name)));
+        } catch (e) {
+            console.warn(`Skipping invalid configuration ${e.message}`);
+        }
+    }
+    return { configs, isFolder: true };
+}
+
+function parseMounting(value) {
+    if (!value) return DEFAULT_MOUNTING;
+    const numbers = value.split(',').map(Number);
+    if (numbers.length !== 6 || numbers.some(n => !Number.isFinite(n))) {
+        throw new Error('--mounting needs six numbers: leverX,leverY,leverZ,roll,pitch,heading');
+    }
+    const [leverX, leverY, leverZ, mountRoll, mountPitch, mountHeading] = numbers;
+    return { leverX, leverY, leverZ, mountRoll, mountPitch, mountHeading };
+}
+
+function parsePositiveInt(value, name) {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive whole number.`);
+    return n;
+}
+
+function parsePositiveNumber(value, name) {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`${name} must be a positive number.`);
+    return n;
+}
+
+function parseNonNegativeNumber(value, name) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be zero or a positive number.`);
+    return n;
+}
+
+function csvLine(values) {
+    return values.map(v => (v === null || v === undefined ? '' : typeof v === 'number' ? +v.toFixed(3) : v)).join(',') + '\n';
+}
+
+/**
+ * Process one .bin file and write its outputs.
+ *
+ * @returns {Promise<object>} The summary written to <name>_summary.json
+ */
+async function processFile(filePath, opts, report) {
+    const started = Date.now();
+    const reader = await fileByteReader(filePath);
+    const outputs = {};
+    let cloud = null;
+    let events = null;
+
+    try {
+        const index = await indexBinFile(reader);
+        if (index.profileCount === 0) throw new Error('No complete profiles found in file.');
+        const source = createBinFileSource(reader, index);
+
+        // Configuration: the one given, or the folder's match for this sensor
+        const serial = getSensorSerial((await source.getProfile(0))?.comment);
+        const config = opts.configs.isFolder ? findConfigForSerial(opts.configs.configs, serial) : opts.configs.configs[0] || null;
+        if (opts.configs.isFolder && !config) {
+            console.warn(`${path.basename(filePath)}: no configuration for sensor ${serial || '(unknown)'}, using defaults`);
+        }
+        const settings = config || CONFIG_DEFAULTS;
+
+        const options = {
+            params: settings.params,
+            quality: settings.quality,
+            pointCleaning: settings.pointCleaning,
+            pipe: opts.pipe ? { diameters: settings.pipeDiameters, constrainRadius: opts.fixedDiameter } : null,
+        };
+        const featureOptions = opts.features ? settings.features : null;
+
+        if (opts.start > index.profileCount) {
+            throw new Error(`--start ${opts.start} is past the last profile (${index.profileCount}).`);
+        }
+        const start = opts.start - 1;
+        const end = Math.min(index.profileCount, start + (opts.count ?? index.profileCount));
+
+        // Outputs
+        const baseName = path.join(opts.out || path.dirname(filePath), path.basename(filePath).replace(/\.bin$/i, ''));
+        const nav = opts.nav;
+        const encoder = opts.format !== 'none' ? createPointEncoder(opts.format, { units: nav ? 'm' : 'mm' }) : null;
+        if (encoder) {
+            outputs.points = `${baseName}${nav ? '_geo' : ''}.${EXPORT_FORMATS[opts.format].extension}`;
+            cloud = await open(outputs.points, 'w');
+            await cloud.write(encoder.begin());
+        }
+        outputs.events = `${baseName}_events.csv`;
+        events = await open(outputs.events, 'w');
+        await events.write(csvLine([
+            'profile', 'time_ms', 'type', 'confidence', 'x_min', 'x_max', 'z_min', 'z_max',
+            ...(nav ? ['easting', 'northing', 'depth'] : [])
+        ]));
+
+        const tracker = options.pipe ? createMultiPipeTracker(options.pipe.diameters.length) : null;
+        const rows = [];
+        let pointCount = 0;
+        let unreferenced = 0;
+
+        for (let batchStart = start; batchStart < end; batchStart += READ_BATCH) {
+            const profiles = await source.getProfiles(batchStart, Math.min(READ_BATCH, end - batchStart));
+            const frames = [];
+            let eventText = '';
+
+            for (const profile of profiles) {
+                const pipe = options.pipe ? { ...options.pipe, prevResults: tracker.predict() } : null;
+                const { points, pipeResult, pipeResults } = processProfile(profile, { ...options, pipe });
+                // Features and burial are measured on the main line
+                const entry = tracker ? tracker.update(profile.index, pipeResults)[0] : null;
+                const trackedPipe = trackedPipeResult(entry, pipeResult);
+                const features = featureOptions && points.length >= 10
+                    ? await detectFeatures(points, { ...featureOptions, pipeResult: trackedPipe, nominalRadius: settings.pipeDiameters[0] / 2 })
+                    : [];
+                const time = getAcquisitionTime(profile.comment);
+                // Coasting profiles wait for the smoothed track, see below
+                const deferred = entry?.status === 'coasting';
+                const burial = deferred ? null : analyzeBurial(points, trackedPipe);
+                const seabed = deferred ? null : analyzeSeabed(points, trackedPipe, features);
+                const freespan = featureOptions && trackedPipe ? measureFreespanGap(points, trackedPipe) : null;
+                rows.push(createBatchRow(profile.index, time, points, pipeResult, features, burial, seabed, freespan?.gap ?? null));
+
+                const fix = nav ? interpolateNav(nav, time) : null;
+                if (nav && !fix) unreferenced++;
+
+                for (const f of features) {
+                    const centre = fix && georeferencePoints([{ x: (f.xMin + f.xMax) / 2, y: 0, z: (f.zMin + f.zMax) / 2 }], fix, opts.mounting)[0];
+                    eventText += csvLine([
+                        profile.index + 1, time, f.type, f.confidence, f.xMin, f.xMax, f.zMin, f.zMax,
+                        ...(nav ? (centre ? [centre.x, centre.y, centre.z] : [null, null, null]) : [])
+                    ]);
+                }
+
+                if (!encoder || (nav && !fix)) continue;
+                const classes = classifyExportPoints(points, pipeResult, features);
+                frames.push({ index: profile.index, time, points: fix ? georeferencePoints(points, fix, opts.mounting) : points, classes });
+                pointCount += points.length;
+            }
+
+            if (encoder) await cloud.write(encoder.encode(frames));
+            if (eventText) await events.write(eventText);
+            report(end - start, rows.length);
+        }
+
+        const header = encoder?.finish();
+        if (header) await cloud.write(header.data, 0, header.data.length, header.position);
+
+        const tracks = tracker ? pipeTracks(start, options.pipe.diameters, tracker.finish()) : null;
+        const track = tracks?.pipes[0].track;
+
+        // Burial and trench of profiles without an accepted detection, against the
+        // smoothed (coasting) or interpolated (bridged gap) pipe
+        const gaps = track ? trackSegments(track).filter(seg => seg.status === 'coasting' || seg.status === 'interpolated') : [];
+        for (const gap of gaps) {
+            for (let batchStart = gap.start; batchStart <= gap.end; batchStart += READ_BATCH) {
+                const profiles = await source.getProfiles(batchStart, Math.min(READ_BATCH, gap.end + 1 - batchStart));
+                for (const profile of profiles) {
+                    const { points } = processProfile(profile, { ...options, pipe: null });
+                    const row = rows[profile.index - start];
+                    const pipe = trackedPipeResult(track[profile.index - start], null);
+                    row.burial = summarizeBurial(analyzeBurial(points, pipe));
+                    row.trench = summarizeTrench(analyzeSeabed(points, pipe));
+                }
+            }
+        }
+
+        // Summary
+        const positions = computeAlongTrackPositions(rows.map(r => r.time), opts.spacing);
+        const freespans = aggregateFreespans(rows, positions);
+        const anodes = aggregateAnodes(rows, positions, { expectedSpacing: opts.anodeSpacing });
+        const diameters = rows.filter(r => r.pipe).map(r => r.pipe.diameter);
+        const mean = diameters.reduce((sum, d) => sum + d, 0) / Math.max(1, diameters.length);
+        const buried = rows.filter(r => r.burial);
+        const deepest = buried.reduce((best, r) => (!best || r.burial.coverDepth > best.burial.coverDepth ? r : best), null);
+        const trenched = rows.filter(r => r.trench);
+        const deepestTrench = trenched.reduce((best, r) => (!best || r.trench.depth > best.trench.depth ? r : best), null);
+        const summary = {
+            file: filePath,
+            configuration: config ? config.name : null,
+            sensorSerial: serial,
+            profiles: { first: start + 1, last: end, count: rows.length, unreferenced },
+            pointCount,
+            ...summarizeBatch(rows),
+            pipeDiameter: diameters.length > 0 ? {
+                mean,
+                std: Math.sqrt(diameters.reduce((sum, d) => sum + (d - mean) ** 2, 0) / diameters.length),
+                min: Math.min(...diameters),
+                max: Math.max(...diameters),
+            } : null,
+            tracks: tracks && tracks.pipes.map(p => ({
+                id: p.id,
+                diameter: p.diameter,
+                tracking: p.track.filter(e => e.status === 'tracking').length,
+                coasting: p.track.filter(e => e.status === 'coasting').length,
+                interpolated: p.track.filter(e => e.status === 'interpolated').length,
+                lost: p.track.filter(e => e.status === 'lost').length,
+                gaps: p.segments
+                    .filter(s => s.status !== 'tracking')
+                    .map(s => ({ status: s.status, firstProfile: s.start + 1, lastProfile: s.end + 1 })),
+            })),
+            burial: buried.length > 0 ? {
+                measured: buried.length,
+                meanExposedPercent: buried.reduce((sum, r) => sum + r.burial.exposedPercent, 0) / buried.length,
+                maxCoverDepth: deepest.burial.coverDepth,
+                maxCoverProfile: deepest.index + 1,
+            } : null,
+            trench: trenched.length > 0 ? {
+                measured: trenched.length,
+                meanWidth: trenched.reduce((sum, r) => sum + r.trench.width, 0) / trenched.length,
+                meanDepth: trenched.reduce((sum, r) => sum + r.trench.depth, 0) / trenched.length,
+                maxDepth: deepestTrench.trench.depth,
+                maxDepthProfile: deepestTrench.index + 1,
+                meanPipeTopDepth: trenched.reduce((sum, r) => sum + r.trench.pipeTopDepth, 0) / trenched.length,
+            } : null,
+            freespans: freespans.map(({ type, startIndex, endIndex, ...span }) => ({
+                firstProfile: startIndex + 1,
+                lastProfile: endIndex + 1,
+                ...span,
+                maxHeightIndex: span.maxHeightIndex + 1,
+            })),
+            anodes: anodes.anodes.map(({ type, startIndex, endIndex, ...anode }) => ({
+                firstProfile: startIndex + 1,
+                lastProfile: endIndex + 1,
+                ...anode,
+            })),
+            missingAnodes: anodes.missing.map(({ type, index, previousIndex, nextIndex, ...gap }) => ({
+                ...gap,
+                profile: index + 1,
+                previousProfile: previousIndex === null ? null : previousIndex + 1,
+                nextProfile: nextIndex === null ? null : nextIndex + 1,
+            })),
+            outputs,
+            elapsedSeconds: (Date.now() - started) / 1000,
+        };
+
+        outputs.summary = `${baseName}_summary.json`;
+        const summaryFile = await open(outputs.summary, 'w');
+        await summaryFile.write(JSON.stringify(summary, null, 2) + '\n');
+        await summaryFile.close();
+        return summary;
+    } finally {
+        await cloud?.close();
+        await events?.close();
+        await reader.close();
+    }
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                config: { type: 'string', short: 'c' },
+                out: { type: 'string', short: 'o' },
+                format: { type: 'string', short: 'f', default: 'las' },
+                nav: { type: 'string' },
+                mounting: { type: 'string' },
+                step: { type: 'string' },
+                speed: { type: 'string' },
+                'anode-spacing': { type: 'string' },
+                start: { type: 'string' },
+                count: { type: 'string' },
+                'no-features': { type: 'boolean', default: false },
+                'no-pipe': { type: 'boolean', default: false },
+                'fixed-diameter': { type: 'boolean', default: false },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = args;
+    if (values.help || positionals.length === 0) {
+        (values.help ? console.log : console.error)(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    let opts;
+    try {
+        if (values.format !== 'none' && !EXPORT_FORMATS[values.format]) {
+            throw new Error(`Unknown format "${values.format}".`);
+        }
+        opts = {
+            configs: await loadConfigs(values.config),
+            out: values.out,
+            format: values.format,
+            nav: values.nav ? parseNavFile(await readFile(values.nav, 'utf8')) : null,
+            mounting: parseMounting(values.mounting),
+            spacing: values.speed !== undefined
+                ? { mode: 'timestamp', speed: parsePositiveNumber(values.speed, '--speed') }
+                : { mode: 'constant', step: parsePositiveNumber(values.step, '--step') ?? 10 },
+            anodeSpacing: values['anode-spacing'] !== undefined
+                ? parseNonNegativeNumber(values['anode-spacing'], '--anode-spacing') * 1000
+                : DEFAULT_ANODE_SETTINGS.expectedSpacing,
+            start: parsePositiveInt(values.start, '--start') ?? 1,
+            count: parsePositiveInt(values.count, '--count'),
+            features: !values['no-features'],
+            pipe: !values['no-pipe'],
+            fixedDiameter: values['fixed-diameter'],
+        };
+        if (opts.out) await mkdir(opts.out, { recursive: true });
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return 2;
+    }
+
+    let failures = 0;
+    for (const filePath of positionals) {
+        const name = path.basename(filePath);
+        const report = values.quiet || !process.stderr.isTTY
+            ? () => {}
+            : (total, done) => process.stderr.write(`\r${name}: ${done} / ${total} profiles`);
+
+        try {
+            const summary = await processFile(filePath, opts, report);
+            if (!values.quiet) {
+                if (process.stderr.isTTY) process.stderr.write('\n');
+                const counts = Object.entries(summary.featureCounts).map(([type, n]) => `${n} ${type}`).join(', ');
+                console.error(`${name}: ${summary.profiles.count} profiles, pipe in ${summary.pipeCount}, ${counts} (${summary.elapsedSeconds.toFixed(1)} s)`);
+            }
+        } catch (e) {
+            failures++;
+            if (process.stderr.isTTY) process.stderr.write('\n');
+            console.error(`${name}: ${e.message}`);
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
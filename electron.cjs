@@ -1,6 +1,7 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const isDev = !app.isPackaged;
 
 function createWindow() {
@@ -67,6 +68,209 @@ ipcMain.handle('save-image-seq', async (event, { folderPath, filename, base64Dat
     }
 });
 
+// IPC handler for point cloud exports. Large exports arrive in chunks: the
+// first creates the file, the rest append, and a final 'patch' rewrites the
+// header once the point count is known.
+ipcMain.handle('save-export', async (event, { filename, data, mode = 'create', position = 0 }) => {
+    try {
+        const documentsPath = app.getPath('documents');
+        const exportsFolder = path.join(documentsPath, 'Laser Analyzer Data', 'exports');
+
+        if (!fs.existsSync(exportsFolder)) {
+            fs.mkdirSync(exportsFolder, { recursive: true });
+        }
+
+        const fullPath = path.join(exportsFolder, path.basename(filename));
+        const content = Buffer.from(data);
+
+        if (mode === 'append') {
+            fs.appendFileSync(fullPath, content);
+        } else if (mode === 'patch') {
+            const fd = fs.openSync(fullPath, 'r+');
+            try {
+                fs.writeSync(fd, content, 0, content.length, position);
+            } finally {
+                fs.closeSync(fd);
+            }
+        } else {
+            fs.writeFileSync(fullPath, content);
+        }
+        return { success: true, savedPath: fullPath };
+    } catch (error) {
+        console.error('Failed to save export:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// ---- Configuration profiles ----
+// Each named configuration is one JSON file in Laser Analyzer Data/configs.
+
+function getConfigsFolder() {
+    const folder = path.join(app.getPath('documents'), 'Laser Analyzer Data', 'configs');
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+    return folder;
+}
+
+function configFileName(name) {
+    return `${String(name).trim().replace(/[^a-z0-9 _-]/gi, '_')}.json`;
+}
+
+// Different names can share a file name once sanitised ("ROV/1" and "ROV_1"),
+// or differ only in case, which Windows and macOS file names ignore. Returns
+// the name of the configuration a save under `name` would overwrite, if any.
+function collidingConfigName(folder, name) {
+    const fileName = configFileName(name).toLowerCase();
+    for (const file of fs.readdirSync(folder)) {
+        if (file.toLowerCase() !== fileName) continue;
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8')).name;
+        } catch (error) {
+            return file; // unreadable: do not overwrite it either
+        }
+        if (String(stored).trim() !== String(name).trim()) return stored;
+    }
+    return null;
+}
+
+ipcMain.handle('list-configs', async () => {
+    try {
+        const folder = getConfigsFolder();
+        const configs = [];
+        const errors = [];
+
+        for (const file of fs.readdirSync(folder).filter(f => f.toLowerCase().endsWith('.json'))) {
+            try {
+                configs.push(JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8')));
+            } catch (error) {
+                console.error(`Skipping unreadable config ${file}:`, error);
+                errors.push(file);
+            }
+        }
+        return { success: true, configs, errors };
+    } catch (error) {
+        console.error('Failed to list configs:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('save-config', async (event, { config }) => {
+    try {
+        const folder = getConfigsFolder();
+        const existing = collidingConfigName(folder, config.name);
+        if (existing !== null) {
+            return { success: false, error: `"${config.name}" would be stored in the same file as the configuration "${existing}". Choose another name.` };
+        }
+        const fullPath = path.join(folder, configFileName(config.name));
+        fs.writeFileSync(fullPath, JSON.stringify(config, null, 2));
+        return { success: true, savedPath: fullPath };
+    } catch (error) {
+        console.error('Failed to save config:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('delete-config', async (event, { name }) => {
+    try {
+        const fullPath = path.join(getConfigsFolder(), configFileName(name));
+        if (fs.existsSync(fullPath)) fs.unlinkSync(fullPath);
+        return { success: true };
+    } catch (error) {
+        console.error('Failed to delete config:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Export / import go through file dialogs so configurations can be shared between machines
+ipcMain.handle('export-config', async (event, { config }) => {
+    try {
+        const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Export Configuration',
+            defaultPath: configFileName(config.name),
+            filters: [{ name: 'Configuration', extensions: ['json'] }],
+        });
+        if (canceled || !filePath) return { success: false, canceled: true };
+
+        fs.writeFileSync(filePath, JSON.stringify(config, null, 2));
+        return { success: true, savedPath: filePath };
+    } catch (error) {
+        console.error('Failed to export config:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('import-config', async (event) => {
+    try {
+        const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Import Configuration',
+            properties: ['openFile'],
+            filters: [{ name: 'Configuration', extensions: ['json'] }],
+        });
+        if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+
+        return { success: true, text: fs.readFileSync(filePaths[0], 'utf8') };
+    } catch (error) {
+        console.error('Failed to import config:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// ---- Inspection events ----
+// One JSON-lines file per data file in Laser Analyzer Data/events. Saving
+// appends the new version of each event; loading keeps the last line for
+// every id.
+
+// One events file per data file: the name keeps it recognisable, and a hash
+// of the full path (or of the name and size, if the path is unknown) keeps
+// files of the same name in different folders apart
+function getEventsPath({ name, path: filePath, size }) {
+    const folder = path.join(app.getPath('documents'), 'Laser Analyzer Data', 'events');
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+    let key = filePath ? path.resolve(filePath) : `${name}:${size}`;
+    if (process.platform === 'win32') key = key.toLowerCase();
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+    return path.join(folder, `${path.basename(String(name)).replace(/[^a-z0-9 ._-]/gi, '_')}-${hash}.events.jsonl`);
+}
+
+ipcMain.handle('load-events', async (event, { source }) => {
+    try {
+        const fullPath = getEventsPath(source);
+        if (!fs.existsSync(fullPath)) return { success: true, events: [], errors: 0 };
+
+        const byId = new Map();
+        let errors = 0;
+        for (const line of fs.readFileSync(fullPath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                if (record && record.id) byId.set(record.id, record);
+                else errors++;
+            } catch (error) {
+                errors++;
+            }
+        }
+        return { success: true, events: [...byId.values()], errors };
+    } catch (error) {
+        console.error('Failed to load events:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('save-events', async (event, { source, events }) => {
+    try {
+        const fullPath = getEventsPath(source);
+        fs.appendFileSync(fullPath, events.map(e => JSON.stringify(e) + '\n').join(''));
+        return { success: true, savedPath: fullPath };
+    } catch (error) {
+        console.error('Failed to save events:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 app.whenReady().then(() => {
     createWindow();
 
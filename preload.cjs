@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Basic preload script
 window.addEventListener('DOMContentLoaded', () => {
@@ -10,6 +10,15 @@ window.addEventListener('DOMContentLoaded', () => {
 contextBridge.exposeInMainWorld(
     'electronAPI', {
     appendLog: (data) => ipcRenderer.invoke('append-log', data),
-    saveImageSequence: (data) => ipcRenderer.invoke('save-image-seq', data)
+    saveImageSequence: (data) => ipcRenderer.invoke('save-image-seq', data),
+    saveExport: (data) => ipcRenderer.invoke('save-export', data),
+    listConfigs: () => ipcRenderer.invoke('list-configs'),
+    saveConfig: (data) => ipcRenderer.invoke('save-config', data),
+    deleteConfig: (data) => ipcRenderer.invoke('delete-config', data),
+    exportConfig: (data) => ipcRenderer.invoke('export-config', data),
+    importConfig: () => ipcRenderer.invoke('import-config'),
+    getFilePath: (file) => webUtils.getPathForFile(file),
+    loadEvents: (data) => ipcRenderer.invoke('load-events', data),
+    saveEvents: (data) => ipcRenderer.invoke('save-events', data)
 }
 );
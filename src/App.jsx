@@ -1,88 +1,222 @@
 import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
-import { filterNoisePoints } from './utils/pointCleaning.js';
 import LaserSystemPanel from './components/LaserSystemPanel.jsx';
 import PipeDetectionPanel from './components/PipeDetectionPanel.jsx';
 import ObjectDetectionPanel from './components/ObjectDetectionPanel.jsx';
 import FileLoaderPanel from './components/FileLoaderPanel.jsx';
+import AssemblyPanel from './components/AssemblyPanel.jsx';
+import NavigationPanel from './components/NavigationPanel.jsx';
+import ExportPanel from './components/ExportPanel.jsx';
+import CalibrationPanel from './components/CalibrationPanel.jsx';
+import ConfigPanel from './components/ConfigPanel.jsx';
+import BatchPanel from './components/BatchPanel.jsx';
+import InspectionPanel from './components/InspectionPanel.jsx';
+import SeabedPanel from './components/SeabedPanel.jsx';
+import WaterfallView from './components/WaterfallView.jsx';
+import EventsPanel from './components/EventsPanel.jsx';
 import Viewer3D from './components/Viewer3D.jsx';
-import { generateDemoProfile, triangulate2Dto3D } from './utils/triangulation.js';
-import { parseBinFile, profileToPixelCoords } from './utils/binParser.js';
-import { detectPipe } from './utils/pipeFitting.js';
+import { generateDemoProfile } from './utils/triangulation.js';
+import { processPoints } from './utils/profilePipeline.js';
+import { getAcquisitionTime, getSensorSerial } from './utils/binParser.js';
+import { parseNavFile, interpolateNav, georeferencePoints, DEFAULT_MOUNTING } from './utils/navigation.js';
 import { detectFeatures } from './utils/featureDetection.js';
+import { EXPORT_FORMATS } from './utils/pointExport.js';
+import { DEFAULT_FIT_KEYS, CALIBRATION_FIELDS } from './utils/calibration.js';
+import {
+    DEFAULT_PARAMS, DEFAULT_PIPE_DIAMETER, DEFAULT_POINT_CLEANING, DEFAULT_QUALITY, DEFAULT_FEATURE_PARAMS, CONFIG_DEFAULTS,
+    createConfig, validateConfig, findConfigForSerial
+} from './utils/configProfiles.js';
+import { DEFAULT_TRACKING, trackEntryAt, trackedPipeResult } from './utils/pipeTracking.js';
+import { DEFAULT_FREESPAN_SETTINGS, DEFAULT_ANODE_SETTINGS } from './utils/alongTrackEvents.js';
+import { DEFAULT_BURIAL_SETTINGS, analyzeBurial } from './utils/burialAnalysis.js';
+import { DEFAULT_SEABED_SETTINGS, analyzeSeabed } from './utils/seabedModel.js';
+import { analyzePipeDeformation } from './utils/pipeDeformation.js';
+import { DEFAULT_WATERFALL_SETTINGS } from './utils/waterfall.js';
+import { createEvent, detectionEvent, findDetectionEvent, newDetectionEvents, updateEvent, mergeEvents } from './utils/eventStore.js';
+import { manualFeature, trainingEntry } from './utils/annotation.js';
+import { DEFAULT_PLAYBACK_SETTINGS, createPlaybackClock, nextPlaybackStep, playbackRange } from './utils/playback.js';
+import { createBinWorkerClient } from './workers/binWorkerClient.js';
 
-const DEFAULT_PARAMS = {
-    focalLength: 24,    // mm
-    pixelSize: 11,      // µm
+const ACTIVE_CONFIG_KEY = 'laserAnalyzer.activeConfig';
 
-    // Camera Lever Arm (mm) & Rotation (deg)
-    camX: 0, camY: 0, camZ: 0,
-    camPitch: 0, camRoll: 0, camYaw: 0,
+const EMPTY_FRAME = { profile: null, points: [], pipeResult: null, pipeResults: [] };
 
-    // Laser Lever Arm (mm) & Rotation (deg)
-    laserX: 0, laserY: 585, laserZ: 0,
-    laserPitch: -19, laserRoll: 0, laserYaw: 0,
-};
+const DEFAULT_ASSEMBLY_SETTINGS = { profileCount: 200, mode: 'constant', step: 10, speed: 0.5, rate: 50 };
 
-const DEFAULT_PIPE_DIAMETER = 500; // mm
+const DEFAULT_EXPORT_SETTINGS = { format: 'las', scope: 'current', rangeStart: 1, rangeEnd: 100, georeference: true };
+
+const DEFAULT_EVENT_FILTER = { type: '', status: '', text: '' };
+
+const BATCH_FLUSH_INTERVAL = 500; // ms between batch table updates while rows arrive
+
+const DEFAULT_CALIBRATION_SETTINGS = { targetType: 'pipe', diameter: DEFAULT_PIPE_DIAMETER, range: 1500, fitKeys: DEFAULT_FIT_KEYS, profiles: [] };
 
 export default function App() {
     const [params, setParams] = useState(DEFAULT_PARAMS);
     const [pipeEnabled, setPipeEnabled] = useState(true);
-    const [pipeDiameter, setPipeDiameter] = useState(DEFAULT_PIPE_DIAMETER);
+    const [pipeDiameters, setPipeDiameters] = useState([DEFAULT_PIPE_DIAMETER]);
+    const [pipeConstrainRadius, setPipeConstrainRadius] = useState(false);
 
     // Feature Detection state
     const [featuresEnabled, setFeaturesEnabled] = useState(false);
     const [pointCleaningEnabled, setPointCleaningEnabled] = useState(false);
-    const [pointCleaningParams, setPointCleaningParams] = useState({ radius: 5, minNeighbors: 2 });
-    const [featureParams, setFeatureParams] = useState({ minHeight: 15, minWidth: 30 });
+    const [pointCleaningParams, setPointCleaningParams] = useState(DEFAULT_POINT_CLEANING);
+    const [qualityFilterEnabled, setQualityFilterEnabled] = useState(false);
+    const [qualityParams, setQualityParams] = useState(DEFAULT_QUALITY);
+    const [featureParams, setFeatureParams] = useState(DEFAULT_FEATURE_PARAMS);
     const [lastDetectionLog, setLastDetectionLog] = useState(null);
     const loggedProfiles = useRef(new Set()); // profileIndex -> Set of feature types logged
 
-    // File loading state
-    const [binData, setBinData] = useState(null);       // parsed BinFileData
+    // File loading state — the file itself lives in the parser worker
+    const [binData, setBinData] = useState(null);       // { header, profileCount, fileSize, loading }
     const [fileName, setFileName] = useState(null);
+    const [loadProgress, setLoadProgress] = useState(null);
     const [selectedProfile, setSelectedProfile] = useState(0);
+    const [frame, setFrame] = useState(EMPTY_FRAME);   // worker output for the selected profile
     const [hoveredFeature, setHoveredFeature] = useState(null);
-    const lastPipeResult = useRef(null);
+    const lastPipeResults = useRef([]);
+    const workerRef = useRef(null);
+    const loadJob = useRef(null);
 
-    // Handle file loaded
-    const handleFileLoaded = useCallback((buffer, name) => {
-        try {
-            const data = parseBinFile(buffer);
-            setBinData(data);
-            setFileName(name);
-            setSelectedProfile(0);
-            loggedProfiles.current.clear();
-
-            // imageWidth is redundant, we use it only if needed by low-level utils
-            setParams(prev => ({
-                ...prev,
-            }));
-        } catch (e) {
-            console.error('Failed to parse bin file:', e);
-            alert(`Failed to parse file: ${e.message}`);
-        }
+    // Playback state
+    const [playbackSettings, setPlaybackSettings] = useState(DEFAULT_PLAYBACK_SETTINGS);
+    const [playing, setPlaying] = useState(false);
+    const [playbackRate, setPlaybackRate] = useState(null); // profiles/s actually shown
+    const playClock = useRef(null);
+    const playTarget = useRef(null); // profile playback last stepped to
+    const playShown = useRef(0);     // profiles shown since the clock was anchored
+
+    // Along-track assembly state
+    const [assemblySettings, setAssemblySettings] = useState(DEFAULT_ASSEMBLY_SETTINGS);
+    const [assembly, setAssembly] = useState(null);
+    const [assemblyProgress, setAssemblyProgress] = useState(null);
+    const assemblyJob = useRef(null);
+
+    // Waterfall (range image) state
+    const [waterfallSettings, setWaterfallSettings] = useState(DEFAULT_WATERFALL_SETTINGS);
+    const [waterfallMode, setWaterfallMode] = useState('height');
+    const [waterfall, setWaterfall] = useState(null);
+    const [waterfallProgress, setWaterfallProgress] = useState(null);
+    const waterfallJob = useRef(null);
+
+    // Along-track pipe track for the whole file
+    const [pipeTrack, setPipeTrack] = useState(null);   // PipeTracks: { start, pipes }
+    const [trackProgress, setTrackProgress] = useState(null);
+    const trackJob = useRef(null);
+
+    // Whole-file batch results
+    const [batchRows, setBatchRows] = useState(null);
+    const [batchProgress, setBatchProgress] = useState(null);
+    const [batchFilter, setBatchFilter] = useState('all');
+    const batchJob = useRef(null);
+    const [freespanSettings, setFreespanSettings] = useState(DEFAULT_FREESPAN_SETTINGS);
+    const [anodeSettings, setAnodeSettings] = useState(DEFAULT_ANODE_SETTINGS);
+
+    // Inspection events of the open file (see eventStore.js)
+    const [eventSource, setEventSource] = useState(null); // { name, path, size } of the file they belong to
+    const [events, setEvents] = useState([]);
+    const [eventsLoaded, setEventsLoaded] = useState(false);
+    const [eventFilter, setEventFilter] = useState(DEFAULT_EVENT_FILTER);
+    const [selectedEventId, setSelectedEventId] = useState(null);
+
+    // Navigation state
+    const [navData, setNavData] = useState(null);
+    const [navFileName, setNavFileName] = useState(null);
+    const [mounting, setMounting] = useState(DEFAULT_MOUNTING);
+
+    // Point export state
+    const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+    const [exportProgress, setExportProgress] = useState(null);
+    const [lastExport, setLastExport] = useState(null);
+    const exportJob = useRef(null);
+
+    // Calibration state
+    const [calibrationSettings, setCalibrationSettings] = useState(DEFAULT_CALIBRATION_SETTINGS);
+    const [calibrationProgress, setCalibrationProgress] = useState(null);
+    const [calibrationResult, setCalibrationResult] = useState(null);
+    const calibrationJob = useRef(null);
+
+    // Saved configuration state
+    const [configs, setConfigs] = useState([]);
+    const [activeConfigName, setActiveConfigName] = useState(null);
+    const [autoSelectedSerial, setAutoSelectedSerial] = useState(null);
+    const autoSelectKey = useRef(null); // file + serial the auto-selection last ran for
+
+    // Start the parser worker on mount
+    useEffect(() => {
+        workerRef.current = createBinWorkerClient();
+        return () => {
+            workerRef.current.terminate();
+            workerRef.current = null;
+        };
     }, []);
 
-    const handleClearFile = useCallback(() => {
-        setBinData(null);
-        setFileName(null);
+    const resetFileState = useCallback(() => {
+        assemblyJob.current?.cancel();
+        waterfallJob.current?.cancel();
+        exportJob.current?.cancel();
+        calibrationJob.current?.cancel();
+        trackJob.current?.cancel();
+        batchJob.current?.cancel();
+        setPlaying(false);
+        setAssembly(null);
+        setWaterfall(null);
+        setPipeTrack(null);
+        setBatchRows(null);
+        setLastExport(null);
+        setCalibrationResult(null);
+        setCalibrationSettings(s => ({ ...s, profiles: [] }));
+        setFrame(EMPTY_FRAME);
         setSelectedProfile(0);
-        lastPipeResult.current = null;
+        lastPipeResults.current = [];
         loggedProfiles.current.clear();
     }, []);
 
-    // File info for the panel
-    const fileInfo = useMemo(() => {
-        if (!binData) return null;
-        const currentProfile = binData.profiles[selectedProfile];
-        return {
-            fileName,
-            profileCount: binData.profileCount,
-            pointsPerProfile: binData.header.pointsPerProfile,
-            currentComment: currentProfile?.comment || null,
+    // Handle file loaded: the worker indexes it and reports partial results,
+    // so the first profiles can be browsed while the rest is still scanned
+    const handleFileLoaded = useCallback(async (file, name) => {
+        loadJob.current?.cancel();
+        let isFirst = true;
+        const source = { name, path: window.electronAPI?.getFilePath(file) || null, size: file.size };
+        const applySummary = ({ header, profileCount, fileSize }, loading) => {
+            if (isFirst) {
+                isFirst = false;
+                resetFileState();
+                setFileName(name);
+                setEventSource(source);
+            }
+            setBinData({ header, profileCount, fileSize, loading });
         };
-    }, [binData, fileName, selectedProfile]);
+
+        setLoadProgress({ bytesRead: 0, totalBytes: file.size, profileCount: 0 });
+        const job = workerRef.current.openFile(file, {
+            onProgress: (progress) => setLoadProgress(progress),
+            onPartial: (summary) => applySummary(summary, true),
+        });
+        loadJob.current = job;
+
+        try {
+            applySummary(await job.promise, false);
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Failed to parse bin file:', e);
+                alert(`Failed to parse file: ${e.message}`);
+            }
+        } finally {
+            if (loadJob.current === job) {
+                loadJob.current = null;
+                setLoadProgress(null);
+            }
+        }
+    }, [resetFileState]);
+
+    const handleClearFile = useCallback(() => {
+        loadJob.current?.cancel();
+        workerRef.current.closeFile();
+        setBinData(null);
+        setFileName(null);
+        setEventSource(null);
+        resetFileState();
+    }, [resetFileState]);
 
     // Compute 3D profile: from loaded file OR demo data
     const [featuresResult, setFeaturesResult] = useState([]);
@@ -107,47 +241,562 @@ export default function App() {
         loadModel();
     }, []);
 
-    // Compute basic 3D profile & pipe: sync
-    const { profile3D, pipeResult, derivedParams } = useMemo(() => {
+    const derivedParams = useMemo(() => {
+        const currentTheta = Math.abs(params.laserPitch - params.camPitch);
+        return { ...params, theta: currentTheta || 30 };
+    }, [params]);
+
+    const pipelineOptions = useMemo(() => ({
+        params: derivedParams,
+        quality: qualityFilterEnabled ? qualityParams : null,
+        pointCleaning: pointCleaningEnabled ? pointCleaningParams : null,
+        pipe: pipeEnabled ? { diameters: pipeDiameters, constrainRadius: pipeConstrainRadius } : null,
+    }), [derivedParams, qualityFilterEnabled, qualityParams, pointCleaningEnabled, pointCleaningParams, pipeEnabled, pipeDiameters, pipeConstrainRadius]);
+
+    // Loaded file: triangulation + pipe detection run in the worker
+    useEffect(() => {
+        if (!binData) return;
+
+        // Centre each RANSAC window on the tracked pipe when there is one,
+        // otherwise on the last time that pipe was seen
+        const prevResults = pipelineOptions.pipe?.diameters.map((d, id) => {
+            const entry = trackEntryAt(pipeTrack, selectedProfile, id);
+            return entry && entry.status !== 'lost' ? entry : lastPipeResults.current[id] || null;
+        });
+        const options = pipelineOptions.pipe
+            ? { ...pipelineOptions, pipe: { ...pipelineOptions.pipe, prevResults } }
+            : pipelineOptions;
+        const job = workerRef.current.processProfile(selectedProfile, options);
+
+        job.promise
+            .then(result => {
+                lastPipeResults.current = result.pipeResults.map((r, id) => r || lastPipeResults.current[id] || null);
+                setFrame(result);
+            })
+            .catch(e => {
+                if (e.name !== 'AbortError') console.warn('Computation error:', e);
+            });
+
+        return () => job.cancel();
+    }, [binData, selectedProfile, pipelineOptions, pipeTrack]);
+
+    const handleTogglePlay = useCallback(() => {
+        if (!binData) return;
+        if (!playing) {
+            // Start over from the top of the range when outside it or at its end
+            const { first, last } = playbackRange(playbackSettings, binData.profileCount);
+            if (selectedProfile < first || selectedProfile >= last) setSelectedProfile(first);
+            playClock.current = null;
+            setPlaybackRate(null);
+        }
+        setPlaying(!playing);
+    }, [binData, playing, playbackSettings, selectedProfile]);
+
+    // New playback settings restart the clock from the profile on screen
+    useEffect(() => {
+        playClock.current = null;
+    }, [playbackSettings]);
+
+    // Playback steps once the selected profile has been processed, so pipe
+    // detection and the viewer keep up; profiles are skipped when they can't
+    useEffect(() => {
+        if (!playing || !binData || frame.profile?.index !== selectedProfile) return;
+
+        const index = selectedProfile;
+        const time = getAcquisitionTime(frame.profile.comment);
+        const now = performance.now();
+        if (!playClock.current || playTarget.current !== index) {
+            // Starting, resynchronising, or the profile was changed by hand
+            playClock.current = createPlaybackClock(index, time, now);
+            playShown.current = 0;
+        } else {
+            playShown.current++;
+            const elapsed = now - playClock.current.now;
+            if (elapsed > 0) setPlaybackRate((playShown.current * 1000) / elapsed);
+        }
+
+        const { first, last } = playbackRange(playbackSettings, binData.profileCount);
+        const step = nextPlaybackStep(playClock.current, index, time, playbackSettings, now);
+        const timer = setTimeout(() => {
+            let next = Math.min(step.next, last);
+            if (index >= last) {
+                if (!playbackSettings.loop) {
+                    setPlaying(false);
+                    return;
+                }
+                next = first;
+            }
+            if (step.resync || next === first) playClock.current = null;
+            playTarget.current = next;
+            setSelectedProfile(next);
+        }, step.delay);
+
+        return () => clearTimeout(timer);
+    }, [playing, binData, frame, selectedProfile, playbackSettings]);
+
+    // Keyboard shortcuts for browsing and playback
+    useEffect(() => {
+        if (!binData) return;
+        const last = binData.profileCount - 1;
+
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, select, textarea')) return;
+            const jump = e.shiftKey ? 10 : 1;
+            switch (e.key) {
+                case ' ':
+                    if (e.target.closest?.('button')) return; // the focused button handles Space itself
+                    handleTogglePlay();
+                    break;
+                case 'ArrowLeft':
+                    setSelectedProfile(p => Math.max(0, p - jump));
+                    break;
+                case 'ArrowRight':
+                    setSelectedProfile(p => Math.min(last, p + jump));
+                    break;
+                case 'Home':
+                    setSelectedProfile(0);
+                    break;
+                case 'End':
+                    setSelectedProfile(last);
+                    break;
+                case '[':
+                    setPlaybackSettings(s => ({ ...s, loop: true, loopStart: selectedProfile + 1, loopEnd: Math.max(s.loopEnd, selectedProfile + 1) }));
+                    break;
+                case ']':
+                    setPlaybackSettings(s => ({ ...s, loop: true, loopEnd: selectedProfile + 1, loopStart: Math.min(s.loopStart, selectedProfile + 1) }));
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [binData, selectedProfile, handleTogglePlay]);
+
+    // A track and batch results are only valid for the settings they were made with
+    useEffect(() => {
+        trackJob.current?.cancel();
+        batchJob.current?.cancel();
+        setPipeTrack(null);
+        setBatchRows(null);
+    }, [pipelineOptions]);
+
+    const handleTrackPipe = useCallback(async () => {
+        if (!binData) return;
+        trackJob.current?.cancel();
+        const total = binData.profileCount;
+        const job = workerRef.current.trackPipe(0, total, pipelineOptions, DEFAULT_TRACKING, {
+            onProgress: (progress) => setTrackProgress(progress),
+        });
+        trackJob.current = job;
+        setTrackProgress({ done: 0, total });
+
         try {
-            let points;
-            const currentTheta = Math.abs(params.laserPitch - params.camPitch);
-            const derived = { ...params, theta: currentTheta || 30 };
+            setPipeTrack(await job.promise);
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Failed to track pipe:', e);
+                alert(`Failed to track pipe: ${e.message}`);
+            }
+        } finally {
+            if (trackJob.current === job) {
+                trackJob.current = null;
+                setTrackProgress(null);
+            }
+        }
+    }, [binData, pipelineOptions]);
 
-            if (binData && binData.profiles.length > 0) {
-                const profile = binData.profiles[selectedProfile];
-                if (!profile) return { profile3D: [], pipeResult: null, derivedParams: derived };
+    // Along-track spacing, shared by assembly and the inspection events
+    const assemblySpacing = useMemo(() => {
+        const { profileCount, ...spacing } = assemblySettings;
+        return spacing;
+    }, [assemblySettings]);
 
-                const { pixelColumns, pixelRows } = profileToPixelCoords(profile);
-                if (pixelColumns.length < 3) return { profile3D: [], pipeResult: null, derivedParams: derived };
+    const handleAssemble = useCallback(async (start, count) => {
+        assemblyJob.current?.cancel();
+        const job = workerRef.current.assembleProfiles(start, count, pipelineOptions, assemblySpacing, {
+            onProgress: (progress) => setAssemblyProgress(progress),
+        });
+        assemblyJob.current = job;
+        setAssemblyProgress({ done: 0, total: count });
 
-                points = triangulate2Dto3D(pixelColumns, pixelRows, derived);
-            } else {
-                const demo = generateDemoProfile(derived, pipeDiameter);
-                points = demo.points;
+        try {
+            setAssembly(await job.promise);
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Failed to assemble profiles:', e);
+                alert(`Failed to assemble profiles: ${e.message}`);
             }
+        } finally {
+            if (assemblyJob.current === job) {
+                assemblyJob.current = null;
+                setAssemblyProgress(null);
+            }
+        }
+    }, [assemblySpacing, pipelineOptions]);
 
-            // Apply point cleaning if enabled
-            const processedPoints = pointCleaningEnabled
-                ? filterNoisePoints(points, pointCleaningParams.radius, pointCleaningParams.minNeighbors)
-                : points;
-
-            // Detect pipe if enabled
-            let pipe = null;
-            if (pipeEnabled && processedPoints.length > 10) {
-                pipe = detectPipe(processedPoints, pipeDiameter, { prevResult: lastPipeResult.current });
-                if (pipe) {
-                    lastPipeResult.current = pipe;
-                }
+    const handleBuildWaterfall = useCallback(async (start, count) => {
+        waterfallJob.current?.cancel();
+        const featureOptions = featuresEnabled ? featureParams : null;
+        const job = workerRef.current.buildWaterfall(start, count, pipelineOptions, featureOptions, waterfallSettings.binSize, {
+            onProgress: (progress) => setWaterfallProgress(progress),
+        });
+        waterfallJob.current = job;
+        setWaterfallProgress({ done: 0, total: count });
+
+        try {
+            setWaterfall(await job.promise);
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Failed to build waterfall:', e);
+                alert(`Failed to build waterfall: ${e.message}`);
             }
+        } finally {
+            if (waterfallJob.current === job) {
+                waterfallJob.current = null;
+                setWaterfallProgress(null);
+            }
+        }
+    }, [featuresEnabled, featureParams, pipelineOptions, waterfallSettings.binSize]);
+
+    // Export runs in the worker; the encoded chunks are written by the main
+    // process in the order they arrive, then the header is patched in place.
+    // The first failed write cancels the job, and the chunks after it are dropped
+    const handleExport = useCallback(async (start, count) => {
+        exportJob.current?.cancel();
+        const { format, georeference } = exportSettings;
+        const nav = georeference ? navData : null;
+        const baseName = (fileName || 'profiles').replace(/\.bin$/i, '');
+        const filename = `${baseName}_${start + 1}-${start + count}${nav ? '_geo' : ''}.${EXPORT_FORMATS[format].extension}`;
+
+        let writes = Promise.resolve(null);
+        let writeError = null;
+        const save = (data, mode, position) => {
+            writes = writes.then(async () => {
+                if (writeError) return null;
+                const res = await window.electronAPI.saveExport({ filename, data, mode, position });
+                if (!res.success) throw new Error(res.error);
+                return res;
+            }).catch((e) => {
+                writeError = e;
+                job.cancel();
+                return null;
+            });
+        };
+
+        const job = workerRef.current.exportProfiles(start, count, pipelineOptions, {
+            format,
+            featureOptions: featuresEnabled ? featureParams : null,
+            nav,
+            mounting,
+        }, {
+            onProgress: (progress) => setExportProgress(progress),
+            onPartial: ({ data, mode }) => save(data, mode),
+        });
+        exportJob.current = job;
+        setExportProgress({ done: 0, total: count });
+        setLastExport(null);
 
-            return { profile3D: processedPoints, pipeResult: pipe, derivedParams: derived };
+        try {
+            const result = await job.promise;
+            if (result.header) save(result.header.data, 'patch', result.header.position);
+            const res = await writes;
+            if (writeError) throw writeError;
+            setLastExport({ ...result, filename, savedPath: res.savedPath });
+        } catch (e) {
+            await writes;
+            const error = writeError || e;
+            if (error.name !== 'AbortError') {
+                console.error('Failed to export points:', error);
+                alert(`Failed to export points: ${error.message}`);
+            }
+        } finally {
+            if (exportJob.current === job) {
+                exportJob.current = null;
+                setExportProgress(null);
+            }
+        }
+    }, [exportSettings, navData, fileName, pipelineOptions, featuresEnabled, featureParams, mounting]);
+
+    // Rows arrive as partials so the table fills in while the file is processed;
+    // they are collected here and handed to the table every BATCH_FLUSH_INTERVAL.
+    // The pipe track, and the burial and trench of profiles that had to wait
+    // for it, come with the final result
+    const handleProcessAll = useCallback(async (start, count) => {
+        batchJob.current?.cancel();
+        const featureOptions = featuresEnabled ? featureParams : null;
+        const rows = [];
+        let flushTimer = null;
+        const flush = () => {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            if (batchJob.current === job) setBatchRows(rows.slice());
+        };
+
+        const job = workerRef.current.processAll(start, count, pipelineOptions, featureOptions, DEFAULT_TRACKING, DEFAULT_BURIAL_SETTINGS, DEFAULT_SEABED_SETTINGS, {
+            onProgress: (progress) => setBatchProgress(progress),
+            onPartial: (partial) => {
+                rows.push(...partial.rows);
+                if (!flushTimer) flushTimer = setTimeout(flush, BATCH_FLUSH_INTERVAL);
+            },
+        });
+        batchJob.current = job;
+        setBatchProgress({ done: 0, total: count });
+        setBatchRows([]);
+
+        try {
+            const { track, updates } = await job.promise;
+            if (track) setPipeTrack(track);
+            const byIndex = new Map(updates.map(({ index, ...update }) => [index, update]));
+            rows.forEach((row, i) => {
+                if (byIndex.has(row.index)) rows[i] = { ...row, ...byIndex.get(row.index) };
+            });
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Batch processing failed:', e);
+                alert(`Batch processing failed: ${e.message}`);
+            }
+        } finally {
+            flush();
+            if (batchJob.current === job) {
+                batchJob.current = null;
+                setBatchProgress(null);
+            }
+        }
+    }, [pipelineOptions, featuresEnabled, featureParams]);
+
+    const handleCalibrate = useCallback(async (profileIndices) => {
+        calibrationJob.current?.cancel();
+        const { targetType, diameter, range, fitKeys } = calibrationSettings;
+        const target = targetType === 'pipe' ? { type: 'pipe', diameter } : { type: 'plate', range };
+        const job = workerRef.current.calibrate(profileIndices, target, derivedParams, fitKeys, pipelineOptions.quality, {
+            onProgress: (progress) => setCalibrationProgress(progress),
+        });
+        calibrationJob.current = job;
+        setCalibrationProgress({ iteration: 0 });
+        setCalibrationResult(null);
+
+        try {
+            setCalibrationResult(await job.promise);
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Calibration failed:', e);
+                alert(`Calibration failed: ${e.message}`);
+            }
+        } finally {
+            if (calibrationJob.current === job) {
+                calibrationJob.current = null;
+                setCalibrationProgress(null);
+            }
+        }
+    }, [calibrationSettings, derivedParams, pipelineOptions]);
+
+    // Copy the fitted values into the system settings
+    const handleApplyCalibration = useCallback(() => {
+        if (!calibrationResult) return;
+        setParams(prev => {
+            const next = { ...prev };
+            CALIBRATION_FIELDS.forEach(({ key }) => { next[key] = calibrationResult.params[key]; });
+            return next;
+        });
+        setCalibrationResult(null);
+    }, [calibrationResult]);
+
+    // Demo data: cheap enough to compute synchronously
+    const demoFrame = useMemo(() => {
+        if (binData) return null;
+        try {
+            const demo = generateDemoProfile(derivedParams, pipeDiameters[0]);
+            return { profile: null, ...processPoints(demo.points, pipelineOptions) };
         } catch (e) {
             console.warn('Computation error:', e);
-            const currentTheta = Math.abs(params.camPitch - params.laserPitch);
-            return { profile3D: [], pipeResult: null, derivedParams: { ...params, theta: currentTheta } };
+            return EMPTY_FRAME;
+        }
+    }, [binData, derivedParams, pipeDiameters, pipelineOptions]);
+
+    const { profile: currentProfile, points: profile3D, pipeResults: detectedPipes } = demoFrame || frame;
+
+    // Tracked pipes replace the single-profile detections everywhere they are
+    // shown or reported; the main line (id 0) drives features, burial and deformation
+    const pipeResults = useMemo(
+        () => pipeDiameters.map((d, id) => trackedPipeResult(
+            currentProfile ? trackEntryAt(pipeTrack, currentProfile.index, id) : null,
+            detectedPipes[id] || null
+        )),
+        [pipeDiameters, currentProfile, pipeTrack, detectedPipes]
+    );
+    const pipeResult = pipeResults[0] || null;
+
+    const burial = useMemo(() => analyzeBurial(profile3D, pipeResult, DEFAULT_BURIAL_SETTINGS), [profile3D, pipeResult]);
+    const deformation = useMemo(
+        () => analyzePipeDeformation(profile3D, pipeResult, { nominalRadius: pipeDiameters[0] / 2 }),
+        [profile3D, pipeResult, pipeDiameters]
+    );
+    const seabed = useMemo(
+        () => analyzeSeabed(profile3D, pipeResult, featuresEnabled ? featuresResult : [], DEFAULT_SEABED_SETTINGS),
+        [profile3D, pipeResult, featuresEnabled, featuresResult]
+    );
+
+    const handleNavLoaded = useCallback((text, name) => {
+        setNavData(parseNavFile(text));
+        setNavFileName(name);
+    }, []);
+
+    const handleClearNav = useCallback(() => {
+        setNavData(null);
+        setNavFileName(null);
+    }, []);
+
+    const navInfo = useMemo(() => navData && {
+        fileName: navFileName,
+        recordCount: navData.records.length,
+        skipped: navData.skipped,
+        timeOfDay: navData.timeOfDay,
+    }, [navData, navFileName]);
+
+    // Vehicle state at the selected profile, matched on its acquisition time
+    const currentFix = useMemo(() => {
+        if (!navData || !currentProfile) return null;
+        return interpolateNav(navData, getAcquisitionTime(currentProfile.comment));
+    }, [navData, currentProfile]);
+
+    // Pipe centre in survey coordinates
+    const pipeFix = useMemo(() => {
+        if (!currentFix || !pipeResult) return null;
+        const inliers = profile3D.slice(pipeResult.inlierStart, pipeResult.inlierEnd + 1);
+        const y = inliers.reduce((sum, p) => sum + p.y, 0) / Math.max(1, inliers.length);
+        return georeferencePoints([{ x: pipeResult.cx, y, z: pipeResult.cz }], currentFix, mounting)[0];
+    }, [currentFix, pipeResult, profile3D, mounting]);
+
+    // ---- Saved configurations ----
+    const applyConfig = useCallback((config) => {
+        const { params: p, pipeDiameters: diameters, pointCleaning, quality, features } = config || CONFIG_DEFAULTS;
+        setParams(p);
+        setPipeDiameters(diameters);
+        setPointCleaningParams(pointCleaning);
+        setQualityParams(quality);
+        setFeatureParams(features);
+        setActiveConfigName(config ? config.name : null);
+        setAutoSelectedSerial(null);
+
+        // Remembered so the next session starts with the same rig
+        if (config) localStorage.setItem(ACTIVE_CONFIG_KEY, config.name);
+        else localStorage.removeItem(ACTIVE_CONFIG_KEY);
+    }, []);
+
+    const refreshConfigs = useCallback(async () => {
+        if (!window.electronAPI) return [];
+        const res = await window.electronAPI.listConfigs();
+        if (!res.success) throw new Error(res.error);
+
+        const valid = [];
+        for (const data of res.configs) {
+            try {
+                valid.push(validateConfig(data, CONFIG_DEFAULTS));
+            } catch (e) {
+                console.warn('Skipping invalid configuration:', e.message);
+            }
+        }
+        valid.sort((a, b) => a.name.localeCompare(b.name));
+        setConfigs(valid);
+        return valid;
+    }, []);
+
+    // Load the saved configurations and restore the last one used
+    useEffect(() => {
+        refreshConfigs()
+            .then(list => {
+                const lastName = localStorage.getItem(ACTIVE_CONFIG_KEY);
+                const last = list.find(c => c.name === lastName);
+                if (last) applyConfig(last);
+            })
+            .catch(e => console.error('Failed to load configurations:', e));
+    }, [refreshConfigs, applyConfig]);
+
+    const currentSerial = getSensorSerial(currentProfile?.comment);
+
+    // Pick the configuration assigned to the sensor that recorded the file
+    useEffect(() => {
+        if (!fileName || !currentSerial) return;
+        const key = `${fileName}|${currentSerial}`;
+        if (autoSelectKey.current === key) return;
+
+        const match = findConfigForSerial(configs, currentSerial);
+        if (!match) return;
+        autoSelectKey.current = key;
+        applyConfig(match);
+        setAutoSelectedSerial(currentSerial);
+    }, [fileName, currentSerial, configs, applyConfig]);
+
+    const handleSelectConfig = useCallback((name) => {
+        applyConfig(configs.find(c => c.name === name) || null);
+    }, [configs, applyConfig]);
+
+    const handleSaveConfig = useCallback(async (name, serials) => {
+        const config = createConfig(name, {
+            params,
+            pipeDiameters,
+            pointCleaning: pointCleaningParams,
+            quality: qualityParams,
+            features: featureParams,
+        }, serials);
+        const res = await window.electronAPI.saveConfig({ config });
+        if (!res.success) throw new Error(res.error);
+        await refreshConfigs();
+        setActiveConfigName(config.name);
+        localStorage.setItem(ACTIVE_CONFIG_KEY, config.name);
+    }, [params, pipeDiameters, pointCleaningParams, qualityParams, featureParams, refreshConfigs]);
+
+    const handleDeleteConfig = useCallback(async (name) => {
+        if (!window.confirm(`Delete configuration "${name}"?`)) return;
+        const res = await window.electronAPI.deleteConfig({ name });
+        if (!res.success) throw new Error(res.error);
+        await refreshConfigs();
+        if (activeConfigName === name) {
+            setActiveConfigName(null);
+            localStorage.removeItem(ACTIVE_CONFIG_KEY);
         }
-    }, [params, pipeEnabled, pipeDiameter, pointCleaningEnabled, pointCleaningParams, binData, selectedProfile]);
+    }, [activeConfigName, refreshConfigs]);
+
+    const handleImportConfig = useCallback(async () => {
+        const res = await window.electronAPI.importConfig();
+        if (res.canceled) return;
+        if (!res.success) throw new Error(res.error);
+
+        let data;
+        try {
+            data = JSON.parse(res.text);
+        } catch (e) {
+            throw new Error(`Not a valid JSON file: ${e.message}`);
+        }
+        const config = validateConfig(data, CONFIG_DEFAULTS);
+        if (configs.some(c => c.name === config.name) &&
+            !window.confirm(`A configuration named "${config.name}" exists. Replace it?`)) return;
+
+        const saved = await window.electronAPI.saveConfig({ config });
+        if (!saved.success) throw new Error(saved.error);
+        await refreshConfigs();
+        applyConfig(config);
+    }, [configs, refreshConfigs, applyConfig]);
+
+    const handleExportConfig = useCallback(async (config) => {
+        const res = await window.electronAPI.exportConfig({ config });
+        if (!res.success && !res.canceled) throw new Error(res.error);
+    }, []);
+
+    // File info for the panel
+    const fileInfo = useMemo(() => {
+        if (!binData) return null;
+        return {
+            fileName,
+            profileCount: binData.profileCount,
+            pointsPerProfile: binData.header.pointsPerProfile,
+            loading: binData.loading,
+            currentComment: currentProfile?.comment || null,
+        };
+    }, [binData, fileName, currentProfile]);
 
     // Async feature detection effect
     useEffect(() => {
@@ -159,7 +808,7 @@ export default function App() {
                 return;
             }
 
-            const results = await detectFeatures(profile3D, { ...featureParams, pipeResult, tfModel: mlModel });
+            const results = await detectFeatures(profile3D, { ...featureParams, pipeResult, nominalRadius: pipeDiameters[0] / 2, tfModel: mlModel });
             if (active) {
                 setFeaturesResult(results);
             }
@@ -167,14 +816,13 @@ export default function App() {
 
         runDetection();
         return () => { active = false; };
-    }, [featuresEnabled, featureParams, profile3D, pipeResult, mlModel]);
+    }, [featuresEnabled, featureParams, profile3D, pipeResult, pipeDiameters, mlModel]);
 
     // ---- Logging Effect ----
     useEffect(() => {
-        if (!featuresEnabled || featuresResult.length === 0 || !binData) return;
+        if (!featuresEnabled || featuresResult.length === 0 || !binData || !currentProfile) return;
 
-        const profileIdx = selectedProfile;
-        const currentProfile = binData.profiles[profileIdx];
+        const profileIdx = currentProfile.index;
         const timestamp = currentProfile.comment?.timestamp || `Line-${profileIdx}`;
 
         // Log each feature found if not already logged for this profile
@@ -201,43 +849,119 @@ export default function App() {
                 }
             }
         });
-    }, [featuresEnabled, featuresResult, selectedProfile, binData]);
+    }, [featuresEnabled, featuresResult, currentProfile, binData]);
+
+    // Load the stored events whenever another file is opened
+    useEffect(() => {
+        setEvents([]);
+        setSelectedEventId(null);
+        setEventsLoaded(false);
+        if (!eventSource) return;
+        if (!window.electronAPI) {
+            setEventsLoaded(true);
+            return;
+        }
+
+        let active = true;
+        window.electronAPI.loadEvents({ source: eventSource })
+            .then(res => {
+                if (!res.success) throw new Error(res.error);
+                if (res.errors > 0) console.warn(`Skipped ${res.errors} unreadable event records.`);
+                if (active) setEvents(mergeEvents([], res.events));
+            })
+            .catch(e => console.error('Failed to load events:', e))
+            .finally(() => {
+                if (active) setEventsLoaded(true);
+            });
+        return () => { active = false; };
+    }, [eventSource]);
+
+    const saveEvents = useCallback((changed) => {
+        if (changed.length === 0) return;
+        setEvents(current => mergeEvents(current, changed));
+        if (!window.electronAPI || !eventSource) return;
+        window.electronAPI.saveEvents({ source: eventSource, events: changed })
+            .then(res => {
+                if (!res.success) throw new Error(res.error);
+            })
+            .catch(e => console.error('Failed to save events:', e));
+    }, [eventSource]);
+
+    // Detections become auto events; ones already stored keep their review
+    useEffect(() => {
+        if (!featuresEnabled || featuresResult.length === 0 || !binData || !currentProfile || !eventsLoaded) return;
+        const time = getAcquisitionTime(currentProfile.comment);
+        saveEvents(newDetectionEvents(events, featuresResult.map(feature => ({ feature, profile: currentProfile.index, time }))));
+    }, [featuresEnabled, featuresResult, currentProfile, binData, eventsLoaded, events, saveEvents]);
+
+    const handleImportBatchEvents = useCallback(() => {
+        if (!batchRows) return;
+        saveEvents(newDetectionEvents(events, batchRows.flatMap(row =>
+            row.features.map(feature => ({ feature, profile: row.index, time: row.time }))
+        )));
+    }, [batchRows, events, saveEvents]);
+
+    const handleSelectEvent = useCallback((event) => {
+        setSelectedEventId(event.id);
+        setSelectedProfile(event.profile);
+    }, []);
+
+    // The selected event's points, highlighted like a hovered feature
+    const selectedEventFeature = useMemo(() => {
+        const event = events.find(e => e.id === selectedEventId);
+        if (!event || !currentProfile || event.profile !== currentProfile.index) return null;
+        const { xMin, xMax, zMin, zMax } = event.bounds;
+        const indices = [];
+        profile3D.forEach((p, i) => {
+            if (p.x >= xMin && p.x <= xMax && p.z >= zMin && p.z <= zMax) indices.push(i);
+        });
+        return { ...event.bounds, type: event.type, indices };
+    }, [events, selectedEventId, currentProfile, profile3D]);
 
     const handleLabelFeature = useCallback((feature, isCorrect) => {
-        if (!window.electronAPI || !binData) return;
-
-        const currentProfile = binData.profiles[selectedProfile];
-
-        // Extract the exact 3D points belonging to this feature
-        const featurePoints = feature.indices.map(idx => ({
-            x: profile3D[idx].x,
-            z: profile3D[idx].z
-        }));
-
-        const labelData = {
-            profileIndex: selectedProfile,
-            fileName: fileName,
-            timestamp: currentProfile.comment?.timestamp,
-            // Full context for preprocessing neighbors and pipe distance
-            profile3D: profile3D.map(p => ({ x: p.x, z: p.z })),
-            pipeResult: pipeResult,
-            featurePoints: featurePoints,
-            triangulationParams: derivedParams,
-            feature: feature, // Keep indices!
-            isCorrect: isCorrect,
-            paramsUsed: featureParams,
-            labeledAt: new Date().toISOString()
-        };
+        if (!binData || !currentProfile) return;
+
+        // The label is also the review of the feature's event
+        const event = findDetectionEvent(events, currentProfile.index, feature)
+            || detectionEvent(feature, currentProfile.index, getAcquisitionTime(currentProfile.comment));
+        saveEvents([updateEvent(event, { status: isCorrect ? 'accepted' : 'rejected' })]);
+
+        if (!window.electronAPI) return;
 
+        const context = { profile: currentProfile, fileName, points: profile3D, pipeResult, params: derivedParams, featureParams };
         window.electronAPI.appendLog({
             filePath: 'training_data.json',
-            content: JSON.stringify(labelData)
+            content: JSON.stringify(trainingEntry(context, feature, isCorrect))
         }).then(res => {
             if (res.success) {
                 alert(isCorrect ? 'Marked as Correct. Feature signature saved.' : 'Marked as False Positive. Context saved.');
             }
         });
-    }, [selectedProfile, binData, fileName, profile3D, derivedParams, featureParams, pipeResult]);
+    }, [currentProfile, binData, fileName, profile3D, derivedParams, featureParams, pipeResult, events, saveEvents]);
+
+    // Manual labels drawn in the X–Z view: missed features (false negatives)
+    // go to the training data and the event list like confirmed detections
+    const handleAnnotate = useCallback(async (type, indices) => {
+        if (!binData || !currentProfile || indices.length === 0) return false;
+
+        const feature = manualFeature(profile3D, indices, type);
+        saveEvents([createEvent({
+            type,
+            profile: currentProfile.index,
+            time: getAcquisitionTime(currentProfile.comment),
+            bounds: { xMin: feature.xMin, xMax: feature.xMax, zMin: feature.zMin, zMax: feature.zMax },
+            status: 'accepted',
+        })]);
+
+        if (!window.electronAPI) return true;
+        const context = { profile: currentProfile, fileName, points: profile3D, pipeResult, params: derivedParams, featureParams };
+        const res = await window.electronAPI.appendLog({
+            filePath: 'training_data.json',
+            content: JSON.stringify(trainingEntry(context, feature, true))
+        });
+        if (!res.success) alert(`Failed to save annotation: ${res.error}`);
+        return res.success;
+    }, [currentProfile, binData, fileName, profile3D, derivedParams, featureParams, pipeResult, saveEvents]);
 
     // ---- ML PNG Export Effect ----
     useEffect(() => {
@@ -251,6 +975,7 @@ export default function App() {
             if (!confirm) return;
 
             // Store original states
+            setPlaying(false);
             const originalProfile = selectedProfile;
             const originalPipeEnabled = pipeEnabled;
             const originalFeaturesEnabled = featuresEnabled;
@@ -262,8 +987,7 @@ export default function App() {
             alert("Export started. Please wait...");
 
             // Select the precise X-Z Canvas from the DOM and force it to 2048x1152
-            const canvases = document.querySelectorAll('canvas');
-            let targetCanvas = canvases[canvases.length - 1]; // X-Z Canvas
+            let targetCanvas = document.querySelector('.xz-canvas canvas');
             let container = targetCanvas ? targetCanvas.parentElement : null;
             let origStyles = {};
 
@@ -297,7 +1021,7 @@ export default function App() {
 
                 try {
                     const base64Data = targetCanvas.toDataURL('image/png');
-                    const profile = binData.profiles[i];
+                    const profile = await workerRef.current.getProfile(i).promise;
 
                     // Windows filename restrictions: Cannot use ":" in paths.
                     // Replace colons with dashes, keep everything else exactly as acquisition 
@@ -358,15 +1082,48 @@ export default function App() {
                 {/* File loader */}
                 <FileLoaderPanel
                     onFileLoaded={handleFileLoaded}
+                    loadProgress={loadProgress}
                     fileInfo={fileInfo}
                     selectedProfile={selectedProfile}
                     onProfileChange={setSelectedProfile}
                     onClearFile={handleClearFile}
+                    playing={playing}
+                    onTogglePlay={handleTogglePlay}
+                    playbackSettings={playbackSettings}
+                    onPlaybackSettingsChange={setPlaybackSettings}
+                    playbackRate={playbackRate}
+                />
+
+                {/* Saved configurations */}
+                <ConfigPanel
+                    configs={configs}
+                    activeName={activeConfigName}
+                    autoSelectedSerial={autoSelectedSerial}
+                    currentSerial={currentSerial}
+                    onSelect={handleSelectConfig}
+                    onSave={handleSaveConfig}
+                    onDelete={handleDeleteConfig}
+                    onImport={handleImportConfig}
+                    onExport={handleExportConfig}
                 />
 
                 {/* Laser system configuration */}
                 <LaserSystemPanel params={params} onChange={handleParamsChange} />
 
+                {/* Calibration */}
+                <CalibrationPanel
+                    fileInfo={fileInfo}
+                    selectedProfile={selectedProfile}
+                    settings={calibrationSettings}
+                    onSettingsChange={setCalibrationSettings}
+                    onCalibrate={handleCalibrate}
+                    onCancel={() => calibrationJob.current?.cancel()}
+                    progress={calibrationProgress}
+                    result={calibrationResult}
+                    onApply={handleApplyCalibration}
+                    onClearResult={() => setCalibrationResult(null)}
+                />
+
                 {/* Object detection */}
                 <ObjectDetectionPanel
                     enabled={featuresEnabled}
@@ -375,6 +1132,10 @@ export default function App() {
                     onPointCleaningToggle={setPointCleaningEnabled}
                     pointCleaningParams={pointCleaningParams}
                     onPointCleaningParamsChange={setPointCleaningParams}
+                    qualityFilterEnabled={qualityFilterEnabled}
+                    onQualityFilterToggle={setQualityFilterEnabled}
+                    qualityParams={qualityParams}
+                    onQualityParamsChange={setQualityParams}
                     detectedFeatures={featuresResult}
                     lastLogTime={lastDetectionLog}
                     params={featureParams}
@@ -387,9 +1148,118 @@ export default function App() {
                 <PipeDetectionPanel
                     enabled={pipeEnabled}
                     onToggle={setPipeEnabled}
-                    diameter={pipeDiameter}
-                    onDiameterChange={setPipeDiameter}
-                    result={pipeResult}
+                    diameters={pipeDiameters}
+                    onDiametersChange={setPipeDiameters}
+                    constrainRadius={pipeConstrainRadius}
+                    onConstrainRadiusChange={setPipeConstrainRadius}
+                    results={pipeResults}
+                    deformation={deformation}
+                    burial={burial}
+                    fileInfo={fileInfo}
+                    track={pipeTrack}
+                    trackProgress={trackProgress}
+                    onTrack={handleTrackPipe}
+                    onCancelTrack={() => trackJob.current?.cancel()}
+                    onClearTrack={() => setPipeTrack(null)}
+                    onProfileChange={setSelectedProfile}
+                />
+
+                {/* Seabed surface and trench */}
+                <SeabedPanel seabed={seabed} hasPipe={!!pipeResult} />
+
+                {/* Whole-file processing */}
+                <BatchPanel
+                    fileInfo={fileInfo}
+                    selectedProfile={selectedProfile}
+                    onProfileChange={setSelectedProfile}
+                    onProcess={handleProcessAll}
+                    onCancel={() => batchJob.current?.cancel()}
+                    onClear={() => setBatchRows(null)}
+                    progress={batchProgress}
+                    rows={batchRows}
+                    track={pipeTrack}
+                    filter={batchFilter}
+                    onFilterChange={setBatchFilter}
+                />
+
+                {/* Along-track events from the batch results */}
+                <InspectionPanel
+                    rows={batchRows}
+                    spacing={assemblySpacing}
+                    selectedProfile={selectedProfile}
+                    onProfileChange={setSelectedProfile}
+                    freespanSettings={freespanSettings}
+                    onFreespanSettingsChange={setFreespanSettings}
+                    anodeSettings={anodeSettings}
+                    onAnodeSettingsChange={setAnodeSettings}
+                />
+
+                {/* Range image of a run of profiles */}
+                <WaterfallView
+                    fileInfo={fileInfo}
+                    selectedProfile={selectedProfile}
+                    onProfileChange={setSelectedProfile}
+                    settings={waterfallSettings}
+                    onSettingsChange={setWaterfallSettings}
+                    mode={waterfallMode}
+                    onModeChange={setWaterfallMode}
+                    onBuild={handleBuildWaterfall}
+                    onCancel={() => waterfallJob.current?.cancel()}
+                    onClear={() => setWaterfall(null)}
+                    progress={waterfallProgress}
+                    waterfall={waterfall}
+                />
+
+                {/* Detection events and their review */}
+                <EventsPanel
+                    fileInfo={fileInfo}
+                    events={events}
+                    filter={eventFilter}
+                    onFilterChange={setEventFilter}
+                    selectedEventId={selectedEventId}
+                    onSelectEvent={handleSelectEvent}
+                    onSaveEvents={saveEvents}
+                    onImportBatch={handleImportBatchEvents}
+                    batchAvailable={!!batchRows}
+                    persistent={!!window.electronAPI}
+                />
+
+                {/* Navigation / georeferencing */}
+                <NavigationPanel
+                    navInfo={navInfo}
+                    onNavLoaded={handleNavLoaded}
+                    onClearNav={handleClearNav}
+                    mounting={mounting}
+                    onMountingChange={setMounting}
+                    currentFix={currentFix}
+                    pipeFix={pipeFix}
+                    hasProfile={!!currentProfile}
+                />
+
+                {/* Along-track assembly */}
+                <AssemblyPanel
+                    fileInfo={fileInfo}
+                    selectedProfile={selectedProfile}
+                    settings={assemblySettings}
+                    onSettingsChange={setAssemblySettings}
+                    onAssemble={handleAssemble}
+                    onCancel={() => assemblyJob.current?.cancel()}
+                    onClear={() => setAssembly(null)}
+                    progress={assemblyProgress}
+                    assembly={assembly}
+                />
+
+                {/* Point export */}
+                <ExportPanel
+                    fileInfo={fileInfo}
+                    selectedProfile={selectedProfile}
+                    settings={exportSettings}
+                    onSettingsChange={setExportSettings}
+                    navAvailable={!!navData}
+                    onExport={handleExport}
+                    onCancel={() => exportJob.current?.cancel()}
+                    progress={exportProgress}
+                    lastExport={lastExport}
                 />
 
                 {/* Info panel */}
@@ -413,10 +1283,15 @@ export default function App() {
             <div style={{ flex: 1, display: 'flex', minWidth: 0 }}>
                 <Viewer3D
                     points={profile3D}
-                    pipeResult={pipeResult}
+                    rawProfile={currentProfile}
+                    pipeResults={pipeResults}
+                    seabed={seabed}
                     features={featuresResult}
                     params={derivedParams}
-                    highlightedFeature={hoveredFeature}
+                    highlightedFeature={hoveredFeature || selectedEventFeature}
+                    assembly={assembly}
+                    selectedProfile={selectedProfile}
+                    onAnnotate={binData ? handleAnnotate : null}
                 />
             </div>
         </div>
@@ -0,0 +1,119 @@
+import React from 'react';
+
+const SPACING_MODES = [
+    { value: 'constant', label: 'Constant step' },
+    { value: 'speed', label: 'Speed / profile rate' },
+    { value: 'timestamp', label: 'Speed × timestamps' },
+];
+
+/**
+ * AssemblyPanel — stack consecutive profiles along-track into a 3D point cloud.
+ */
+export default function AssemblyPanel({
+    fileInfo,
+    selectedProfile,
+    settings,
+    onSettingsChange,
+    onAssemble,
+    onCancel,
+    onClear,
+    progress,
+    assembly,
+}) {
+    const handleNumber = (key, min = 0) => (e) => {
+        const val = parseFloat(e.target.value);
+        if (!isNaN(val) && val > min) onSettingsChange({ ...settings, [key]: val });
+    };
+
+    const renderNumber = (key, label, unit, step) => (
+        <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+            <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                {label}
+                <span className="form-unit">{unit}</span>
+            </label>
+            <input
+                className="form-input"
+                type="number"
+                step={step}
+                value={settings[key]}
+                onChange={handleNumber(key)}
+                style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+            />
+        </div>
+    );
+
+    const available = fileInfo ? Math.max(0, fileInfo.profileCount - selectedProfile) : 0;
+    const count = Math.min(settings.profileCount, available);
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(6, 182, 212, 0.15)', color: '#06b6d4' }}>☰</div>
+                <span className="panel-title">Along-Track Assembly</span>
+            </div>
+
+            {!fileInfo ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Load a .bin file to assemble consecutive profiles into a point cloud.
+                </p>
+            ) : (
+                <>
+                    {renderNumber('profileCount', 'Profiles (from selected)', 'count', 10)}
+
+                    <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                        <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Spacing</label>
+                        <select
+                            className="form-input"
+                            value={settings.mode}
+                            onChange={(e) => onSettingsChange({ ...settings, mode: e.target.value })}
+                            style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                        >
+                            {SPACING_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                    </div>
+
+                    {settings.mode === 'constant' && renderNumber('step', 'Step', 'mm', 1)}
+                    {settings.mode !== 'constant' && renderNumber('speed', 'Vehicle Speed', 'm/s', 0.05)}
+                    {settings.mode !== 'constant' && renderNumber('rate', settings.mode === 'timestamp' ? 'Profile Rate (fallback)' : 'Profile Rate', 'Hz', 1)}
+
+                    {progress ? (
+                        <div className="load-progress">
+                            <div className="load-progress-track">
+                                <div className="load-progress-bar" style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+                            </div>
+                            <div className="load-progress-text">Assembling… {progress.done} / {progress.total} profiles</div>
+                            <button className="clear-btn" onClick={onCancel}>✕ Cancel</button>
+                        </div>
+                    ) : (
+                        <button
+                            className="primary-btn"
+                            style={{ marginTop: 'var(--space-sm)' }}
+                            disabled={count === 0}
+                            onClick={() => onAssemble(selectedProfile, count)}
+                        >
+                            Assemble profiles {selectedProfile + 1}–{selectedProfile + count}
+                        </button>
+                    )}
+
+                    {assembly && !progress && (
+                        <div className="results-section">
+                            <div className="result-row">
+                                <span className="result-label">Profiles</span>
+                                <span className="result-value">{assembly.profileIndices.length}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Points</span>
+                                <span className="result-value">{assembly.classes.length.toLocaleString()}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Track Length</span>
+                                <span className="result-value">{(assembly.trackLength / 1000).toFixed(2)} m</span>
+                            </div>
+                            <button className="clear-btn" onClick={onClear}>✕ Clear Point Cloud</button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,146 @@
+import React, { useMemo } from 'react';
+import { BATCH_FILTERS, FEATURE_TYPES, filterBatchRows, summarizeBatch } from '../utils/batchProcessing.js';
+import { BURIAL_STATES } from '../utils/burialAnalysis.js';
+
+// Rows rendered at once; the filter narrows the rest down
+const MAX_ROWS = 200;
+
+/**
+ * BatchPanel — process every profile in the file and browse the results.
+ */
+export default function BatchPanel({
+    fileInfo,
+    selectedProfile,
+    onProfileChange,
+    onProcess,
+    onCancel,
+    onClear,
+    progress,
+    rows,
+    track,
+    filter,
+    onFilterChange,
+}) {
+    const summary = useMemo(() => (rows ? summarizeBatch(rows) : null), [rows]);
+    const filtered = useMemo(() => (rows ? filterBatchRows(rows, filter, { track }) : []), [rows, filter, track]);
+
+    const describeFeatures = (features) => {
+        const counts = {};
+        features.forEach(f => { counts[f.type] = (counts[f.type] || 0) + 1; });
+        return Object.entries(counts).map(([type, n]) => (n > 1 ? `${type} ×${n}` : type)).join(', ');
+    };
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(14, 165, 233, 0.15)', color: '#0ea5e9' }}>▤</div>
+                <span className="panel-title">Batch Processing</span>
+            </div>
+
+            {!fileInfo ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Load a .bin file to process all of its profiles.
+                </p>
+            ) : (
+                <>
+                    {progress ? (
+                        <div className="load-progress">
+                            <div className="load-progress-track">
+                                <div className="load-progress-bar" style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+                            </div>
+                            <div className="load-progress-text">
+                                Processing… {progress.done.toLocaleString()} / {progress.total.toLocaleString()} profiles
+                            </div>
+                            <button className="clear-btn" onClick={onCancel}>✕ Cancel</button>
+                        </div>
+                    ) : (
+                        <button className="primary-btn" disabled={fileInfo.loading} onClick={() => onProcess(0, fileInfo.profileCount)}>
+                            Process All {fileInfo.profileCount.toLocaleString()} Profiles
+                        </button>
+                    )}
+
+                    {summary && (
+                        <div className="results-section">
+                            <div className="result-row">
+                                <span className="result-label">Profiles</span>
+                                <span className="result-value">{summary.profileCount.toLocaleString()}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Pipe Found</span>
+                                <span className="result-value good">
+                                    {summary.pipeCount.toLocaleString()} ({((summary.pipeCount / Math.max(1, summary.profileCount)) * 100).toFixed(1)}%)
+                                </span>
+                            </div>
+                            {FEATURE_TYPES.map(type => (
+                                <div className="result-row" key={type}>
+                                    <span className="result-label">{type}</span>
+                                    <span className="result-value">{summary.featureCounts[type].toLocaleString()}</span>
+                                </div>
+                            ))}
+                            <div className="result-row">
+                                <span className="result-label">Exposed / Partial / Buried</span>
+                                <span className="result-value">
+                                    {BURIAL_STATES.map(state => summary.burialCounts[state].toLocaleString()).join(' / ')}
+                                </span>
+                            </div>
+
+                            <div className="form-group" style={{ margin: 'var(--space-sm) 0 var(--space-xs)' }}>
+                                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                                    Show
+                                    <span className="form-unit">{filtered.length.toLocaleString()} profiles</span>
+                                </label>
+                                <select
+                                    className="form-input"
+                                    value={filter}
+                                    onChange={(e) => onFilterChange(e.target.value)}
+                                    style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                                >
+                                    {BATCH_FILTERS.map(f => (
+                                        <option key={f.value} value={f.value} disabled={f.value === 'trackGap' && !track}>{f.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div style={{ maxHeight: 240, overflowY: 'auto' }}>
+                                <table style={{ width: '100%', fontSize: 'var(--font-size-xs)', borderCollapse: 'collapse' }}>
+                                    <thead>
+                                        <tr style={{ color: 'var(--text-muted)', textAlign: 'left' }}>
+                                            <th>#</th>
+                                            <th style={{ textAlign: 'right' }}>Pipe ⌀</th>
+                                            <th style={{ paddingLeft: 8 }}>Features</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {filtered.slice(0, MAX_ROWS).map(row => (
+                                            <tr
+                                                key={row.index}
+                                                onClick={() => onProfileChange(row.index)}
+                                                style={{
+                                                    cursor: 'pointer',
+                                                    color: row.index === selectedProfile ? 'var(--accent-blue)' : 'var(--text-secondary)',
+                                                }}
+                                            >
+                                                <td style={{ fontFamily: 'monospace' }}>{row.index + 1}</td>
+                                                <td style={{ textAlign: 'right', fontFamily: 'monospace' }}>
+                                                    {row.pipe ? row.pipe.diameter.toFixed(1) : '—'}
+                                                </td>
+                                                <td style={{ paddingLeft: 8 }}>{describeFeatures(row.features)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {filtered.length > MAX_ROWS && (
+                                <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-xs)' }}>
+                                    Showing the first {MAX_ROWS} of {filtered.length.toLocaleString()}; narrow the filter to see the rest.
+                                </p>
+                            )}
+
+                            {!progress && <button className="clear-btn" onClick={onClear}>✕ Clear Results</button>}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
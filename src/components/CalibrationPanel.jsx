@@ -0,0 +1,211 @@
+import React from 'react';
+import { CALIBRATION_FIELDS } from '../utils/calibration.js';
+
+const TARGETS = [
+    { value: 'pipe', label: 'Pipe (known diameter)' },
+    { value: 'plate', label: 'Flat plate (known range)' },
+];
+
+const formatValue = (v) => (Math.abs(v) >= 100 ? v.toFixed(2) : v.toFixed(4));
+
+/**
+ * CalibrationPanel — solve laser system parameters from scans of a known target.
+ */
+export default function CalibrationPanel({
+    fileInfo,
+    selectedProfile,
+    settings,
+    onSettingsChange,
+    onCalibrate,
+    onCancel,
+    progress,
+    result,
+    onApply,
+    onClearResult,
+}) {
+    const { profiles, fitKeys } = settings;
+
+    const toggleKey = (key) => {
+        const next = fitKeys.includes(key) ? fitKeys.filter(k => k !== key) : [...fitKeys, key];
+        onSettingsChange({ ...settings, fitKeys: next });
+    };
+
+    const addProfile = () => {
+        if (profiles.includes(selectedProfile)) return;
+        onSettingsChange({ ...settings, profiles: [...profiles, selectedProfile].sort((a, b) => a - b) });
+    };
+
+    const removeProfile = (index) => {
+        onSettingsChange({ ...settings, profiles: profiles.filter(p => p !== index) });
+    };
+
+    const handleNumber = (key) => (e) => {
+        const val = parseFloat(e.target.value);
+        if (!isNaN(val) && val > 0) onSettingsChange({ ...settings, [key]: val });
+    };
+
+    const fieldLabel = (key) => CALIBRATION_FIELDS.find(f => f.key === key)?.label || key;
+    const fieldUnit = (key) => CALIBRATION_FIELDS.find(f => f.key === key)?.unit || '';
+
+    // Calibrate on the listed profiles, or the selected one if none are listed
+    const targetProfiles = profiles.length > 0 ? profiles : [selectedProfile];
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(234, 179, 8, 0.15)', color: '#eab308' }}>◈</div>
+                <span className="panel-title">Calibration</span>
+            </div>
+
+            {!fileInfo ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Load a .bin file containing scans of a calibration target.
+                </p>
+            ) : (
+                <>
+                    <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                        <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Target</label>
+                        <select
+                            className="form-input"
+                            value={settings.targetType}
+                            onChange={(e) => onSettingsChange({ ...settings, targetType: e.target.value })}
+                            style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                        >
+                            {TARGETS.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                        </select>
+                    </div>
+
+                    <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                        <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                            {settings.targetType === 'pipe' ? 'Pipe Diameter' : 'Plate Range (Z)'}
+                            <span className="form-unit">mm</span>
+                        </label>
+                        <input
+                            className="form-input"
+                            type="number"
+                            step={1}
+                            value={settings.targetType === 'pipe' ? settings.diameter : settings.range}
+                            onChange={handleNumber(settings.targetType === 'pipe' ? 'diameter' : 'range')}
+                            style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                        />
+                    </div>
+
+                    {/* Profiles of the target */}
+                    <div className="form-label" style={{ color: 'var(--accent-blue)', margin: 'var(--space-sm) 0 var(--space-xs)' }}>
+                        Target Profiles
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginBottom: 'var(--space-xs)' }}>
+                        {profiles.length === 0 && (
+                            <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                                None — the selected profile is used
+                            </span>
+                        )}
+                        {profiles.map(p => (
+                            <button key={p} className="view-btn" onClick={() => removeProfile(p)} title="Remove">
+                                #{p + 1} ✕
+                            </button>
+                        ))}
+                    </div>
+                    <button className="step-btn" onClick={addProfile} disabled={profiles.includes(selectedProfile)}>
+                        + Add profile #{selectedProfile + 1}
+                    </button>
+
+                    {/* Parameters to solve for */}
+                    <div className="form-label" style={{ color: 'var(--accent-blue)', margin: 'var(--space-sm) 0 var(--space-xs)' }}>
+                        Solve For
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 8px' }}>
+                        {CALIBRATION_FIELDS.map(({ key, label }) => (
+                            <label key={key} style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', display: 'flex', gap: 4, alignItems: 'center' }}>
+                                <input type="checkbox" checked={fitKeys.includes(key)} onChange={() => toggleKey(key)} />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+
+                    {progress ? (
+                        <div className="load-progress">
+                            <div className="load-progress-text">
+                                Solving… iteration {progress.iteration ?? 0}{progress.rms !== undefined ? ` · RMS ${progress.rms.toFixed(3)} mm` : ''}
+                            </div>
+                            <button className="clear-btn" onClick={onCancel}>✕ Cancel</button>
+                        </div>
+                    ) : (
+                        <button
+                            className="primary-btn"
+                            style={{ marginTop: 'var(--space-sm)' }}
+                            disabled={fitKeys.length === 0}
+                            onClick={() => onCalibrate(targetProfiles)}
+                        >
+                            Calibrate on {targetProfiles.length} profile{targetProfiles.length > 1 ? 's' : ''}
+                        </button>
+                    )}
+
+                    {result && !progress && (
+                        <div className="results-section">
+                            <div className="result-row">
+                                <span className="result-label">Status</span>
+                                {result.converged ? (
+                                    <span className="result-badge detected">● Converged ({result.iterations} it.)</span>
+                                ) : (
+                                    <span className="result-badge not-detected">○ Not converged</span>
+                                )}
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">RMS / Max Residual</span>
+                                <span className="result-value good">{result.rms.toFixed(3)} / {result.maxResidual.toFixed(2)} mm</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Points</span>
+                                <span className="result-value">{result.residualCount.toLocaleString()} in {result.samples.length} profiles</span>
+                            </div>
+                            {result.missing.length > 0 && (
+                                <div className="result-row">
+                                    <span className="result-label">Target Not Found</span>
+                                    <span className="result-value">{result.missing.map(i => `#${i + 1}`).join(', ')}</span>
+                                </div>
+                            )}
+
+                            <table style={{ width: '100%', fontSize: 'var(--font-size-xs)', marginTop: 'var(--space-xs)', borderCollapse: 'collapse' }}>
+                                <thead>
+                                    <tr style={{ color: 'var(--text-muted)', textAlign: 'right' }}>
+                                        <th style={{ textAlign: 'left' }}>Param</th>
+                                        <th>Initial</th>
+                                        <th>Fitted</th>
+                                        <th>± 1σ</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.fitted.map(f => (
+                                        <tr
+                                            key={f.key}
+                                            style={{ textAlign: 'right', fontFamily: 'monospace' }}
+                                            title={f.maxCorrelation ? `Strongest correlation: ${fieldLabel(f.maxCorrelation.key)} (${f.maxCorrelation.value.toFixed(2)})` : undefined}
+                                        >
+                                            <td style={{ textAlign: 'left', fontFamily: 'inherit' }}>{fieldLabel(f.key)}</td>
+                                            <td>{formatValue(f.initial)}</td>
+                                            <td>{formatValue(f.value)}</td>
+                                            <td style={{ color: f.maxCorrelation && Math.abs(f.maxCorrelation.value) > 0.95 ? '#fb923c' : undefined }}>
+                                                {f.stdDev !== null ? `${f.stdDev.toPrecision(2)} ${fieldUnit(f.key)}` : '—'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {result.fitted.some(f => f.maxCorrelation && Math.abs(f.maxCorrelation.value) > 0.95) && (
+                                <p style={{ fontSize: 'var(--font-size-xs)', color: '#fb923c', marginTop: 'var(--space-xs)' }}>
+                                    Highlighted parameters are strongly correlated; add profiles at other ranges or fit fewer parameters.
+                                </p>
+                            )}
+
+                            <button className="primary-btn" style={{ marginTop: 'var(--space-sm)' }} onClick={onApply}>
+                                Apply to System Settings
+                            </button>
+                            <button className="clear-btn" onClick={onClearResult}>✕ Discard Result</button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
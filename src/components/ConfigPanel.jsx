@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * ConfigPanel — save, load, import and export named processing configurations.
+ */
+export default function ConfigPanel({
+    configs,
+    activeName,
+    autoSelectedSerial,
+    currentSerial,
+    onSelect,
+    onSave,
+    onDelete,
+    onImport,
+    onExport,
+}) {
+    const active = configs.find(c => c.name === activeName) || null;
+    const [name, setName] = useState('');
+    const [serials, setSerials] = useState('');
+    const [error, setError] = useState(null);
+
+    // Pre-fill the save form from the active configuration, or the file's sensor
+    useEffect(() => {
+        setName(active?.name || '');
+        setSerials(active ? active.sensorSerials.join(', ') : (currentSerial || ''));
+    }, [active, currentSerial]);
+
+    const run = async (action) => {
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!window.electronAPI) {
+        return (
+            <div className="panel">
+                <div className="panel-header">
+                    <div className="panel-icon" style={{ background: 'rgba(100, 116, 139, 0.15)', color: '#94a3b8' }}>⚙</div>
+                    <span className="panel-title">Configurations</span>
+                </div>
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Saved configurations are only available in the desktop app.
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(100, 116, 139, 0.15)', color: '#94a3b8' }}>⚙</div>
+                <span className="panel-title">Configurations</span>
+            </div>
+
+            <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Active Configuration</label>
+                <select
+                    className="form-input"
+                    value={activeName || ''}
+                    onChange={(e) => onSelect(e.target.value || null)}
+                    style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                >
+                    <option value="">— Defaults —</option>
+                    {configs.map(c => (
+                        <option key={c.name} value={c.name}>
+                            {c.name}{c.sensorSerials.length > 0 ? ` (${c.sensorSerials.join(', ')})` : ''}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {autoSelectedSerial && active && (
+                <div className="result-row">
+                    <span className="result-label">Sensor {autoSelectedSerial}</span>
+                    <span className="result-badge detected">● Auto-selected</span>
+                </div>
+            )}
+            {currentSerial && !active && configs.length > 0 && (
+                <div className="result-row">
+                    <span className="result-label">Sensor {currentSerial}</span>
+                    <span className="result-badge not-detected">○ No matching config</span>
+                </div>
+            )}
+
+            <div className="form-group" style={{ margin: 'var(--space-sm) 0 var(--space-xs)' }}>
+                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Name</label>
+                <input
+                    className="form-input"
+                    type="text"
+                    value={name}
+                    placeholder="e.g. ROV-2 starboard rig"
+                    onChange={(e) => setName(e.target.value)}
+                    style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                />
+            </div>
+            <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                    Sensor Serials
+                    <span className="form-unit">comma separated</span>
+                </label>
+                <input
+                    className="form-input"
+                    type="text"
+                    value={serials}
+                    onChange={(e) => setSerials(e.target.value)}
+                    style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                />
+            </div>
+
+            <button
+                className="primary-btn"
+                style={{ marginTop: 'var(--space-xs)' }}
+                disabled={!name.trim()}
+                onClick={() => run(() => onSave(name, serials.split(',')))}
+            >
+                {configs.some(c => c.name === name.trim()) ? 'Update Configuration' : 'Save Current Settings'}
+            </button>
+
+            <div style={{ display: 'flex', gap: 'var(--space-xs)', marginTop: 'var(--space-sm)' }}>
+                <button className="step-btn" onClick={() => run(onImport)}>Import…</button>
+                <button className="step-btn" disabled={!active} onClick={() => run(() => onExport(active))}>Export…</button>
+                <button className="step-btn" disabled={!active} onClick={() => run(() => onDelete(active.name))}>Delete</button>
+            </div>
+
+            {error && <div className="file-error">{error}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from 'react';
+import { EVENT_STATUSES, EVENT_TYPES, filterEvents, updateEvent, commentEvent } from '../utils/eventStore.js';
+
+const STATUS_BY_VALUE = Object.fromEntries(EVENT_STATUSES.map(s => [s.value, s]));
+
+const smallInputStyle = { padding: '4px 8px', fontSize: 'var(--font-size-sm)' };
+
+/**
+ * EventsPanel — the stored inspection events of the open file: filter and
+ * browse them, jump to one, and review it (accept, reject, retype, comment).
+ */
+export default function EventsPanel({
+    fileInfo,
+    events,
+    filter,
+    onFilterChange,
+    selectedEventId,
+    onSelectEvent,
+    onSaveEvents,
+    onImportBatch,
+    batchAvailable,
+    persistent,
+}) {
+    const [comment, setComment] = useState('');
+
+    const visible = useMemo(() => filterEvents(events, filter), [events, filter]);
+    const selected = events.find(e => e.id === selectedEventId) || null;
+    const types = useMemo(() => [...new Set([...EVENT_TYPES, ...events.map(e => e.type)])], [events]);
+
+    const counts = useMemo(() => {
+        const result = Object.fromEntries(EVENT_STATUSES.map(s => [s.value, 0]));
+        events.forEach(e => { result[e.status] = (result[e.status] || 0) + 1; });
+        return result;
+    }, [events]);
+
+    const handleComment = () => {
+        if (!selected || !comment.trim()) return;
+        onSaveEvents([commentEvent(selected, comment.trim())]);
+        setComment('');
+    };
+
+    const renderSelect = (key, label, options) => (
+        <div className="form-group" style={{ flex: 1, marginBottom: 'var(--space-xs)' }}>
+            <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>{label}</label>
+            <select
+                className="form-input"
+                value={filter[key]}
+                onChange={(e) => onFilterChange({ ...filter, [key]: e.target.value })}
+                style={smallInputStyle}
+            >
+                <option value="">All</option>
+                {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+        </div>
+    );
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(34, 197, 94, 0.15)', color: '#22c55e' }}>✓</div>
+                <span className="panel-title">Event Review</span>
+            </div>
+
+            {!fileInfo ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Load a .bin file to review its detection events.
+                </p>
+            ) : (
+                <>
+                    <div className="result-row">
+                        <span className="result-label">Events</span>
+                        <span className="result-value">
+                            {events.length}
+                            {events.length > 0 && ` · ${EVENT_STATUSES.map(s => `${counts[s.value]} ${s.label.toLowerCase()}`).join(' · ')}`}
+                        </span>
+                    </div>
+
+                    {batchAvailable && (
+                        <button className="step-btn" style={{ width: '100%', marginBottom: 'var(--space-sm)' }} onClick={onImportBatch}>
+                            + Add Detections From Batch Results
+                        </button>
+                    )}
+
+                    <div style={{ display: 'flex', gap: 'var(--space-sm)' }}>
+                        {renderSelect('type', 'Type', types.map(t => ({ value: t, label: t })))}
+                        {renderSelect('status', 'Status', EVENT_STATUSES)}
+                    </div>
+                    <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                        <input
+                            className="form-input"
+                            type="text"
+                            placeholder="Search type or comments…"
+                            value={filter.text}
+                            onChange={(e) => onFilterChange({ ...filter, text: e.target.value })}
+                            style={smallInputStyle}
+                        />
+                    </div>
+
+                    {visible.length > 0 ? (
+                        <div style={{ maxHeight: 220, overflowY: 'auto' }}>
+                            <table style={{ width: '100%', fontSize: 'var(--font-size-xs)', borderCollapse: 'collapse' }}>
+                                <thead>
+                                    <tr style={{ color: 'var(--text-muted)', textAlign: 'right' }}>
+                                        <th style={{ textAlign: 'left' }}>Profile</th>
+                                        <th style={{ textAlign: 'left' }}>Type</th>
+                                        <th>Conf</th>
+                                        <th>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {visible.map(e => (
+                                        <tr
+                                            key={e.id}
+                                            onClick={() => onSelectEvent(e)}
+                                            title={e.comments.length > 0 ? e.comments[e.comments.length - 1].text : 'Go to this event'}
+                                            style={{
+                                                cursor: 'pointer',
+                                                textAlign: 'right',
+                                                fontFamily: 'monospace',
+                                                color: e.id === selectedEventId ? 'var(--accent-blue)' : 'var(--text-secondary)',
+                                            }}
+                                        >
+                                            <td style={{ textAlign: 'left' }}>{e.profile + 1}</td>
+                                            <td style={{ textAlign: 'left' }}>{e.type}{e.comments.length > 0 ? ' ✎' : ''}</td>
+                                            <td>{e.confidence === null ? '—' : `${(e.confidence * 100).toFixed(0)}%`}</td>
+                                            <td style={{ color: STATUS_BY_VALUE[e.status]?.color }}>{STATUS_BY_VALUE[e.status]?.label || e.status}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                            {events.length === 0
+                                ? 'No events yet. Detections are added as profiles are viewed with feature detection on.'
+                                : 'No events match the filter.'}
+                        </p>
+                    )}
+
+                    {selected && (
+                        <div className="results-section">
+                            <div className="result-row">
+                                <span className="result-label">Profile {selected.profile + 1}</span>
+                                <span className="result-value">
+                                    X {selected.bounds.xMin.toFixed(0)}…{selected.bounds.xMax.toFixed(0)} · Z {selected.bounds.zMin.toFixed(0)}…{selected.bounds.zMax.toFixed(0)} mm
+                                </span>
+                            </div>
+
+                            <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Type</label>
+                                <select
+                                    className="form-input"
+                                    value={selected.type}
+                                    onChange={(e) => onSaveEvents([updateEvent(selected, { type: e.target.value })])}
+                                    style={smallInputStyle}
+                                >
+                                    {types.map(t => <option key={t} value={t}>{t}</option>)}
+                                </select>
+                            </div>
+
+                            <div className="step-button-group">
+                                <button
+                                    className="step-btn"
+                                    disabled={selected.status === 'accepted'}
+                                    onClick={() => onSaveEvents([updateEvent(selected, { status: 'accepted' })])}
+                                >
+                                    ✓ Accept
+                                </button>
+                                <button
+                                    className="step-btn"
+                                    disabled={selected.status === 'rejected'}
+                                    onClick={() => onSaveEvents([updateEvent(selected, { status: 'rejected' })])}
+                                >
+                                    ✕ Reject
+                                </button>
+                            </div>
+
+                            {selected.comments.map((c, i) => (
+                                <div key={i} style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', marginTop: 'var(--space-xs)' }}>
+                                    <span style={{ color: 'var(--text-muted)' }}>{new Date(c.at).toLocaleString()}</span> — {c.text}
+                                </div>
+                            ))}
+                            <div style={{ display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-sm)' }}>
+                                <input
+                                    className="form-input"
+                                    type="text"
+                                    placeholder="Add a comment…"
+                                    value={comment}
+                                    onChange={(e) => setComment(e.target.value)}
+                                    onKeyDown={(e) => { if (e.key === 'Enter') handleComment(); }}
+                                    style={{ ...smallInputStyle, flex: 1 }}
+                                />
+                                <button className="step-btn" style={{ flex: 'none' }} disabled={!comment.trim()} onClick={handleComment}>
+                                    Add
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!persistent && (
+                        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+                            Running outside the desktop app: events are kept for this session only.
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
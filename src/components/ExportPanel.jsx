@@ -0,0 +1,163 @@
+import React from 'react';
+import { EXPORT_FORMATS } from '../utils/pointExport.js';
+
+const SCOPES = [
+    { value: 'current', label: 'Current profile' },
+    { value: 'range', label: 'Profile range' },
+    { value: 'all', label: 'Whole file' },
+];
+
+/**
+ * ExportPanel — write triangulated points to XYZ, PLY or LAS files.
+ */
+export default function ExportPanel({
+    fileInfo,
+    selectedProfile,
+    settings,
+    onSettingsChange,
+    navAvailable,
+    onExport,
+    onCancel,
+    progress,
+    lastExport,
+}) {
+    const handleRange = (key) => (e) => {
+        const val = parseInt(e.target.value, 10);
+        if (!isNaN(val) && val >= 1) onSettingsChange({ ...settings, [key]: val });
+    };
+
+    // Profiles to export as [start, count], 0-based
+    let start = 0, count = 0;
+    if (fileInfo) {
+        if (settings.scope === 'current') {
+            start = selectedProfile;
+            count = 1;
+        } else if (settings.scope === 'range') {
+            start = Math.min(settings.rangeStart, fileInfo.profileCount) - 1;
+            count = Math.max(0, Math.min(settings.rangeEnd, fileInfo.profileCount) - start);
+        } else {
+            count = fileInfo.profileCount;
+        }
+    }
+
+    const georeference = settings.georeference && navAvailable;
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(236, 72, 153, 0.15)', color: '#ec4899' }}>⇩</div>
+                <span className="panel-title">Point Export</span>
+            </div>
+
+            {!fileInfo ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Load a .bin file to export triangulated points.
+                </p>
+            ) : (
+                <>
+                    <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                        <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Format</label>
+                        <select
+                            className="form-input"
+                            value={settings.format}
+                            onChange={(e) => onSettingsChange({ ...settings, format: e.target.value })}
+                            style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                        >
+                            {Object.entries(EXPORT_FORMATS).map(([value, f]) => <option key={value} value={value}>{f.label}</option>)}
+                        </select>
+                    </div>
+
+                    <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                        <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Profiles</label>
+                        <select
+                            className="form-input"
+                            value={settings.scope}
+                            onChange={(e) => onSettingsChange({ ...settings, scope: e.target.value })}
+                            style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                        >
+                            {SCOPES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                        </select>
+                    </div>
+
+                    {settings.scope === 'range' && (
+                        <div style={{ display: 'flex', gap: 'var(--space-sm)' }}>
+                            {[['rangeStart', 'From'], ['rangeEnd', 'To']].map(([key, label]) => (
+                                <div className="form-group" key={key} style={{ flex: 1, marginBottom: 'var(--space-xs)' }}>
+                                    <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>{label}</label>
+                                    <input
+                                        className="form-input"
+                                        type="number"
+                                        min={1}
+                                        max={fileInfo.profileCount}
+                                        value={settings[key]}
+                                        onChange={handleRange(key)}
+                                        style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="toggle-row">
+                        <span className="toggle-label">Georeference (nav)</span>
+                        <label className="toggle-switch">
+                            <input
+                                type="checkbox"
+                                checked={georeference}
+                                disabled={!navAvailable}
+                                onChange={(e) => onSettingsChange({ ...settings, georeference: e.target.checked })}
+                            />
+                            <span className="toggle-slider"></span>
+                        </label>
+                    </div>
+
+                    {!window.electronAPI && (
+                        <div className="file-error">Export is only available in the desktop app.</div>
+                    )}
+
+                    {progress ? (
+                        <div className="load-progress">
+                            <div className="load-progress-track">
+                                <div className="load-progress-bar" style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+                            </div>
+                            <div className="load-progress-text">Exporting… {progress.done} / {progress.total} profiles</div>
+                            <button className="clear-btn" onClick={onCancel}>✕ Cancel</button>
+                        </div>
+                    ) : (
+                        <button
+                            className="primary-btn"
+                            style={{ marginTop: 'var(--space-sm)' }}
+                            disabled={count === 0 || !window.electronAPI}
+                            onClick={() => onExport(start, count)}
+                        >
+                            Export {count === 1 ? `profile ${start + 1}` : `profiles ${start + 1}–${start + count}`}
+                        </button>
+                    )}
+
+                    {lastExport && !progress && (
+                        <div className="results-section">
+                            <div className="result-row">
+                                <span className="result-label">Saved</span>
+                                <span className="result-value" title={lastExport.savedPath}>{lastExport.filename}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Points</span>
+                                <span className="result-value">{lastExport.pointCount.toLocaleString()}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Profiles</span>
+                                <span className="result-value">{lastExport.profileCount}</span>
+                            </div>
+                            {lastExport.unreferenced > 0 && (
+                                <div className="result-row">
+                                    <span className="result-label">Skipped (no nav fix)</span>
+                                    <span className="result-value">{lastExport.unreferenced}</span>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
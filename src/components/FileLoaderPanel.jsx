@@ -1,14 +1,26 @@
 import React, { useRef, useState } from 'react';
+import { PLAYBACK_MODES, PLAYBACK_SPEEDS } from '../utils/playback.js';
 
 /**
  * FileLoaderPanel — UI for loading .bin laser files and selecting profiles.
+ *
+ * The File itself is handed to `onFileLoaded`; the file is indexed in chunks
+ * and `loadProgress` reports how far that has got. Profiles can also be
+ * played back at a fixed rate or in survey time, optionally looping a range;
+ * `playbackRate` is the rate profiles are actually shown at.
  */
 export default function FileLoaderPanel({
     onFileLoaded,
+    loadProgress,
     fileInfo,
     selectedProfile,
     onProfileChange,
     onClearFile,
+    playing,
+    onTogglePlay,
+    playbackSettings,
+    onPlaybackSettingsChange,
+    playbackRate,
 }) {
     const fileInputRef = useRef(null);
     const [isDragging, setIsDragging] = useState(false);
@@ -21,8 +33,7 @@ export default function FileLoaderPanel({
             if (!file.name.toLowerCase().endsWith('.bin')) {
                 throw new Error('Please select a .bin file.');
             }
-            const buffer = await file.arrayBuffer();
-            onFileLoaded(buffer, file.name);
+            await onFileLoaded(file, file.name);
         } catch (e) {
             setError(e.message);
         }
@@ -50,6 +61,13 @@ export default function FileLoaderPanel({
         setIsDragging(false);
     };
 
+    const handlePlaybackNumber = (key, integer = false) => (e) => {
+        const val = integer ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+        if (!isNaN(val) && val > 0) onPlaybackSettingsChange({ ...playbackSettings, [key]: val });
+    };
+
+    const smallSelectStyle = { padding: '4px 8px', fontSize: 'var(--font-size-sm)' };
+
     return (
         <div className="panel">
             <div className="panel-header">
@@ -87,6 +105,21 @@ export default function FileLoaderPanel({
                 )}
             </div>
 
+            {/* Indexing progress */}
+            {loadProgress && (
+                <div className="load-progress">
+                    <div className="load-progress-track">
+                        <div
+                            className="load-progress-bar"
+                            style={{ width: `${loadProgress.totalBytes > 0 ? (loadProgress.bytesRead / loadProgress.totalBytes) * 100 : 0}%` }}
+                        />
+                    </div>
+                    <div className="load-progress-text">
+                        Indexing… {loadProgress.totalBytes > 0 ? ((loadProgress.bytesRead / loadProgress.totalBytes) * 100).toFixed(0) : 0}% · {loadProgress.profileCount.toLocaleString()} profiles
+                    </div>
+                </div>
+            )}
+
             {/* Error display */}
             {error && (
                 <div className="file-error">{error}</div>
@@ -116,6 +149,9 @@ export default function FileLoaderPanel({
                         >
                             ◀ Prev
                         </button>
+                        <button className="step-btn" onClick={onTogglePlay}>
+                            {playing ? '❚❚ Pause' : '▶ Play'}
+                        </button>
                         <button
                             className="step-btn"
                             disabled={selectedProfile === fileInfo.profileCount - 1}
@@ -124,6 +160,93 @@ export default function FileLoaderPanel({
                             Next ▶
                         </button>
                     </div>
+
+                    {/* Playback */}
+                    <div style={{ display: 'flex', gap: 'var(--space-sm)', marginTop: 'var(--space-sm)' }}>
+                        <div className="form-group" style={{ flex: 1, marginBottom: 'var(--space-xs)' }}>
+                            <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Playback</label>
+                            <select
+                                className="form-input"
+                                value={playbackSettings.mode}
+                                onChange={(e) => onPlaybackSettingsChange({ ...playbackSettings, mode: e.target.value })}
+                                style={smallSelectStyle}
+                            >
+                                {PLAYBACK_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                            </select>
+                        </div>
+                        {playbackSettings.mode === 'rate' ? (
+                            <div className="form-group" style={{ flex: 1, marginBottom: 'var(--space-xs)' }}>
+                                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                                    Rate
+                                    <span className="form-unit">profiles/s</span>
+                                </label>
+                                <input
+                                    className="form-input"
+                                    type="number"
+                                    step={1}
+                                    value={playbackSettings.rate}
+                                    onChange={handlePlaybackNumber('rate')}
+                                    style={smallSelectStyle}
+                                />
+                            </div>
+                        ) : (
+                            <div className="form-group" style={{ flex: 1, marginBottom: 'var(--space-xs)' }}>
+                                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Speed</label>
+                                <select
+                                    className="form-input"
+                                    value={playbackSettings.speed}
+                                    onChange={(e) => onPlaybackSettingsChange({ ...playbackSettings, speed: parseFloat(e.target.value) })}
+                                    style={smallSelectStyle}
+                                >
+                                    {PLAYBACK_SPEEDS.map(v => <option key={v} value={v}>{v}×</option>)}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="toggle-row">
+                        <span className="toggle-label">Loop Range</span>
+                        <label className="toggle-switch">
+                            <input
+                                type="checkbox"
+                                checked={playbackSettings.loop}
+                                onChange={(e) => onPlaybackSettingsChange({ ...playbackSettings, loop: e.target.checked })}
+                            />
+                            <span className="toggle-slider"></span>
+                        </label>
+                    </div>
+
+                    {playbackSettings.loop && (
+                        <div style={{ display: 'flex', gap: 'var(--space-sm)' }}>
+                            {[['loopStart', 'From'], ['loopEnd', 'To']].map(([key, label]) => (
+                                <div className="form-group" key={key} style={{ flex: 1, marginBottom: 'var(--space-xs)' }}>
+                                    <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>{label}</label>
+                                    <input
+                                        className="form-input"
+                                        type="number"
+                                        min={1}
+                                        max={fileInfo.profileCount}
+                                        value={playbackSettings[key]}
+                                        onChange={handlePlaybackNumber(key, true)}
+                                        style={smallSelectStyle}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {playing && playbackRate !== null && (
+                        <div className="result-row">
+                            <span className="result-label">Showing</span>
+                            <span className={`result-value ${playbackSettings.mode === 'rate' && playbackRate < playbackSettings.rate * 0.9 ? 'warn' : ''}`}>
+                                {playbackRate.toFixed(1)} profiles/s
+                            </span>
+                        </div>
+                    )}
+
+                    <div style={{ fontSize: '11px', color: 'var(--text-muted)', marginTop: 'var(--space-xs)' }}>
+                        Space play/pause · ←/→ step (Shift ×10) · Home/End · [ ] set loop start/end
+                    </div>
                 </div>
             )}
 
@@ -0,0 +1,197 @@
+import React, { useMemo } from 'react';
+import { computeAlongTrackPositions } from '../utils/profileAssembly.js';
+import { aggregateFreespans, aggregateAnodes } from '../utils/alongTrackEvents.js';
+
+/**
+ * InspectionPanel — along-track events (freespans, anodes) built from the batch results.
+ */
+export default function InspectionPanel({
+    rows,
+    spacing,
+    selectedProfile,
+    onProfileChange,
+    freespanSettings,
+    onFreespanSettingsChange,
+    anodeSettings,
+    onAnodeSettingsChange,
+}) {
+    const positions = useMemo(() => (rows ? computeAlongTrackPositions(rows.map(r => r.time), spacing) : null), [rows, spacing]);
+    const freespans = useMemo(
+        () => (rows ? aggregateFreespans(rows, positions, freespanSettings) : []),
+        [rows, positions, freespanSettings]
+    );
+    const anodes = useMemo(
+        () => (rows ? aggregateAnodes(rows, positions, anodeSettings) : { anodes: [], missing: [] }),
+        [rows, positions, anodeSettings]
+    );
+
+    // Anodes and the gaps where one was expected, in along-track order
+    const anodeList = useMemo(
+        () => [...anodes.anodes, ...anodes.missing].sort((a, b) => a.position - b.position),
+        [anodes]
+    );
+
+    const handleNumber = (settings, onChange, key, min = 0) => (e) => {
+        const val = parseFloat(e.target.value);
+        if (!isNaN(val) && val >= min) onChange({ ...settings, [key]: val });
+    };
+
+    const renderNumber = (settings, onChange, key, label, unit, step, min) => (
+        <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+            <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                {label}
+                <span className="form-unit">{unit}</span>
+            </label>
+            <input
+                className="form-input"
+                type="number"
+                step={step}
+                value={settings[key]}
+                onChange={handleNumber(settings, onChange, key, min)}
+                style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+            />
+        </div>
+    );
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(6, 182, 212, 0.15)', color: '#06b6d4' }}>⌓</div>
+                <span className="panel-title">Inspection Events</span>
+            </div>
+
+            {!rows ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Process all profiles to list freespans and anodes along the file.
+                </p>
+            ) : (
+                <>
+                    <div className="form-label" style={{ color: 'var(--accent-blue)', marginBottom: 'var(--space-xs)' }}>
+                        Freespans
+                    </div>
+                    {renderNumber(freespanSettings, onFreespanSettingsChange, 'minHeight', 'Min Gap Height', 'mm', 5, 0)}
+                    {renderNumber(freespanSettings, onFreespanSettingsChange, 'minLength', 'Min Span Length', 'mm', 100, 0)}
+                    {renderNumber(freespanSettings, onFreespanSettingsChange, 'bridgeProfiles', 'Merge Across', 'profiles', 1, 0)}
+                    <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                        Lengths use the along-track spacing set under Along-Track Assembly.
+                    </p>
+
+                    <div className="results-section">
+                        <div className="result-row">
+                            <span className="result-label">Spans</span>
+                            <span className="result-value">
+                                {freespans.length}
+                                {freespans.length > 0 && ` · ${(freespans.reduce((sum, s) => sum + s.length, 0) / 1000).toFixed(2)} m total`}
+                            </span>
+                        </div>
+
+                        {freespans.length > 0 && (
+                            <div style={{ maxHeight: 200, overflowY: 'auto' }}>
+                                <table style={{ width: '100%', fontSize: 'var(--font-size-xs)', borderCollapse: 'collapse' }}>
+                                    <thead>
+                                        <tr style={{ color: 'var(--text-muted)', textAlign: 'right' }}>
+                                            <th style={{ textAlign: 'left' }}>Profiles</th>
+                                            <th>Length</th>
+                                            <th>Max</th>
+                                            <th>Mean</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {freespans.map(s => (
+                                            <tr
+                                                key={s.startIndex}
+                                                onClick={() => onProfileChange(s.maxHeightIndex)}
+                                                title="Go to the profile with the largest gap"
+                                                style={{
+                                                    cursor: 'pointer',
+                                                    textAlign: 'right',
+                                                    fontFamily: 'monospace',
+                                                    color: selectedProfile >= s.startIndex && selectedProfile <= s.endIndex
+                                                        ? 'var(--accent-blue)'
+                                                        : 'var(--text-secondary)',
+                                                }}
+                                            >
+                                                <td style={{ textAlign: 'left' }}>{s.startIndex + 1}–{s.endIndex + 1}</td>
+                                                <td>{(s.length / 1000).toFixed(2)} m</td>
+                                                <td>{s.maxHeight.toFixed(0)}</td>
+                                                <td>{s.meanHeight.toFixed(0)} mm</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="form-label" style={{ color: 'var(--accent-blue)', margin: 'var(--space-md) 0 var(--space-xs)' }}>
+                        Anodes
+                    </div>
+                    {renderNumber(anodeSettings, onAnodeSettingsChange, 'expectedSpacing', 'Expected Spacing', 'mm', 1000, 0)}
+                    {renderNumber(anodeSettings, onAnodeSettingsChange, 'spacingTolerance', 'Spacing Tolerance', '× spacing', 0.05, 0)}
+                    {renderNumber(anodeSettings, onAnodeSettingsChange, 'minConfidence', 'Min Confidence', '0–1', 0.05, 0)}
+                    {renderNumber(anodeSettings, onAnodeSettingsChange, 'bridgeProfiles', 'Merge Across', 'profiles', 1, 0)}
+                    <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                        Gaps longer than the expected spacing plus tolerance are listed as missing anodes; 0 turns the check off.
+                    </p>
+
+                    <div className="results-section">
+                        <div className="result-row">
+                            <span className="result-label">Anodes / Missing</span>
+                            <span className={`result-value ${anodes.missing.length > 0 ? 'warn' : ''}`}>
+                                {anodes.anodes.length} / {anodes.missing.length}
+                            </span>
+                        </div>
+
+                        {anodeList.length > 0 && (
+                            <div style={{ maxHeight: 200, overflowY: 'auto' }}>
+                                <table style={{ width: '100%', fontSize: 'var(--font-size-xs)', borderCollapse: 'collapse' }}>
+                                    <thead>
+                                        <tr style={{ color: 'var(--text-muted)', textAlign: 'right' }}>
+                                            <th style={{ textAlign: 'left' }}>Profiles</th>
+                                            <th>At</th>
+                                            <th>Length</th>
+                                            <th>Spacing</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {anodeList.map(a => (a.type === 'MissingAnode' ? (
+                                            <tr
+                                                key={`missing-${a.position}`}
+                                                onClick={() => onProfileChange(a.index)}
+                                                title="Go to where the anode was expected"
+                                                style={{ cursor: 'pointer', textAlign: 'right', fontFamily: 'monospace', color: 'var(--accent-red)' }}
+                                            >
+                                                <td style={{ textAlign: 'left' }}>~{a.index + 1}</td>
+                                                <td>{(a.position / 1000).toFixed(2)} m</td>
+                                                <td colSpan={2}>missing</td>
+                                            </tr>
+                                        ) : (
+                                            <tr
+                                                key={a.startIndex}
+                                                onClick={() => onProfileChange(a.startIndex)}
+                                                title={`Go to the anode (${a.source === 'both' ? 'features and pipe fit' : a.source === 'pipe' ? 'pipe fit' : 'features'})`}
+                                                style={{
+                                                    cursor: 'pointer',
+                                                    textAlign: 'right',
+                                                    fontFamily: 'monospace',
+                                                    color: selectedProfile >= a.startIndex && selectedProfile <= a.endIndex
+                                                        ? 'var(--accent-blue)'
+                                                        : 'var(--text-secondary)',
+                                                }}
+                                            >
+                                                <td style={{ textAlign: 'left' }}>{a.startIndex + 1}–{a.endIndex + 1}</td>
+                                                <td>{(a.position / 1000).toFixed(2)} m</td>
+                                                <td>{a.length.toFixed(0)} mm</td>
+                                                <td>{a.spacing === null ? '—' : `${(a.spacing / 1000).toFixed(2)} m`}</td>
+                                            </tr>
+                                        )))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -41,6 +41,23 @@ export default function LaserSystemPanel({ params, onChange }) {
         { key: 'pixelSize', label: 'Pixel Size', unit: 'µm', step: 0.1 },
     ];
 
+    const lensParams = [
+        { key: 'principalX', label: 'Principal Point X', unit: 'px', step: 1 },
+        { key: 'principalY', label: 'Principal Point Y', unit: 'px', step: 1 },
+        { key: 'k1', label: 'Radial k1', unit: '', step: 0.001 },
+        { key: 'k2', label: 'Radial k2', unit: '', step: 0.001 },
+        { key: 'k3', label: 'Radial k3', unit: '', step: 0.001 },
+        { key: 'p1', label: 'Tangential p1', unit: '', step: 0.0001 },
+        { key: 'p2', label: 'Tangential p2', unit: '', step: 0.0001 },
+    ];
+
+    const portParams = [
+        { key: 'portDistance', label: 'Lens to Port', unit: 'mm', step: 0.1 },
+        { key: 'portThickness', label: 'Glass Thickness', unit: 'mm', step: 0.1 },
+        { key: 'glassIndex', label: 'Glass Index', unit: '', step: 0.01 },
+        { key: 'waterIndex', label: 'Water Index', unit: '', step: 0.01 },
+    ];
+
     const camParams = [
         { key: 'camX', label: 'X', unit: 'mm', step: 1 },
         { key: 'camY', label: 'Y', unit: 'mm', step: 1 },
@@ -68,6 +85,8 @@ export default function LaserSystemPanel({ params, onChange }) {
 
             <div style={{ maxHeight: '400px', overflowY: 'auto', paddingRight: '4px' }}>
                 {renderGroup('Triangulation', triangParams)}
+                {renderGroup('Lens Distortion', lensParams)}
+                {renderGroup('Flat Port', portParams)}
                 {renderGroup('Camera Pose', camParams)}
                 {renderGroup('Laser Pose', laserParams)}
             </div>
@@ -0,0 +1,153 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * NavigationPanel — import a vehicle navigation file and set the sensor
+ * mounting used to georeference triangulated points.
+ */
+export default function NavigationPanel({
+    navInfo,
+    onNavLoaded,
+    onClearNav,
+    mounting,
+    onMountingChange,
+    currentFix,
+    pipeFix,
+    hasProfile,
+}) {
+    const fileInputRef = useRef(null);
+    const [error, setError] = useState(null);
+
+    const handleInputChange = async (e) => {
+        const file = e.target.files[0];
+        // Reset input so the same file can be re-selected
+        e.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        try {
+            await onNavLoaded(await file.text(), file.name);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleChange = (key) => (e) => {
+        const val = parseFloat(e.target.value);
+        if (!isNaN(val)) {
+            onMountingChange({ ...mounting, [key]: val });
+        }
+    };
+
+    const mountingFields = [
+        { key: 'leverX', label: 'Lever X (fwd)', unit: 'm', step: 0.01 },
+        { key: 'leverY', label: 'Lever Y (stbd)', unit: 'm', step: 0.01 },
+        { key: 'leverZ', label: 'Lever Z (down)', unit: 'm', step: 0.01 },
+        { key: 'mountRoll', label: 'Mount Roll', unit: '°', step: 0.1 },
+        { key: 'mountPitch', label: 'Mount Pitch', unit: '°', step: 0.1 },
+        { key: 'mountHeading', label: 'Mount Heading', unit: '°', step: 0.1 },
+    ];
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(20, 184, 166, 0.15)', color: '#14b8a6' }}>⌖</div>
+                <span className="panel-title">Navigation</span>
+            </div>
+
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.txt,.nav,.nmea"
+                onChange={handleInputChange}
+                style={{ display: 'none' }}
+            />
+
+            {navInfo ? (
+                <div className="drop-zone has-file" onClick={() => fileInputRef.current?.click()}>
+                    <div className="drop-zone-loaded">
+                        <span className="drop-zone-filename">{navInfo.fileName}</span>
+                        <span className="drop-zone-meta">
+                            {navInfo.recordCount} records{navInfo.skipped > 0 ? ` · ${navInfo.skipped} skipped` : ''}{navInfo.timeOfDay ? ' · time of day' : ''}
+                        </span>
+                    </div>
+                </div>
+            ) : (
+                <div className="drop-zone" onClick={() => fileInputRef.current?.click()}>
+                    <div className="drop-zone-empty">
+                        <span className="drop-zone-icon">⬆</span>
+                        <span className="drop-zone-text">Load nav file (CSV / NMEA)</span>
+                    </div>
+                </div>
+            )}
+
+            {error && <div className="file-error">{error}</div>}
+
+            <div style={{ marginTop: 'var(--space-md)' }}>
+                <div className="form-label" style={{ color: 'var(--accent-blue)', marginBottom: 'var(--space-xs)' }}>
+                    Sensor Mounting
+                </div>
+                {mountingFields.map(({ key, label, unit, step }) => (
+                    <div className="form-group" key={key} style={{ marginBottom: 'var(--space-xs)' }}>
+                        <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                            {label}
+                            <span className="form-unit">{unit}</span>
+                        </label>
+                        <input
+                            className="form-input"
+                            type="number"
+                            step={step}
+                            value={mounting[key]}
+                            onChange={handleChange(key)}
+                            style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            {navInfo && hasProfile && (
+                <div className="results-section">
+                    <div className="result-row">
+                        <span className="result-label">Profile Fix</span>
+                        {currentFix ? (
+                            <span className="result-badge detected">● Matched</span>
+                        ) : (
+                            <span className="result-badge not-detected">○ No nav at profile time</span>
+                        )}
+                    </div>
+                    {currentFix && (
+                        <>
+                            <div className="result-row">
+                                <span className="result-label">Easting</span>
+                                <span className="result-value">{currentFix.easting.toFixed(2)} m</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Northing</span>
+                                <span className="result-value">{currentFix.northing.toFixed(2)} m</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Depth</span>
+                                <span className="result-value">{currentFix.depth.toFixed(2)} m</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Heading / Pitch / Roll</span>
+                                <span className="result-value">
+                                    {currentFix.heading.toFixed(1)}° / {currentFix.pitch.toFixed(1)}° / {currentFix.roll.toFixed(1)}°
+                                </span>
+                            </div>
+                            {pipeFix && (
+                                <div className="result-row">
+                                    <span className="result-label">Pipe Centre E / N</span>
+                                    <span className="result-value good">{pipeFix.x.toFixed(2)} / {pipeFix.y.toFixed(2)}</span>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+
+            {navInfo && (
+                <button className="clear-btn" onClick={onClearNav}>✕ Clear Navigation</button>
+            )}
+        </div>
+    );
+}
@@ -10,6 +10,10 @@ export default function ObjectDetectionPanel({
     onPointCleaningToggle,
     pointCleaningParams,
     onPointCleaningParamsChange,
+    qualityFilterEnabled,
+    onQualityFilterToggle,
+    qualityParams,
+    onQualityParamsChange,
     detectionStatus,
     detectedFeatures = [],
     lastLogTime,
@@ -75,6 +79,42 @@ export default function ObjectDetectionPanel({
                 </div>
             )}
 
+            {/* Low-Quality Return Rejection */}
+            <div className="toggle-row">
+                <span className="toggle-label">Reject Weak Returns</span>
+                <label className="toggle-switch">
+                    <input
+                        type="checkbox"
+                        checked={qualityFilterEnabled}
+                        onChange={(e) => onQualityFilterToggle(e.target.checked)}
+                    />
+                    <span className="toggle-slider"></span>
+                </label>
+            </div>
+
+            {qualityFilterEnabled && qualityParams && (
+                <div style={{ marginTop: 'var(--space-xs)', marginBottom: 'var(--space-md)', padding: 'var(--space-sm)', background: 'rgba(0,0,0,0.2)', borderRadius: 'var(--radius-md)' }}>
+                    <div className="form-group" style={{ marginBottom: 'var(--space-sm)' }}>
+                        <div className="form-label">Min Intensity <span className="form-unit">{qualityParams.minIntensity}</span></div>
+                        <input
+                            type="range" min="0" max="255" step="1"
+                            value={qualityParams.minIntensity}
+                            onChange={(e) => onQualityParamsChange({ ...qualityParams, minIntensity: parseInt(e.target.value) })}
+                            className="profile-slider"
+                        />
+                    </div>
+                    <div className="form-group">
+                        <div className="form-label">Min Line Width <span className="form-unit">{qualityParams.minWidth} px</span></div>
+                        <input
+                            type="range" min="1" max="20" step="1"
+                            value={qualityParams.minWidth}
+                            onChange={(e) => onQualityParamsChange({ ...qualityParams, minWidth: parseInt(e.target.value) })}
+                            className="profile-slider"
+                        />
+                    </div>
+                </div>
+            )}
+
             {/* Tuning Parameters */}
             {enabled && (
                 <div style={{ marginTop: 'var(--space-md)', padding: 'var(--space-sm)', background: 'rgba(0,0,0,0.2)', borderRadius: 'var(--radius-md)' }}>
@@ -1,9 +1,101 @@
 import React from 'react';
 
+const TRACK_STATUS = {
+    tracking: { label: '● Tracking', className: 'detected' },
+    coasting: { label: '◐ Coasting', style: { background: 'rgba(251, 146, 60, 0.15)', color: '#fb923c' } },
+    interpolated: { label: '◌ Interpolated', style: { background: 'rgba(168, 85, 247, 0.15)', color: '#a855f7' } },
+    lost: { label: '○ Lost', className: 'not-detected' },
+};
+
+const BURIAL_STATE = {
+    exposed: { label: '● Exposed', className: 'detected' },
+    partial: { label: '◐ Partially buried', style: { background: 'rgba(251, 146, 60, 0.15)', color: '#fb923c' } },
+    buried: { label: '○ Buried', style: { background: 'rgba(168, 85, 247, 0.15)', color: '#a855f7' } },
+};
+
+// Pipes are identified by their position in the diameter list
+const pipeLabel = (id) => (id === 0 ? 'Main Line' : `Pipe ${id + 1}`);
+
+const TRACK_ORDER = ['tracking', 'coasting', 'interpolated', 'lost'];
+
+// "± σ" suffix; interpolated track entries carry no uncertainty
+const plusMinus = (sigma, scale = 1) => (sigma !== null && sigma !== undefined ? ` ± ${(scale * sigma).toFixed(1)}` : '');
+
+// Residual plot size (SVG units) and padding for the axis labels
+const PLOT_WIDTH = 260;
+const PLOT_HEIGHT = 90;
+const PLOT_PAD = 18;
+
 /**
- * PipeDetectionPanel — configure expected pipe diameter and view detection results.
+ * ResidualPlot — residual to the fitted circle against the angle around the
+ * pipe, with the ovality (ellipse) term and the dents marked.
  */
-export default function PipeDetectionPanel({ enabled, onToggle, diameter, onDiameterChange, result }) {
+function ResidualPlot({ deformation }) {
+    const { profile, dents } = deformation;
+    if (profile.length < 2) return null;
+
+    const aMin = profile[0].angle, aMax = profile[profile.length - 1].angle;
+    const peak = Math.max(2, ...profile.map(b => Math.abs(b.residual)), ...profile.map(b => Math.abs(b.ellipse)));
+    const yMax = Math.ceil(peak);
+    const px = (angle) => PLOT_PAD + ((angle - aMin) / Math.max(1e-9, aMax - aMin)) * (PLOT_WIDTH - 2 * PLOT_PAD);
+    const py = (r) => PLOT_HEIGHT / 2 - (r / yMax) * (PLOT_HEIGHT / 2 - 6);
+    const line = (key) => profile.map(b => `${px(b.angle).toFixed(1)},${py(b[key]).toFixed(1)}`).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}`} style={{ width: '100%', marginTop: 'var(--space-xs)' }}>
+            {dents.map(d => (
+                <rect
+                    key={d.angleStart}
+                    x={px(d.angleStart)}
+                    y={0}
+                    width={Math.max(1, px(d.angleEnd) - px(d.angleStart))}
+                    height={PLOT_HEIGHT}
+                    fill="rgba(232, 121, 249, 0.2)"
+                />
+            ))}
+            <line x1={PLOT_PAD} x2={PLOT_WIDTH - PLOT_PAD} y1={py(0)} y2={py(0)} stroke="var(--border-subtle)" />
+            <polyline points={line('ellipse')} fill="none" stroke="var(--accent-purple)" strokeWidth={1} strokeDasharray="3 2" />
+            <polyline points={line('residual')} fill="none" stroke="var(--accent-green)" strokeWidth={1.2} />
+            <text x={2} y={10} fontSize={8} fill="var(--text-muted)">+{yMax}</text>
+            <text x={2} y={PLOT_HEIGHT - 2} fontSize={8} fill="var(--text-muted)">−{yMax}</text>
+            <text x={PLOT_PAD} y={PLOT_HEIGHT - 2} fontSize={8} fill="var(--text-muted)">{aMin}°</text>
+            <text x={PLOT_WIDTH - PLOT_PAD} y={PLOT_HEIGHT - 2} fontSize={8} fill="var(--text-muted)" textAnchor="end">{aMax}°</text>
+            <text x={PLOT_WIDTH / 2} y={PLOT_HEIGHT - 2} fontSize={8} fill="var(--text-muted)" textAnchor="middle">0° = crest</text>
+        </svg>
+    );
+}
+
+/**
+ * PipeDetectionPanel — configure the expected pipe diameters and view detection results.
+ */
+export default function PipeDetectionPanel({
+    enabled,
+    onToggle,
+    diameters,
+    onDiametersChange,
+    constrainRadius = false,
+    onConstrainRadiusChange,
+    results = [],
+    deformation = null,
+    burial = null,
+    fileInfo = null,
+    track = null,
+    trackProgress = null,
+    onTrack,
+    onCancelTrack,
+    onClearTrack,
+    onProfileChange,
+}) {
+    const result = results[0] || null;
+    const entry = result?.track || null;
+    const gaps = track
+        ? track.pipes.flatMap(p => p.segments.filter(s => s.status !== 'tracking').map(s => ({ ...s, id: p.id })))
+        : [];
+
+    const setDiameter = (id, value) => {
+        const v = parseFloat(value);
+        if (!isNaN(v) && v > 0) onDiametersChange(diameters.map((d, i) => (i === id ? v : d)));
+    };
     return (
         <div className="panel">
             <div className="panel-header">
@@ -24,25 +116,58 @@ export default function PipeDetectionPanel({ enabled, onToggle, diameter, onDiam
                 </label>
             </div>
 
-            {/* Expected diameter input */}
+            {/* Expected diameters, one per pipe; the main line is searched first */}
             <div className="form-group" style={{ marginTop: 'var(--space-md)' }}>
                 <label className="form-label">
-                    Expected Diameter
+                    Expected Diameters
                     <span className="form-unit">mm</span>
                 </label>
-                <input
-                    id="input-pipe-diameter"
-                    className="form-input"
-                    type="number"
-                    step={1}
-                    value={diameter}
-                    onChange={(e) => {
-                        const v = parseFloat(e.target.value);
-                        if (!isNaN(v) && v > 0) onDiameterChange(v);
-                    }}
+                {diameters.map((d, id) => (
+                    <div key={id} style={{ display: 'flex', alignItems: 'center', gap: 4, marginBottom: 4 }}>
+                        <span style={{ width: 64, fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>{pipeLabel(id)}</span>
+                        <input
+                            id={id === 0 ? 'input-pipe-diameter' : undefined}
+                            className="form-input"
+                            type="number"
+                            step={1}
+                            value={d}
+                            onChange={(e) => setDiameter(id, e.target.value)}
+                            disabled={!enabled}
+                            style={{ flex: 1, opacity: enabled ? 1 : 0.4 }}
+                        />
+                        {id > 0 && (
+                            <button
+                                className="view-btn"
+                                onClick={() => onDiametersChange(diameters.filter((_, i) => i !== id))}
+                                disabled={!enabled}
+                                title="Remove this pipe"
+                            >
+                                ✕
+                            </button>
+                        )}
+                    </div>
+                ))}
+                <button
+                    className="step-btn"
+                    onClick={() => onDiametersChange([...diameters, diameters[diameters.length - 1]])}
                     disabled={!enabled}
-                    style={{ opacity: enabled ? 1 : 0.4 }}
-                />
+                >
+                    + Add Pipe
+                </button>
+            </div>
+
+            {/* Hold the fitted radius at the nominal one; only the centre is fitted */}
+            <div className="toggle-row" style={{ opacity: enabled ? 1 : 0.4 }}>
+                <span className="toggle-label">Fix Diameter to Nominal</span>
+                <label className="toggle-switch">
+                    <input
+                        type="checkbox"
+                        checked={constrainRadius}
+                        onChange={(e) => onConstrainRadiusChange(e.target.checked)}
+                        disabled={!enabled}
+                    />
+                    <span className="toggle-slider"></span>
+                </label>
             </div>
 
             {/* Results section */}
@@ -50,13 +175,26 @@ export default function PipeDetectionPanel({ enabled, onToggle, diameter, onDiam
                 <div className="results-section">
                     <div className="result-row">
                         <span className="result-label">Status</span>
-                        {result ? (
+                        {result && (!entry || entry.detected) ? (
                             <span className="result-badge detected">● Detected</span>
                         ) : (
                             <span className="result-badge not-detected">○ Not found</span>
                         )}
                     </div>
 
+                    {track && (
+                        <div className="result-row">
+                            <span className="result-label">Track</span>
+                            {entry ? (
+                                <span className={`result-badge ${TRACK_STATUS[entry.status].className || ''}`} style={TRACK_STATUS[entry.status].style}>
+                                    {TRACK_STATUS[entry.status].label}{entry.rejected ? ' (outlier)' : ''}
+                                </span>
+                            ) : (
+                                <span className="result-badge not-detected">○ Lost</span>
+                            )}
+                        </div>
+                    )}
+
                     {result && result.anodeIndices && result.anodeIndices.length > 0 && (
                         <div className="result-row">
                             <span className="result-label">Anode Status</span>
@@ -69,23 +207,194 @@ export default function PipeDetectionPanel({ enabled, onToggle, diameter, onDiam
                     {result && (
                         <>
                             <div className="result-row">
-                                <span className="result-label">Fitted Diameter</span>
-                                <span className="result-value good">{result.diameter.toFixed(1)} mm</span>
+                                <span className="result-label">
+                                    {result.constrained ? 'Nominal Diameter' : entry ? 'Tracked Diameter' : 'Fitted Diameter'}
+                                </span>
+                                <span className="result-value good">
+                                    {result.diameter.toFixed(1)}{plusMinus(entry?.sigmaRadius, 2)} mm
+                                </span>
                             </div>
                             <div className="result-row">
                                 <span className="result-label">Centre X</span>
-                                <span className="result-value">{result.cx.toFixed(1)} mm</span>
+                                <span className="result-value">
+                                    {result.cx.toFixed(1)}{plusMinus(entry?.sigmaCx)} mm
+                                </span>
                             </div>
                             <div className="result-row">
                                 <span className="result-label">Centre Z</span>
-                                <span className="result-value">{result.cz.toFixed(1)} mm</span>
+                                <span className="result-value">
+                                    {result.cz.toFixed(1)}{plusMinus(entry?.sigmaCz)} mm
+                                </span>
+                            </div>
+                            {result.rms !== undefined && (
+                                <div className="result-row">
+                                    <span className="result-label">RMS Residual</span>
+                                    <span className={`result-value ${result.rms < 2 ? 'good' : result.rms < 5 ? 'warn' : 'bad'}`}>
+                                        {result.rms.toFixed(2)} mm
+                                    </span>
+                                </div>
+                            )}
+                            {/* How far to trust the RANSAC fit; absent when the pipe is only tracked */}
+                            {result.confidence !== undefined && (
+                                <>
+                                    <div className="result-row">
+                                        <span className="result-label">Inliers</span>
+                                        <span className={`result-value ${result.inlierRatio >= 0.3 ? 'good' : result.inlierRatio >= 0.1 ? 'warn' : 'bad'}`}>
+                                            {(result.inlierRatio * 100).toFixed(0)}% · {result.inlierCount} pts
+                                        </span>
+                                    </div>
+                                    <div className="result-row">
+                                        <span className="result-label">Fit Confidence</span>
+                                        <span
+                                            className={`result-value ${result.confidence >= 0.99 ? 'good' : result.confidence >= 0.9 ? 'warn' : 'bad'}`}
+                                            title={`${result.iterations} RANSAC samples`}
+                                        >
+                                            {(result.confidence * 100).toFixed(1)}%
+                                        </span>
+                                    </div>
+                                </>
+                            )}
+                        </>
+                    )}
+
+                    {/* Further pipes: position only, the detail above is for the main line */}
+                    {results.slice(1).map((r, i) => (
+                        <div className="result-row" key={i + 1}>
+                            <span className="result-label">{pipeLabel(i + 1)}</span>
+                            {r ? (
+                                <span className="result-value">
+                                    Ø {r.diameter.toFixed(0)} @ {r.cx.toFixed(0)}, {r.cz.toFixed(0)} mm
+                                    {r.track && r.track.status !== 'tracking' ? ` (${r.track.status})` : ''}
+                                </span>
+                            ) : (
+                                <span className="result-badge not-detected">○ Not found</span>
+                            )}
+                        </div>
+                    ))}
+
+                    {/* Shape of the visible arc: ovality and dents */}
+                    {deformation && (
+                        <>
+                            <div className="result-row">
+                                <span className="result-label">Ovality</span>
+                                {deformation.ovality ? (
+                                    <span className={`result-value ${deformation.ovality.significant ? 'warn' : ''}`}>
+                                        {deformation.ovality.percent.toFixed(2)} ± {deformation.ovality.sigma.toFixed(2)}%
+                                        {deformation.ovality.significant && ` @ ${deformation.ovality.majorAxisAngle.toFixed(0)}°`}
+                                    </span>
+                                ) : (
+                                    <span className="result-value" title="Arc too short to fit the radius; set the expected diameter">—</span>
+                                )}
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">RMS Circle / Ellipse</span>
+                                <span className="result-value">
+                                    {deformation.circleRms.toFixed(2)} / {deformation.ellipseRms.toFixed(2)} mm
+                                </span>
+                            </div>
+                            {deformation.dents.map(d => (
+                                <div className="result-row" key={d.angleStart}>
+                                    <span className="result-label">Dent @ {d.angle.toFixed(0)}°</span>
+                                    <span className="result-value bad">
+                                        {d.depth.toFixed(1)} mm deep, {d.width.toFixed(0)} mm wide
+                                    </span>
+                                </div>
+                            ))}
+                            <ResidualPlot deformation={deformation} />
+                            <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                                Residual to the circle over a {deformation.arc.toFixed(0)}° arc
+                                {deformation.ovality?.radius === 'nominal' && ', ovality against the nominal diameter'}.
+                            </p>
+                        </>
+                    )}
+
+                    {/* Burial against the seabed either side of the pipe */}
+                    {burial && (
+                        <>
+                            <div className="result-row">
+                                <span className="result-label">Burial</span>
+                                <span className={`result-badge ${BURIAL_STATE[burial.state].className || ''}`} style={BURIAL_STATE[burial.state].style}>
+                                    {BURIAL_STATE[burial.state].label}
+                                </span>
                             </div>
                             <div className="result-row">
-                                <span className="result-label">RMS Residual</span>
-                                <span className={`result-value ${result.rms < 2 ? 'good' : result.rms < 5 ? 'warn' : 'bad'}`}>
-                                    {result.rms.toFixed(2)} mm
+                                <span className="result-label">Exposed</span>
+                                <span className="result-value">{burial.exposedPercent.toFixed(0)}% of OD</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Depth of Cover</span>
+                                <span className="result-value">{burial.coverDepth.toFixed(0)} mm</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Seabed L / R</span>
+                                <span className="result-value">
+                                    {[burial.seabedLeft, burial.seabedRight].map(z => (z === null ? '—' : z.toFixed(0))).join(' / ')} mm
                                 </span>
                             </div>
+                            {burial.source !== 'detected' && (
+                                <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                                    Measured against the {burial.source} pipe position.
+                                </p>
+                            )}
+                        </>
+                    )}
+
+                    {/* Along-track tracking over the whole file */}
+                    {fileInfo && (
+                        trackProgress ? (
+                            <div className="load-progress">
+                                <div className="load-progress-track">
+                                    <div className="load-progress-bar" style={{ width: `${(trackProgress.done / Math.max(1, trackProgress.total)) * 100}%` }} />
+                                </div>
+                                <div className="load-progress-text">
+                                    Tracking… {trackProgress.done.toLocaleString()} / {trackProgress.total.toLocaleString()} profiles
+                                </div>
+                                <button className="clear-btn" onClick={onCancelTrack}>✕ Cancel</button>
+                            </div>
+                        ) : (
+                            <button className="primary-btn" style={{ marginTop: 'var(--space-sm)' }} onClick={onTrack}>
+                                {track ? 'Re-track' : 'Track'} All {fileInfo.profileCount.toLocaleString()} Profiles
+                            </button>
+                        )
+                    )}
+
+                    {track && !trackProgress && (
+                        <>
+                            <div className="result-row" style={{ marginTop: 'var(--space-xs)' }}>
+                                <span className="result-label">Tracked / Coasting / Interp. / Lost</span>
+                            </div>
+                            {track.pipes.map(p => (
+                                <div className="result-row" key={p.id}>
+                                    <span className="result-label">{pipeLabel(p.id)} (Ø {p.diameter})</span>
+                                    <span className="result-value">
+                                        {TRACK_ORDER
+                                            .map(status => p.track.filter(e => e.status === status).length.toLocaleString())
+                                            .join(' / ')}
+                                    </span>
+                                </div>
+                            ))}
+                            {gaps.length > 0 && (
+                                <div style={{ maxHeight: 120, overflowY: 'auto', marginTop: 'var(--space-xs)' }}>
+                                    {gaps.map(g => (
+                                        <div
+                                            key={`${g.id}-${g.start}`}
+                                            className="result-row"
+                                            style={{ cursor: 'pointer' }}
+                                            onClick={() => onProfileChange(g.start)}
+                                            title="Go to the start of this segment"
+                                        >
+                                            <span className="result-label">
+                                                {track.pipes.length > 1 && `${pipeLabel(g.id)} `}
+                                                #{g.start + 1}{g.count > 1 ? `–${g.end + 1}` : ''}
+                                            </span>
+                                            <span className={`result-badge ${TRACK_STATUS[g.status].className || ''}`} style={TRACK_STATUS[g.status].style}>
+                                                {TRACK_STATUS[g.status].label}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <button className="clear-btn" onClick={onClearTrack}>✕ Clear Track</button>
                         </>
                     )}
                 </div>
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef } from 'react';
+
+const COLOR_WEAK = [30, 58, 138];
+const COLOR_STRONG = [251, 191, 36];
+const INVALID_MARK = 'rgba(239, 68, 68, 0.6)';
+const INVALID_MARK_HEIGHT = 24; // px at sensor resolution
+
+const intensityColor = (intensity) => {
+    const t = intensity / 255;
+    const c = [0, 1, 2].map(i => Math.round(COLOR_WEAK[i] + (COLOR_STRONG[i] - COLOR_WEAK[i]) * t));
+    return `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+};
+
+/**
+ * RawImageView — the detected laser line of one profile in sensor pixel
+ * space, before triangulation. Each valid column is drawn at its yOffset,
+ * as tall as its line width and coloured by intensity; columns without a
+ * detection (width 0) are ticked red along the bottom edge.
+ *
+ * `hoveredColumn` is shared with the X–Z view so a column can be traced
+ * between the two.
+ */
+export default function RawImageView({ profile, params, hoveredColumn = null, onHoverColumn }) {
+    const canvasRef = useRef(null);
+    const imageWidth = params?.imageWidth || 2048;
+    const imageHeight = params?.imageHeight || 1152;
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        canvas.width = imageWidth;
+        canvas.height = imageHeight;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#0a0e1a';
+        ctx.fillRect(0, 0, imageWidth, imageHeight);
+
+        // Quarter grid, so positions on the sensor can be judged by eye
+        ctx.strokeStyle = '#1e293b';
+        ctx.lineWidth = 2;
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo((imageWidth * i) / 4, 0);
+            ctx.lineTo((imageWidth * i) / 4, imageHeight);
+            ctx.moveTo(0, (imageHeight * i) / 4);
+            ctx.lineTo(imageWidth, (imageHeight * i) / 4);
+            ctx.stroke();
+        }
+
+        if (!profile) return;
+        const { yOffsets, intensities, widths } = profile;
+
+        for (let col = 0; col < widths.length; col++) {
+            if (widths[col] === 0) {
+                ctx.fillStyle = INVALID_MARK;
+                ctx.fillRect(col, imageHeight - INVALID_MARK_HEIGHT, 1, INVALID_MARK_HEIGHT);
+                continue;
+            }
+            ctx.fillStyle = intensityColor(intensities[col]);
+            ctx.fillRect(col, yOffsets[col] - widths[col] / 2, 1, Math.max(1, widths[col]));
+        }
+
+        if (hoveredColumn !== null && hoveredColumn < widths.length) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillRect(hoveredColumn - 1, 0, 3, imageHeight);
+        }
+    }, [profile, imageWidth, imageHeight, hoveredColumn]);
+
+    const handleMove = (e) => {
+        if (!profile) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const col = Math.floor(((e.clientX - rect.left) / rect.width) * imageWidth);
+        onHoverColumn(col >= 0 && col < profile.widths.length ? col : null);
+    };
+
+    const hovered = profile && hoveredColumn !== null && hoveredColumn < profile.widths.length ? hoveredColumn : null;
+    const invalidCount = profile ? profile.widths.length - profile.validCount : 0;
+
+    return (
+        <div style={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 'var(--space-md)' }}>
+            <canvas
+                ref={canvasRef}
+                onMouseMove={handleMove}
+                onMouseLeave={() => onHoverColumn(null)}
+                style={{
+                    maxWidth: '100%',
+                    maxHeight: '100%',
+                    aspectRatio: `${imageWidth} / ${imageHeight}`,
+                    border: '1px solid #1e293b',
+                    cursor: 'crosshair',
+                }}
+            />
+            <div className="viewer-legend">
+                {!profile ? (
+                    <div className="legend-item">No raw data for the demo profile</div>
+                ) : hovered !== null ? (
+                    <div className="legend-item">
+                        Column {hovered}
+                        {profile.widths[hovered] > 0
+                            ? ` · row ${profile.yOffsets[hovered].toFixed(2)} · intensity ${profile.intensities[hovered]} · width ${profile.widths[hovered]}`
+                            : ' · no detection'}
+                    </div>
+                ) : (
+                    <>
+                        <div className="legend-item">
+                            <span className="dot" style={{ background: 'linear-gradient(90deg, #1e3a8a, #fbbf24)', width: 24 }}></span> Intensity (height = line width)
+                        </div>
+                        <div className="legend-item">
+                            <span className="dot" style={{ background: INVALID_MARK }}></span> Invalid columns ({invalidCount})
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import React from 'react';
+
+const mm = (value) => `${value.toFixed(0)} mm`;
+
+/**
+ * SeabedPanel — seabed level and slope in the selected profile, and the
+ * trench and berms around the pipe.
+ */
+export default function SeabedPanel({ seabed, hasPipe }) {
+    const line = seabed?.line;
+    const reference = seabed?.reference;
+    const trench = seabed?.trench;
+
+    const renderBerm = (label, berm) => (
+        <div className="result-row">
+            <span className="result-label">{label}</span>
+            <span className="result-value">
+                {berm ? `${mm(berm.height)} · ${berm.heightAbovePipe >= 0 ? '+' : ''}${mm(berm.heightAbovePipe)} vs TOP` : '—'}
+            </span>
+        </div>
+    );
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(20, 184, 166, 0.15)', color: '#14b8a6' }}>≈</div>
+                <span className="panel-title">Seabed &amp; Trench</span>
+            </div>
+
+            {!seabed ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Not enough seabed in this profile.
+                </p>
+            ) : (
+                <div className="results-section">
+                    {line && (
+                        <>
+                            <div className="result-row">
+                                <span className="result-label">Seabed Level</span>
+                                <span className="result-value">{mm(reference ? reference.intercept : line.intercept)}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Cross Slope</span>
+                                <span className="result-value">{(Math.atan(line.slope) * 180 / Math.PI).toFixed(1)}°</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Line Fit RMS</span>
+                                <span className="result-value">{line.rms.toFixed(1)} mm</span>
+                            </div>
+                        </>
+                    )}
+
+                    {!hasPipe ? (
+                        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                            Trench measurements need a detected or tracked pipe.
+                        </p>
+                    ) : !trench ? (
+                        <div className="result-row">
+                            <span className="result-label">Trench</span>
+                            <span className="result-badge not-detected">○ None</span>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="result-row">
+                                <span className="result-label">Trench Width</span>
+                                <span className="result-value good">{mm(trench.width)}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Trench Depth</span>
+                                <span className="result-value good">{mm(trench.depth)}</span>
+                            </div>
+                            <div className="result-row">
+                                <span className="result-label">Top of Pipe Below Seabed</span>
+                                <span className="result-value">{mm(trench.pipeTopDepth)}</span>
+                            </div>
+                            {renderBerm('Berm Left', trench.bermLeft)}
+                            {renderBerm('Berm Right', trench.bermRight)}
+                        </>
+                    )}
+
+                    {reference && reference.source !== 'both' && (
+                        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                            Reference seabed from the {reference.source} side only.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
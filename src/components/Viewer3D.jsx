@@ -1,7 +1,10 @@
-import React, { useMemo, useState, useEffect } from 'react';
+import React, { useMemo, useState, useEffect, useRef } from 'react';
 import { Canvas, useThree } from '@react-three/fiber';
 import { OrbitControls, Edges, Line, OrthographicCamera, Text } from '@react-three/drei';
 import * as THREE from 'three';
+import { ASSEMBLY_CLASS } from '../utils/profileAssembly.js';
+import { ANNOTATION_CLASSES, pointsInBox, pointsInPolygon } from '../utils/annotation.js';
+import RawImageView from './RawImageView.jsx';
 
 const SCALE = 0.001;
 
@@ -29,10 +32,17 @@ const toSceneXZ = (x, y, z) => [
     0
 ];
 
+// Pointer pick radius for profile points in the X–Z view (scene units)
+const POINT_PICK_THRESHOLD = 0.01;
+
 /**
  * LaserProfilePoints — renders 3D points efficiently using THREE.Points.
+ * `colorMode` 'class' colours by seabed/pipe/feature, 'intensity' by return
+ * strength (points without an intensity fall back to class colours).
+ * With `onHoverColumn` the source pixel column of the point under the
+ * pointer is reported (null when it leaves).
  */
-function LaserProfilePoints({ points, pipeResult, features = [], highlightedFeature = null, useXZ = false }) {
+function LaserProfilePoints({ points, pipeResults = [], features = [], highlightedFeature = null, useXZ = false, colorMode = 'class', onHoverColumn = null }) {
     const toPos = useXZ ? toSceneXZ : toScene;
 
     const geometry = useMemo(() => {
@@ -47,7 +57,11 @@ function LaserProfilePoints({ points, pipeResult, features = [], highlightedFeat
         const colorPipe = new THREE.Color('#22c55e');
         const colorAnode = new THREE.Color('#fb923c');
         const colorRock = new THREE.Color('#ef4444');
+        const colorDent = new THREE.Color('#e879f9');
         const colorHighlight = new THREE.Color('#ffffff'); // White highlight
+        const colorWeak = new THREE.Color('#1e3a8a');
+        const colorStrong = new THREE.Color('#fbbf24');
+        const colorIntensity = new THREE.Color();
 
         // Map feature indices for fast lookup
         const featureMap = new Map();
@@ -66,14 +80,16 @@ function LaserProfilePoints({ points, pipeResult, features = [], highlightedFeat
             posArray[i * 3 + 1] = pos[1];
             posArray[i * 3 + 2] = pos[2];
 
-            const isPipe = pipeResult && i >= pipeResult.inlierStart && i <= pipeResult.inlierEnd;
+            const isPipe = pipeResults.some(r => r && i >= r.inlierStart && i <= r.inlierEnd);
             const fType = featureMap.get(i);
             const isHighlighted = spotlightSet.has(i);
 
             let c = colorSeabed;
             if (isHighlighted) c = colorHighlight;
+            else if (colorMode === 'intensity' && p.intensity !== undefined) c = colorIntensity.lerpColors(colorWeak, colorStrong, p.intensity / 255);
             else if (fType === 'Anode') c = colorAnode;
             else if (fType === 'Rock') c = colorRock;
+            else if (fType === 'Dent') c = colorDent;
             else if (isPipe) c = colorPipe;
 
             colorArray[i * 3] = c.r;
@@ -85,17 +101,112 @@ function LaserProfilePoints({ points, pipeResult, features = [], highlightedFeat
         geo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
         geo.setAttribute('color', new THREE.BufferAttribute(colorArray, 3));
         return geo;
-    }, [points, pipeResult, features, highlightedFeature, useXZ]);
+    }, [points, pipeResults, features, highlightedFeature, useXZ, colorMode]);
 
     if (!points || points.length === 0) return null;
 
+    // Several points can fall inside the pick radius; take the one nearest the pointer
+    const handlePointerMove = (e) => {
+        let best = null;
+        for (const hit of e.intersections) {
+            if (hit.object === e.eventObject && (!best || hit.distanceToRay < best.distanceToRay)) best = hit;
+        }
+        const column = best ? points[best.index]?.column : undefined;
+        onHoverColumn(column ?? null);
+    };
+
     return (
-        <points geometry={geometry}>
+        <points
+            geometry={geometry}
+            onPointerMove={onHoverColumn ? handlePointerMove : undefined}
+            onPointerOut={onHoverColumn ? () => onHoverColumn(null) : undefined}
+        >
             <pointsMaterial size={6} sizeAttenuation={false} vertexColors />
         </points>
     );
 }
 
+/**
+ * AssembledCloud — renders stacked profiles coloured by depth, with pipe and
+ * anode points tinted and the selected profile highlighted.
+ */
+function AssembledCloud({ assembly, selectedProfile }) {
+    const geometry = useMemo(() => {
+        const { positions, classes } = assembly;
+        const count = classes.length;
+        const posArray = new Float32Array(count * 3);
+        const colorArray = new Float32Array(count * 3);
+
+        // Depth range for the colour ramp
+        let zMin = Infinity, zMax = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const z = positions[i * 3 + 2];
+            if (z < zMin) zMin = z;
+            if (z > zMax) zMax = z;
+        }
+        const zRange = Math.max(zMax - zMin, 1);
+
+        const colorShallow = new THREE.Color('#fbbf24');
+        const colorDeep = new THREE.Color('#1e3a8a');
+        const colorPipe = new THREE.Color('#22c55e');
+        const colorAnode = new THREE.Color('#fb923c');
+        const c = new THREE.Color();
+
+        for (let i = 0; i < count; i++) {
+            const pos = toScene(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            posArray[i * 3] = pos[0];
+            posArray[i * 3 + 1] = pos[1];
+            posArray[i * 3 + 2] = pos[2];
+
+            if (classes[i] === ASSEMBLY_CLASS.ANODE) {
+                c.copy(colorAnode);
+            } else {
+                c.lerpColors(colorShallow, colorDeep, (positions[i * 3 + 2] - zMin) / zRange);
+                if (classes[i] === ASSEMBLY_CLASS.PIPE) c.lerp(colorPipe, 0.5);
+            }
+
+            colorArray[i * 3] = c.r;
+            colorArray[i * 3 + 1] = c.g;
+            colorArray[i * 3 + 2] = c.b;
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
+        geo.setAttribute('color', new THREE.BufferAttribute(colorArray, 3));
+        return geo;
+    }, [assembly]);
+
+    const selectedGeometry = useMemo(() => {
+        const k = assembly.profileIndices.indexOf(selectedProfile);
+        if (k < 0) return null;
+
+        const start = assembly.profileStarts[k];
+        const end = assembly.profileStarts[k + 1];
+        const posArray = new Float32Array((end - start) * 3);
+        for (let i = start; i < end; i++) {
+            const pos = toScene(assembly.positions[i * 3], assembly.positions[i * 3 + 1], assembly.positions[i * 3 + 2]);
+            posArray.set(pos, (i - start) * 3);
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
+        return geo;
+    }, [assembly, selectedProfile]);
+
+    return (
+        <group>
+            <points geometry={geometry}>
+                <pointsMaterial size={2} sizeAttenuation={false} vertexColors />
+            </points>
+            {selectedGeometry && (
+                <points geometry={selectedGeometry}>
+                    <pointsMaterial size={4} sizeAttenuation={false} color="#ffffff" />
+                </points>
+            )}
+        </group>
+    );
+}
+
 /**
  * PipeVisualization — renders a circle at the predicted pipe location.
  */
@@ -106,17 +217,20 @@ function PipeVisualization({ pipeResult, points, useXZ = false }) {
     const sceneRadius = radius * SCALE;
     const displayDiameter = diameter || (radius * 2);
 
-    const inliers = points.slice(inlierStart, inlierEnd + 1);
+    // A tracked pipe that is coasting has no inliers in this profile
+    const pStart = points[inlierStart];
+    const pEnd = points[inlierEnd];
+    const hasInliers = !!(pStart && pEnd);
+
+    const inliers = hasInliers ? points.slice(inlierStart, inlierEnd + 1) : points;
     const validInliers = inliers.filter(p => Number.isFinite(p.y));
     const cy = validInliers.length > 0 ? (validInliers.reduce((sum, p) => sum + p.y, 0) / validInliers.length) : 0;
 
     const pos = useXZ ? toSceneXZ(cx, cy, cz) : toScene(cx, cy, cz);
 
     // Calculate arc angles for the thick inlier highlight
-    const pStart = points[inlierStart];
-    const pEnd = points[inlierEnd];
-    const startAngle = Math.atan2(-(pStart.z - cz), pStart.x - cx);
-    const endAngle = Math.atan2(-(pEnd.z - cz), pEnd.x - cx);
+    const startAngle = hasInliers ? Math.atan2(-(pStart.z - cz), pStart.x - cx) : 0;
+    const endAngle = hasInliers ? Math.atan2(-(pEnd.z - cz), pEnd.x - cx) : 0;
 
     let tStart = Math.min(startAngle, endAngle);
     let tLen = Math.max(startAngle, endAngle) - tStart;
@@ -137,10 +251,12 @@ function PipeVisualization({ pipeResult, points, useXZ = false }) {
             </mesh>
 
             {/* Inlier arc (thick, bright green highlight) */}
-            <mesh rotation={useXZ ? [0, 0, 0] : [Math.PI / 2, 0, 0]}>
-                <ringGeometry args={[sceneRadius - (0.001 * labelScale), sceneRadius + (0.001 * labelScale), 80, 1, tStart, tLen]} />
-                <meshBasicMaterial color="#4ade80" side={THREE.DoubleSide} />
-            </mesh>
+            {hasInliers && (
+                <mesh rotation={useXZ ? [0, 0, 0] : [Math.PI / 2, 0, 0]}>
+                    <ringGeometry args={[sceneRadius - (0.001 * labelScale), sceneRadius + (0.001 * labelScale), 80, 1, tStart, tLen]} />
+                    <meshBasicMaterial color="#4ade80" side={THREE.DoubleSide} />
+                </mesh>
+            )}
 
             {/* Dimension Line (Horizontal) */}
             <Line
@@ -199,6 +315,84 @@ function PipeVisualization({ pipeResult, points, useXZ = false }) {
     );
 }
 
+/**
+ * ColumnMarker — rings the triangulated point from one sensor column, to
+ * link the X–Z view with the raw image view.
+ */
+function ColumnMarker({ points, column }) {
+    const point = column === null ? null : points.find(p => p.column === column);
+    if (!point) return null;
+
+    return (
+        <mesh position={toSceneXZ(point.x, point.y, point.z)}>
+            <ringGeometry args={[0.006, 0.008, 32]} />
+            <meshBasicMaterial color="#ffffff" side={THREE.DoubleSide} />
+        </mesh>
+    );
+}
+
+// Minimum spacing of lasso vertices (mm)
+const LASSO_STEP = 5;
+
+/**
+ * AnnotationLayer — draws a selection box or lasso in the X–Z view with the
+ * left mouse button (right-drag still pans). The path is in mm as [x, z]
+ * pairs: two corners for a box, the outline for a lasso.
+ */
+function AnnotationLayer({ mode, path, onPathChange, onFinish }) {
+    const drawing = useRef(false);
+    const toMm = (point) => [point.x / SCALE, -point.y / SCALE];
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        e.target.setPointerCapture(e.pointerId);
+        drawing.current = true;
+        onPathChange([toMm(e.point)]);
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drawing.current) return;
+        const p = toMm(e.point);
+        onPathChange(prev => {
+            if (mode === 'box') return [prev[0], p];
+            const last = prev[prev.length - 1];
+            return Math.hypot(p[0] - last[0], p[1] - last[1]) >= LASSO_STEP ? [...prev, p] : prev;
+        });
+    };
+
+    const handlePointerUp = (e) => {
+        if (!drawing.current) return;
+        drawing.current = false;
+        e.target.releasePointerCapture(e.pointerId);
+        onFinish();
+    };
+
+    // Box corners → outline
+    const outline = mode === 'box' && path.length === 2
+        ? [path[0], [path[1][0], path[0][1]], path[1], [path[0][0], path[1][1]]]
+        : path;
+
+    return (
+        <>
+            <mesh onPointerDown={handlePointerDown} onPointerMove={handlePointerMove} onPointerUp={handlePointerUp}>
+                <planeGeometry args={[100, 100]} />
+                <meshBasicMaterial visible={false} />
+            </mesh>
+            {outline.length >= 2 && (
+                <Line
+                    points={[...outline, outline[0]].map(([x, z]) => [x * SCALE, -z * SCALE, 0.001])}
+                    color="#facc15"
+                    lineWidth={1.5}
+                    dashed={drawing.current}
+                    dashSize={0.005}
+                    gapSize={0.003}
+                />
+            )}
+        </>
+    );
+}
+
 /**
  * LaserPlane — visualises the laser fan.
  */
@@ -225,6 +419,55 @@ function LaserPlane({ params }) {
     );
 }
 
+// Seabed polyline gaps wider than this (mm), e.g. under the pipe, are not drawn across
+const SEABED_LINE_GAP = 100;
+
+/**
+ * SeabedVisualization — fitted seabed polyline and the reference (undisturbed)
+ * level in the X–Z view, with the trench edges marked.
+ */
+function SeabedVisualization({ seabed }) {
+    if (!seabed || seabed.polyline.length < 2) return null;
+    const { polyline, reference, trench } = seabed;
+
+    const runs = [[]];
+    polyline.forEach((n, i) => {
+        if (i > 0 && n.x - polyline[i - 1].x > SEABED_LINE_GAP) runs.push([]);
+        runs[runs.length - 1].push(toSceneXZ(n.x, 0, n.z));
+    });
+
+    const xMin = polyline[0].x, xMax = polyline[polyline.length - 1].x;
+    const refAt = (x) => reference.slope * x + reference.intercept;
+
+    return (
+        <group>
+            {runs.filter(run => run.length > 1).map((run, i) => (
+                <Line key={i} points={run} color="#14b8a6" lineWidth={2} />
+            ))}
+            {reference && (
+                <Line
+                    points={[toSceneXZ(xMin, 0, refAt(xMin)), toSceneXZ(xMax, 0, refAt(xMax))]}
+                    color="#14b8a6"
+                    lineWidth={1}
+                    dashed
+                    dashSize={0.01}
+                    gapSize={0.006}
+                    transparent
+                    opacity={0.6}
+                />
+            )}
+            {trench && [trench.left, trench.right].map(x => (
+                <Line
+                    key={x}
+                    points={[toSceneXZ(x, 0, refAt(x) - 40), toSceneXZ(x, 0, refAt(x) + 40)]}
+                    color="#14b8a6"
+                    lineWidth={1.5}
+                />
+            ))}
+        </group>
+    );
+}
+
 /**
  * FeatureVisualization — renders bounding boxes around detected objects.
  */
@@ -235,6 +478,7 @@ function FeatureVisualization({ features, highlightedFeature = null, useXZ = fal
         'Anode': '#fb923c',    // Orange
         'Rock': '#ef4444',     // Red
         'Freespan': '#06b6d4', // Cyan
+        'Dent': '#e879f9',     // Fuchsia
         'default': '#fbbf24'   // Amber
     };
 
@@ -384,13 +628,50 @@ function CameraController({ mode, target }) {
     return null;
 }
 
-export default function Viewer3D({ points, pipeResult, features = [], params, highlightedFeature = null }) {
+export default function Viewer3D({ points, rawProfile = null, pipeResults = [], seabed = null, features = [], params, highlightedFeature = null, assembly = null, selectedProfile = 0, onAnnotate = null }) {
     // Persistent targets to prevent camera jumps on profile scrolling
     const [viewTarget3D, setViewTarget3D] = useState(new THREE.Vector3(0, 0, 0.15));
     const [viewTargetXZ, setViewTargetXZ] = useState(new THREE.Vector3(0, -0.15, 0));
     const [isInitialized, setIsInitialized] = useState(false);
 
     const [viewMode, setViewMode] = useState('ISO');
+    const [showAssembly, setShowAssembly] = useState(true);
+    const [colorMode, setColorMode] = useState('class');
+    const [showRaw, setShowRaw] = useState(false);
+    const [hoveredColumn, setHoveredColumn] = useState(null); // sensor column, shared by the X–Z and raw views
+
+    // Manual annotation in the X–Z view
+    const [annotateMode, setAnnotateMode] = useState(null); // 'box' | 'lasso' | null
+    const [annotateClass, setAnnotateClass] = useState(ANNOTATION_CLASSES[0]);
+    const [annotatePath, setAnnotatePath] = useState([]);
+    const [annotateSelection, setAnnotateSelection] = useState([]);
+    const [annotateSaving, setAnnotateSaving] = useState(false);
+
+    const clearAnnotation = () => {
+        setAnnotatePath([]);
+        setAnnotateSelection([]);
+    };
+
+    // A selection only belongs to the profile it was drawn on
+    useEffect(() => {
+        clearAnnotation();
+    }, [points, annotateMode]);
+
+    const handleAnnotateFinish = () => {
+        setAnnotateSelection(annotateMode === 'box'
+            ? (annotatePath.length === 2 ? pointsInBox(points, annotatePath[0], annotatePath[1]) : [])
+            : pointsInPolygon(points, annotatePath));
+    };
+
+    const handleAnnotateSave = async () => {
+        setAnnotateSaving(true);
+        try {
+            if (await onAnnotate(annotateClass, annotateSelection)) clearAnnotation();
+        } finally {
+            setAnnotateSaving(false);
+        }
+    };
+    const cloudVisible = assembly && showAssembly;
 
     // Only update targets the first time data arrives (or after a reset)
     useEffect(() => {
@@ -412,6 +693,19 @@ export default function Viewer3D({ points, pipeResult, features = [], params, hi
         }
     }, [points, isInitialized]);
 
+    // Centre the 3D view on a newly assembled point cloud
+    useEffect(() => {
+        if (!assembly || assembly.classes.length === 0) return;
+        const { positions } = assembly;
+        const n = assembly.classes.length;
+        let sx = 0, sy = 0, sz = 0;
+        for (let i = 0; i < n; i++) {
+            sx += positions[i * 3]; sy += positions[i * 3 + 1]; sz += positions[i * 3 + 2];
+        }
+        setViewTarget3D(new THREE.Vector3(sx / n * SCALE, sy / n * SCALE, sz / n * SCALE));
+        setShowAssembly(true);
+    }, [assembly]);
+
     const gridColor = '#334155';
     const gridFade = '#1e293b';
 
@@ -420,7 +714,7 @@ export default function Viewer3D({ points, pipeResult, features = [], params, hi
             {/* 3D World View */}
             <div style={{ flex: 1, position: 'relative', borderBottom: '1px solid #1e293b' }}>
                 <div className="viewer-overlay">
-                    <div className="viewer-badge">3D World View</div>
+                    <div className="viewer-badge">{cloudVisible ? `3D World View · ${assembly.profileIndices.length} profiles` : '3D World View'}</div>
                     <div className="viewer-toolbar">
                         {['X', 'Y', 'Z', 'ISO'].map(m => (
                             <button
@@ -432,18 +726,35 @@ export default function Viewer3D({ points, pipeResult, features = [], params, hi
                             </button>
                         ))}
                     </div>
+                    <div className="viewer-toolbar">
+                        <button className={`view-btn ${colorMode === 'class' ? 'active' : ''}`} onClick={() => setColorMode('class')}>Class</button>
+                        <button className={`view-btn ${colorMode === 'intensity' ? 'active' : ''}`} onClick={() => setColorMode('intensity')}>Intensity</button>
+                    </div>
+                    {assembly && (
+                        <div className="viewer-toolbar">
+                            <button className={`view-btn ${!showAssembly ? 'active' : ''}`} onClick={() => setShowAssembly(false)}>Slice</button>
+                            <button className={`view-btn ${showAssembly ? 'active' : ''}`} onClick={() => setShowAssembly(true)}>Cloud</button>
+                        </div>
+                    )}
                 </div>
                 <Canvas camera={{ position: [0.6, 0.6, 0.6], fov: 45, near: 0.001, far: 100 }} gl={{ antialias: true }}>
                     <CameraController mode={viewMode} target={viewTarget3D} />
                     <ambientLight intensity={0.7} />
                     <pointLight position={[1, 1, 1]} intensity={0.8} />
-                    <LaserProfilePoints
-                        points={points}
-                        pipeResult={pipeResult}
-                        features={features}
-                        highlightedFeature={highlightedFeature}
-                    />
-                    <PipeVisualization points={points} pipeResult={pipeResult} />
+                    {cloudVisible ? (
+                        <AssembledCloud assembly={assembly} selectedProfile={selectedProfile} />
+                    ) : (
+                        <>
+                            <LaserProfilePoints
+                                points={points}
+                                pipeResults={pipeResults}
+                                features={features}
+                                highlightedFeature={highlightedFeature}
+                                colorMode={colorMode}
+                            />
+                            {pipeResults.map((r, id) => <PipeVisualization key={id} points={points} pipeResult={r} />)}
+                        </>
+                    )}
                     <LaserPlane params={params} />
                     <CameraFOV params={params} />
                     <axesHelper args={[0.5]} />
@@ -467,48 +778,128 @@ export default function Viewer3D({ points, pipeResult, features = [], params, hi
                 </Canvas>
             </div>
 
-            {/* X-Z Profile View */}
-            <div style={{ flex: 1, position: 'relative' }}>
-                <div className="viewer-overlay"><div className="viewer-badge">X-Z Cross Section (Profile View)</div></div>
-                <Canvas gl={{ antialias: true, preserveDrawingBuffer: true }}>
-                    <OrthographicCamera
-                        makeDefault
-                        position={[viewTargetXZ.x, viewTargetXZ.y, 10]}
-                        zoom={400}
-                        near={0.1}
-                        far={100}
-                        up={[0, 1, 0]}
-                    />
-                    <ambientLight intensity={1} />
-                    <LaserProfilePoints
-                        points={points}
-                        pipeResult={pipeResult}
-                        features={features}
-                        highlightedFeature={highlightedFeature}
-                        useXZ
-                    />
-                    <PipeVisualization points={points} pipeResult={pipeResult} useXZ />
-                    <FeatureVisualization
-                        features={features}
-                        highlightedFeature={highlightedFeature}
-                        useXZ
-                    />
-                    <axesHelper args={[0.2]} />
-                    <gridHelper
-                        key="grid-xz"
-                        args={[10, 100, gridColor, gridFade]}
-                        rotation={[Math.PI / 2, 0, 0]}
-                        position={[0, 0, -0.01]}
-                    />
-                    <OrbitControls target={viewTargetXZ} enableRotate={false} enablePan screenSpacePanning={true} />
-
-                </Canvas>
-                <div className="viewer-legend">
-                    <div className="legend-item"><span className="dot seabed"></span> Seabed</div>
-                    <div className="legend-item"><span className="dot pipe"></span> Pipeline</div>
-                    <div className="legend-item"><span className="dot anode"></span> Anode</div>
-                    <div className="legend-item"><span className="dot feature"></span> Feature</div>
+            {/* X-Z Profile View, with the raw sensor image beside it */}
+            <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+                <div style={{ flex: 1, position: 'relative', minWidth: 0 }}>
+                    <div className="viewer-overlay">
+                        <div className="viewer-badge">X-Z Cross Section (Profile View)</div>
+                        <div className="viewer-toolbar">
+                            <button className={`view-btn ${showRaw ? 'active' : ''}`} onClick={() => setShowRaw(!showRaw)}>Raw Image</button>
+                        </div>
+                        {onAnnotate && (
+                            <div className="viewer-toolbar">
+                                {[['box', 'Box'], ['lasso', 'Lasso']].map(([mode, label]) => (
+                                    <button
+                                        key={mode}
+                                        className={`view-btn ${annotateMode === mode ? 'active' : ''}`}
+                                        onClick={() => setAnnotateMode(annotateMode === mode ? null : mode)}
+                                        title="Select points to label a missed feature"
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {onAnnotate && annotateMode && (
+                            <>
+                                <div className="viewer-toolbar">
+                                    {ANNOTATION_CLASSES.map(c => (
+                                        <button key={c} className={`view-btn ${annotateClass === c ? 'active' : ''}`} onClick={() => setAnnotateClass(c)}>
+                                            {c}
+                                        </button>
+                                    ))}
+                                </div>
+                                {annotateSelection.length > 0 ? (
+                                    <div className="viewer-toolbar">
+                                        <button className="view-btn" disabled={annotateSaving} onClick={handleAnnotateSave}>
+                                            Save {annotateClass} ({annotateSelection.length} pts)
+                                        </button>
+                                        <button className="view-btn" onClick={clearAnnotation}>✕</button>
+                                    </div>
+                                ) : (
+                                    <div className="viewer-badge">
+                                        {annotatePath.length > 1 ? 'No points selected' : `Drag to draw a ${annotateMode} · right-drag pans`}
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </div>
+                    <Canvas
+                        className="xz-canvas"
+                        gl={{ antialias: true, preserveDrawingBuffer: true }}
+                        raycaster={{ params: { Points: { threshold: POINT_PICK_THRESHOLD } } }}
+                    >
+                        <OrthographicCamera
+                            makeDefault
+                            position={[viewTargetXZ.x, viewTargetXZ.y, 10]}
+                            zoom={400}
+                            near={0.1}
+                            far={100}
+                            up={[0, 1, 0]}
+                        />
+                        <ambientLight intensity={1} />
+                        <LaserProfilePoints
+                            points={points}
+                            pipeResults={pipeResults}
+                            features={features}
+                            highlightedFeature={annotateSelection.length > 0 ? { indices: annotateSelection } : highlightedFeature}
+                            colorMode={colorMode}
+                            useXZ
+                            onHoverColumn={showRaw ? setHoveredColumn : null}
+                        />
+                        {annotateMode && (
+                            <AnnotationLayer
+                                mode={annotateMode}
+                                path={annotatePath}
+                                onPathChange={setAnnotatePath}
+                                onFinish={handleAnnotateFinish}
+                            />
+                        )}
+                        {showRaw && <ColumnMarker points={points} column={hoveredColumn} />}
+                        {pipeResults.map((r, id) => <PipeVisualization key={id} points={points} pipeResult={r} useXZ />)}
+                        <SeabedVisualization seabed={seabed} />
+                        <FeatureVisualization
+                            features={features}
+                            highlightedFeature={highlightedFeature}
+                            useXZ
+                        />
+                        <axesHelper args={[0.2]} />
+                        <gridHelper
+                            key="grid-xz"
+                            args={[10, 100, gridColor, gridFade]}
+                            rotation={[Math.PI / 2, 0, 0]}
+                            position={[0, 0, -0.01]}
+                        />
+                        <OrbitControls target={viewTargetXZ} enableRotate={false} enablePan screenSpacePanning={true} />
+
+                    </Canvas>
+                    <div className="viewer-legend">
+                        {colorMode === 'intensity' ? (
+                            <div className="legend-item">
+                                <span className="dot" style={{ background: 'linear-gradient(90deg, #1e3a8a, #fbbf24)', width: 24 }}></span> Intensity (weak → strong)
+                            </div>
+                        ) : (
+                            <>
+                                <div className="legend-item"><span className="dot seabed"></span> Seabed</div>
+                                <div className="legend-item"><span className="dot pipe"></span> Pipeline</div>
+                                <div className="legend-item"><span className="dot anode"></span> Anode</div>
+                                <div className="legend-item"><span className="dot feature"></span> Feature</div>
+                            </>
+                        )}
+                    </div>
                 </div>
+
+                {showRaw && (
+                    <div style={{ flex: 1, position: 'relative', minWidth: 0, borderLeft: '1px solid #1e293b' }}>
+                        <div className="viewer-overlay"><div className="viewer-badge">Raw Sensor Image (pixels)</div></div>
+                        <RawImageView
+                            profile={rawProfile}
+                            params={params}
+                            hoveredColumn={hoveredColumn}
+                            onHoverColumn={setHoveredColumn}
+                        />
+                    </div>
+                )}
             </div>
         </div>
     );
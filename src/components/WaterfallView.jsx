@@ -0,0 +1,214 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { WATERFALL_MODES, WATERFALL_CLASS_COLORS } from '../utils/waterfall.js';
+
+// High (near the sensor) → low, so the pipe and berms stand out warm
+const HEIGHT_STOPS = [
+    [251, 191, 36],
+    [34, 197, 94],
+    [6, 182, 212],
+    [30, 58, 138],
+];
+const INTENSITY_LOW = [30, 58, 138];
+const INTENSITY_HIGH = [251, 191, 36];
+const NO_RETURN = [15, 23, 42];
+const MAX_DISPLAY_HEIGHT = 480; // px
+
+const mix = (a, b, t) => [0, 1, 2].map(i => Math.round(a[i] + (b[i] - a[i]) * t));
+
+function heightColor(t) {
+    const x = Math.min(1, Math.max(0, t)) * (HEIGHT_STOPS.length - 1);
+    const i = Math.min(HEIGHT_STOPS.length - 2, Math.floor(x));
+    return mix(HEIGHT_STOPS[i], HEIGHT_STOPS[i + 1], x - i);
+}
+
+/** 2nd–98th percentile of Z, so a few stray returns don't flatten the colour scale */
+function heightRange(waterfall) {
+    const step = Math.max(1, Math.floor(waterfall.z.length / 20000));
+    const values = [];
+    for (let i = 0; i < waterfall.z.length; i += step) {
+        if (!Number.isNaN(waterfall.z[i])) values.push(waterfall.z[i]);
+    }
+    if (values.length === 0) return { low: waterfall.zMin, high: waterfall.zMax };
+    values.sort((a, b) => a - b);
+    const low = values[Math.floor(values.length * 0.02)];
+    const high = values[Math.min(values.length - 1, Math.floor(values.length * 0.98))];
+    return { low, high: high > low ? high : low + 1 };
+}
+
+/**
+ * WaterfallView — range image of a run of profiles, one row per profile and
+ * one column per sensor column, coloured by height, intensity or class.
+ * The selected profile is marked; clicking a row selects that profile.
+ */
+export default function WaterfallView({
+    fileInfo,
+    selectedProfile,
+    onProfileChange,
+    settings,
+    onSettingsChange,
+    mode,
+    onModeChange,
+    onBuild,
+    onCancel,
+    onClear,
+    progress,
+    waterfall,
+}) {
+    const canvasRef = useRef(null);
+    const range = useMemo(() => waterfall && heightRange(waterfall), [waterfall]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !waterfall) return;
+        const { width, rows, z, intensity, classes } = waterfall;
+        canvas.width = width;
+        canvas.height = rows;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, rows);
+
+        for (let i = 0; i < width * rows; i++) {
+            let color = NO_RETURN;
+            if (!Number.isNaN(z[i])) {
+                if (mode === 'intensity') color = mix(INTENSITY_LOW, INTENSITY_HIGH, intensity[i] / 255);
+                else if (mode === 'class') color = WATERFALL_CLASS_COLORS[classes[i]] || NO_RETURN;
+                else color = heightColor((z[i] - range.low) / (range.high - range.low));
+            }
+            image.data[i * 4] = color[0];
+            image.data[i * 4 + 1] = color[1];
+            image.data[i * 4 + 2] = color[2];
+            image.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+    }, [waterfall, mode, range]);
+
+    const handleNumber = (key) => (e) => {
+        const val = parseInt(e.target.value, 10);
+        if (!isNaN(val) && val > 0) onSettingsChange({ ...settings, [key]: val });
+    };
+
+    const renderNumber = (key, label, unit) => (
+        <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+            <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>
+                {label}
+                <span className="form-unit">{unit}</span>
+            </label>
+            <input
+                className="form-input"
+                type="number"
+                step={1}
+                value={settings[key]}
+                onChange={handleNumber(key)}
+                style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+            />
+        </div>
+    );
+
+    const handleClick = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const row = Math.floor(((e.clientY - rect.top) / rect.height) * waterfall.rows);
+        onProfileChange(waterfall.start + Math.min(waterfall.rows - 1, Math.max(0, row)));
+    };
+
+    const available = fileInfo ? Math.max(0, fileInfo.profileCount - selectedProfile) : 0;
+    const count = Math.min(settings.profileCount, available);
+    const cursorRow = waterfall ? selectedProfile - waterfall.start : -1;
+    const cursorVisible = waterfall && cursorRow >= 0 && cursorRow < waterfall.rows;
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <div className="panel-icon" style={{ background: 'rgba(251, 191, 36, 0.15)', color: '#fbbf24' }}>▤</div>
+                <span className="panel-title">Waterfall</span>
+            </div>
+
+            {!fileInfo ? (
+                <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+                    Load a .bin file to view profiles as a range image.
+                </p>
+            ) : (
+                <>
+                    {renderNumber('profileCount', 'Profiles (from selected)', 'count')}
+                    {renderNumber('binSize', 'Columns per Pixel', 'cols')}
+
+                    {progress ? (
+                        <div className="load-progress">
+                            <div className="load-progress-track">
+                                <div className="load-progress-bar" style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+                            </div>
+                            <div className="load-progress-text">Building… {progress.done} / {progress.total} profiles</div>
+                            <button className="clear-btn" onClick={onCancel}>✕ Cancel</button>
+                        </div>
+                    ) : (
+                        <button
+                            className="primary-btn"
+                            style={{ marginTop: 'var(--space-sm)' }}
+                            disabled={count === 0}
+                            onClick={() => onBuild(selectedProfile, count)}
+                        >
+                            Build waterfall {selectedProfile + 1}–{selectedProfile + count}
+                        </button>
+                    )}
+
+                    {waterfall && (
+                        <div className="results-section">
+                            <div className="form-group" style={{ marginBottom: 'var(--space-xs)' }}>
+                                <label className="form-label" style={{ fontSize: 'var(--font-size-xs)' }}>Colour By</label>
+                                <select
+                                    className="form-input"
+                                    value={mode}
+                                    onChange={(e) => onModeChange(e.target.value)}
+                                    style={{ padding: '4px 8px', fontSize: 'var(--font-size-sm)' }}
+                                >
+                                    {WATERFALL_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                                </select>
+                            </div>
+
+                            <div style={{ position: 'relative', cursor: 'crosshair' }} onClick={handleClick}>
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        display: 'block',
+                                        width: '100%',
+                                        height: Math.min(MAX_DISPLAY_HEIGHT, Math.max(120, waterfall.rows)),
+                                        imageRendering: 'pixelated',
+                                        borderRadius: 4,
+                                    }}
+                                />
+                                {cursorVisible && (
+                                    <div
+                                        style={{
+                                            position: 'absolute',
+                                            left: 0,
+                                            right: 0,
+                                            top: `${((cursorRow + 0.5) / waterfall.rows) * 100}%`,
+                                            height: 1,
+                                            background: '#ef4444',
+                                            pointerEvents: 'none',
+                                        }}
+                                    />
+                                )}
+                            </div>
+
+                            <div className="result-row">
+                                <span className="result-label">Profiles</span>
+                                <span className="result-value">{waterfall.start + 1}–{waterfall.start + waterfall.rows}</span>
+                            </div>
+                            {mode === 'height' && range && (
+                                <div className="result-row">
+                                    <span className="result-label">Z Range (warm = high)</span>
+                                    <span className="result-value">{range.low.toFixed(0)}–{range.high.toFixed(0)} mm</span>
+                                </div>
+                            )}
+                            {!cursorVisible && (
+                                <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                                    The selected profile is outside this waterfall.
+                                </p>
+                            )}
+                            <button className="clear-btn" onClick={onClear}>✕ Clear Waterfall</button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,310 @@
+/**
+ * Along-Track Events — turns per-profile detections into events that span
+ * many profiles, as inspection reports list them (start, end, length and
+ * the measurements over the whole event): freespans, and anodes with the
+ * spacing between them.
+ *
+ * Works on batch results (see batchProcessing.js), in file order, with an
+ * along-track position per row from computeAlongTrackPositions.
+ */
+
+/**
+ * @typedef {Object} FreespanSettings
+ * @property {number} minHeight - Smallest pipe-to-seabed gap that counts as a span (mm)
+ * @property {number} minLength - Shorter spans are dropped (mm)
+ * @property {number} bridgeProfiles - Profiles without a span that may interrupt one before it is split
+ */
+
+/** @type {FreespanSettings} */
+export const DEFAULT_FREESPAN_SETTINGS = {
+    minHeight: 20,
+    minLength: 500,
+    bridgeProfiles: 1,
+};
+
+/**
+ * @typedef {Object} FreespanEvent
+ * @property {'Freespan'} type
+ * @property {number} startIndex - First profile of the span
+ * @property {number} endIndex - Last profile of the span
+ * @property {number|null} startTime - Acquisition time of the first profile (ms)
+ * @property {number|null} endTime - Acquisition time of the last profile (ms)
+ * @property {number} startPosition - Along-track position where the span starts (mm)
+ * @property {number} endPosition - Along-track position where it ends (mm)
+ * @property {number} length - endPosition − startPosition (mm)
+ * @property {number} maxHeight - Largest gap under the pipe (mm)
+ * @property {number} maxHeightIndex - Profile with the largest gap
+ * @property {number} meanHeight - Mean gap over the profiles where it was measured (mm)
+ * @property {number} profileCount - Profiles in the span, including bridged ones
+ * @property {number} bridgedCount - Profiles inside the span without a measured gap
+ */
+
+/**
+ * Gap under the pipe in one profile. It is measured on every profile, not
+ * only those with a Freespan detection, so `minHeight` can go below the
+ * detection threshold.
+ *
+ * @param {import('./batchProcessing.js').BatchRow} row
+ * @returns {number|null} Null if the pipe is not clear of the seabed or the gap was not measured
+ */
+export function freespanHeight(row) {
+    return row.freespanGap > 0 ? row.freespanGap : null;
+}
+
+/**
+ * Along-track extent of one profile: halfway to its neighbours.
+ */
+function profileExtent(positions, i) {
+    const n = positions.length;
+    const before = i > 0 ? (positions[i] - positions[i - 1]) / 2 : (n > 1 ? (positions[1] - positions[0]) / 2 : 0);
+    const after = i < n - 1 ? (positions[i + 1] - positions[i]) / 2 : before;
+    return [positions[i] - before, positions[i] + after];
+}
+
+/**
+ * Merge the per-profile gaps under the pipe into span events.
+ *
+ * A span starts at a profile whose gap is at least `minHeight` and continues
+ * while such profiles follow, allowing up to `bridgeProfiles` profiles in a
+ * row without one (noise, a missed pipe fit). Spans shorter than
+ * `minLength` are dropped.
+ *
+ * @param {import('./batchProcessing.js').BatchRow[]} rows - Consecutive profiles in file order
+ * @param {ArrayLike<number>} positions - Along-track position per row (mm)
+ * @param {Partial<FreespanSettings>} [settings]
+ * @returns {FreespanEvent[]}
+ */
+export function aggregateFreespans(rows, positions, settings = {}) {
+    const { minHeight, minLength, bridgeProfiles } = { ...DEFAULT_FREESPAN_SETTINGS, ...settings };
+    const events = [];
+    let open = null; // { first, last, heightSum, measured, maxHeight, maxHeightIndex }, row positions
+
+    const close = () => {
+        const first = rows[open.first], last = rows[open.last];
+        const startPosition = profileExtent(positions, open.first)[0];
+        const endPosition = profileExtent(positions, open.last)[1];
+        const length = endPosition - startPosition;
+        const profileCount = open.last - open.first + 1;
+
+        if (length >= minLength) {
+            events.push({
+                type: 'Freespan',
+                startIndex: first.index,
+                endIndex: last.index,
+                startTime: first.time,
+                endTime: last.time,
+                startPosition,
+                endPosition,
+                length,
+                maxHeight: open.maxHeight,
+                maxHeightIndex: open.maxHeightIndex,
+                meanHeight: open.heightSum / open.measured,
+                profileCount,
+                bridgedCount: profileCount - open.measured,
+            });
+        }
+        open = null;
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+        const height = freespanHeight(rows[i]);
+        const inSpan = height !== null && height >= minHeight;
+
+        if (!inSpan) {
+            if (open && i - open.last > bridgeProfiles) close();
+            continue;
+        }
+
+        if (!open) {
+            open = { first: i, last: i, heightSum: 0, measured: 0, maxHeight: -Infinity, maxHeightIndex: rows[i].index };
+        }
+        open.last = i;
+        open.heightSum += height;
+        open.measured++;
+        if (height > open.maxHeight) {
+            open.maxHeight = height;
+            open.maxHeightIndex = rows[i].index;
+        }
+    }
+    if (open) close();
+
+    return events;
+}
+
+/**
+ * @typedef {Object} AnodeSettings
+ * @property {number} minConfidence - Anode features below this confidence are ignored
+ * @property {number} bridgeProfiles - Profiles without an anode that may interrupt one before it is split
+ * @property {number} expectedSpacing - Design distance between anodes, e.g. one per pipe joint (mm); 0 = no check
+ * @property {number} spacingTolerance - Spacing beyond expectedSpacing × (1 + tolerance) counts as a missed anode
+ */
+
+/** @type {AnodeSettings} */
+export const DEFAULT_ANODE_SETTINGS = {
+    minConfidence: 0.5,
+    bridgeProfiles: 2,
+    expectedSpacing: 12000,
+    spacingTolerance: 0.25,
+};
+
+/**
+ * @typedef {Object} AnodeEvent
+ * @property {'Anode'} type
+ * @property {number} startIndex - First profile of the anode
+ * @property {number} endIndex - Last profile of the anode
+ * @property {number|null} startTime - Acquisition time of the first profile (ms)
+ * @property {number|null} endTime - Acquisition time of the last profile (ms)
+ * @property {number} startPosition - Along-track position where the anode starts (mm)
+ * @property {number} endPosition - Along-track position where it ends (mm)
+ * @property {number} position - Centre of the anode (mm)
+ * @property {number} length - endPosition − startPosition (mm)
+ * @property {number|null} confidence - Highest feature confidence, null if only seen on the pipe fit
+ * @property {'feature'|'pipe'|'both'} source - Feature detection, detectPipe's anodeIndices or both
+ * @property {number|null} spacing - Centre-to-centre distance from the previous anode (mm), null for the first
+ * @property {number} profileCount - Profiles in the anode, including bridged ones
+ */
+
+/**
+ * @typedef {Object} MissingAnode
+ * @property {'MissingAnode'} type
+ * @property {number} position - Where the anode was expected (mm)
+ * @property {number} index - Profile nearest to that position
+ * @property {number|null} previousIndex - Start profile of the anode before the gap, null at the start of the run
+ * @property {number|null} nextIndex - Start profile of the anode after the gap, null at the end of the run
+ */
+
+/**
+ * Anode sightings in one profile, from both detectors.
+ *
+ * @param {import('./batchProcessing.js').BatchRow} row
+ * @param {number} minConfidence
+ * @returns {{ feature: boolean, pipe: boolean, confidence: number|null }}
+ */
+function anodeInRow(row, minConfidence) {
+    const anodes = row.features.filter(f => f.type === 'Anode' && f.confidence >= minConfidence);
+    return {
+        feature: anodes.length > 0,
+        pipe: (row.pipe?.anodeCount || 0) > 0,
+        confidence: anodes.length > 0 ? Math.max(...anodes.map(f => f.confidence)) : null,
+    };
+}
+
+/**
+ * Profile row nearest to an along-track position.
+ */
+function nearestRow(positions, position) {
+    let lo = 0, hi = positions.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (positions[mid] <= position) lo = mid;
+        else hi = mid;
+    }
+    return Math.abs(positions[hi] - position) < Math.abs(positions[lo] - position) ? hi : lo;
+}
+
+/**
+ * Merge per-profile anode detections into anode events, measure the
+ * spacing between consecutive anodes and list where one was expected but
+ * not seen.
+ *
+ * A profile shows an anode if feature detection found one (at
+ * `minConfidence` or above) or the pipe fit flagged protruding points; an
+ * anode continues over up to `bridgeProfiles` profiles without one. With an
+ * `expectedSpacing`, every gap of more than expectedSpacing × (1 +
+ * spacingTolerance) — between two anodes, or from either end of the run to
+ * the nearest anode — is split evenly into the anodes it should have held,
+ * each reported as missing.
+ *
+ * @param {import('./batchProcessing.js').BatchRow[]} rows - Consecutive profiles in file order
+ * @param {ArrayLike<number>} positions - Along-track position per row (mm)
+ * @param {Partial<AnodeSettings>} [settings]
+ * @returns {{ anodes: AnodeEvent[], missing: MissingAnode[] }}
+ */
+export function aggregateAnodes(rows, positions, settings = {}) {
+    const { minConfidence, bridgeProfiles, expectedSpacing, spacingTolerance } = { ...DEFAULT_ANODE_SETTINGS, ...settings };
+    const anodes = [];
+    let open = null; // { first, last, feature, pipe, confidence }, row positions
+
+    const close = () => {
+        const first = rows[open.first], last = rows[open.last];
+        const startPosition = profileExtent(positions, open.first)[0];
+        const endPosition = profileExtent(positions, open.last)[1];
+        const position = (startPosition + endPosition) / 2;
+        const previous = anodes[anodes.length - 1];
+
+        anodes.push({
+            type: 'Anode',
+            startIndex: first.index,
+            endIndex: last.index,
+            startTime: first.time,
+            endTime: last.time,
+            startPosition,
+            endPosition,
+            position,
+            length: endPosition - startPosition,
+            confidence: open.confidence,
+            source: open.feature && open.pipe ? 'both' : open.feature ? 'feature' : 'pipe',
+            spacing: previous ? position - previous.position : null,
+            profileCount: open.last - open.first + 1,
+        });
+        open = null;
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+        const seen = anodeInRow(rows[i], minConfidence);
+        if (!seen.feature && !seen.pipe) {
+            if (open && i - open.last > bridgeProfiles) close();
+            continue;
+        }
+
+        if (!open) open = { first: i, last: i, feature: false, pipe: false, confidence: null };
+        open.last = i;
+        open.feature = open.feature || seen.feature;
+        open.pipe = open.pipe || seen.pipe;
+        if (seen.confidence !== null) open.confidence = Math.max(open.confidence ?? 0, seen.confidence);
+    }
+    if (open) close();
+
+    const missing = [];
+    if (!(expectedSpacing > 0) || rows.length === 0) return { anodes, missing };
+
+    const margin = expectedSpacing * spacingTolerance;
+    const limit = expectedSpacing + margin;
+    const runStart = profileExtent(positions, 0)[0];
+    const runEnd = profileExtent(positions, rows.length - 1)[1];
+    const flag = (position, previous, next) => missing.push({
+        type: 'MissingAnode',
+        position,
+        index: rows[nearestRow(positions, position)].index,
+        previousIndex: previous ? previous.startIndex : null,
+        nextIndex: next ? next.startIndex : null,
+    });
+
+    if (anodes.length === 0) {
+        for (let k = 1; runStart + k * expectedSpacing + margin <= runEnd; k++) flag(runStart + k * expectedSpacing, null, null);
+        return { anodes, missing };
+    }
+
+    // Before the first anode, counting back from it
+    const first = anodes[0];
+    for (let k = 1; first.position - k * expectedSpacing - margin >= runStart; k++) {
+        flag(first.position - k * expectedSpacing, null, first);
+    }
+
+    // Between anodes, spread evenly over the gap
+    for (let a = 1; a < anodes.length; a++) {
+        const previous = anodes[a - 1], next = anodes[a];
+        if (next.spacing < limit) continue;
+        const count = Math.max(1, Math.round(next.spacing / expectedSpacing) - 1);
+        for (let k = 1; k <= count; k++) flag(previous.position + (k * next.spacing) / (count + 1), previous, next);
+    }
+
+    // After the last anode
+    const last = anodes[anodes.length - 1];
+    for (let k = 1; last.position + k * expectedSpacing + margin <= runEnd; k++) {
+        flag(last.position + k * expectedSpacing, last, null);
+    }
+
+    missing.sort((a, b) => a.position - b.position);
+    return { anodes, missing };
+}
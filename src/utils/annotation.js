@@ -0,0 +1,108 @@
+/**
+ * Annotation — manual feature labels drawn in the X–Z view, and the
+ * training_data.json entries shared with the Correct / False Positive
+ * buttons (read by ai_training/scripts/preprocess.py).
+ */
+
+import { profileToPixelCoords } from './binParser.js';
+
+/** Classes the model is trained on (label_map in preprocess.py) */
+export const ANNOTATION_CLASSES = ['Anode', 'Rock', 'Freespan'];
+
+/**
+ * Indices of the points inside an axis-aligned box given by two corners.
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @param {[number, number]} a - Corner as [x, z] (mm)
+ * @param {[number, number]} b - Opposite corner
+ * @returns {number[]}
+ */
+export function pointsInBox(points, a, b) {
+    const xMin = Math.min(a[0], b[0]), xMax = Math.max(a[0], b[0]);
+    const zMin = Math.min(a[1], b[1]), zMax = Math.max(a[1], b[1]);
+    const indices = [];
+    points.forEach((p, i) => {
+        if (p.x >= xMin && p.x <= xMax && p.z >= zMin && p.z <= zMax) indices.push(i);
+    });
+    return indices;
+}
+
+/**
+ * Indices of the points inside a polygon (even-odd rule).
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @param {[number, number][]} polygon - Vertices as [x, z] (mm), not repeated at the end
+ * @returns {number[]}
+ */
+export function pointsInPolygon(points, polygon) {
+    if (polygon.length < 3) return [];
+    const indices = [];
+    points.forEach((p, i) => {
+        let inside = false;
+        for (let j = 0, k = polygon.length - 1; j < polygon.length; k = j++) {
+            const [xj, zj] = polygon[j];
+            const [xk, zk] = polygon[k];
+            if ((zj > p.z) !== (zk > p.z) && p.x < ((xk - xj) * (p.z - zj)) / (zk - zj) + xj) inside = !inside;
+        }
+        if (inside) indices.push(i);
+    });
+    return indices;
+}
+
+/**
+ * A manually labelled feature over a set of profile points, in the shape
+ * detectFeatures returns.
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @param {number[]} indices
+ * @param {string} type
+ * @returns {object}
+ */
+export function manualFeature(points, indices, type) {
+    const sorted = [...indices].sort((a, b) => a - b);
+    const xs = sorted.map(i => points[i].x);
+    const zs = sorted.map(i => points[i].z);
+    return {
+        type,
+        confidence: 1,
+        xMin: Math.min(...xs),
+        xMax: Math.max(...xs),
+        zMin: Math.min(...zs),
+        zMax: Math.max(...zs),
+        indices: sorted,
+        manual: true,
+    };
+}
+
+/**
+ * One training_data.json entry for a labelled feature.
+ *
+ * @param {object} context
+ * @param {object} context.profile - Raw profile (LaserProfile) the points came from
+ * @param {string} context.fileName
+ * @param {{ x: number, z: number }[]} context.points - Processed profile points
+ * @param {object|null} context.pipeResult
+ * @param {object} context.params - Triangulation params
+ * @param {object} context.featureParams - Detection settings in use
+ * @param {object} feature - Feature with `indices` into `points`
+ * @param {boolean} isCorrect - False for a rejected detection
+ * @returns {object}
+ */
+export function trainingEntry({ profile, fileName, points, pipeResult, params, featureParams }, feature, isCorrect) {
+    const { pixelColumns, pixelRows } = profileToPixelCoords(profile);
+    return {
+        profileIndex: profile.index,
+        fileName,
+        timestamp: profile.comment?.timestamp,
+        rawPoints: { columns: pixelColumns, rows: pixelRows },
+        // Full context for preprocessing neighbors and pipe distance
+        profile3D: points.map(p => ({ x: p.x, z: p.z })),
+        pipeResult,
+        featurePoints: feature.indices.map(i => ({ x: points[i].x, z: points[i].z })),
+        triangulationParams: params,
+        feature, // Keep indices!
+        isCorrect,
+        paramsUsed: featureParams,
+        labeledAt: new Date().toISOString(),
+    };
+}
@@ -0,0 +1,175 @@
+/**
+ * Batch Processing — per-profile results of a whole-file run (pipe fit,
+ * detected features, burial and trench), and the filters used to browse them.
+ *
+ * Rows are kept small: detections are summarised without their point
+ * indices so a table for a full survey file fits comfortably in memory.
+ */
+
+import { BURIAL_STATES } from './burialAnalysis.js';
+import { trackEntryAt } from './pipeTracking.js';
+
+export const FEATURE_TYPES = ['Anode', 'Rock', 'Freespan', 'Dent'];
+
+/**
+ * @typedef {Object} BatchFeature
+ * @property {string} type
+ * @property {number} confidence
+ * @property {number} xMin
+ * @property {number} xMax
+ * @property {number} zMin
+ * @property {number} zMax
+ */
+
+/**
+ * @typedef {Object} BatchRow
+ * @property {number} index - Profile index
+ * @property {number|null} time - Acquisition time (ms), see getAcquisitionTime
+ * @property {number} pointCount - Points after cleaning
+ * @property {{ cx: number, cz: number, diameter: number, rms: number, inlierRatio: number, anodeCount: number }|null} pipe
+ *   detectPipe result for this profile, null if not found
+ * @property {BatchFeature[]} features
+ * @property {number|null} freespanGap - Pipe bottom to seabed (mm, see measureFreespanGap), null if not measured
+ * @property {{ state: string, exposedPercent: number, coverDepth: number, source: string }|null} burial
+ *   analyzeBurial result for this profile, null if the pipe position or seabed is unknown
+ * @property {{ width: number, depth: number, pipeTopDepth: number, bermLeft: number|null, bermRight: number|null }|null} trench
+ *   analyzeSeabed trench measurements (mm; berms as heights above the reference seabed), null if not trenched
+ */
+
+/**
+ * Summarise one processed profile.
+ *
+ * @param {number} index
+ * @param {number|null} time
+ * @param {object[]} points - Processed 3D points
+ * @param {object|null} pipeResult - detectPipe result
+ * @param {object[]} features - detectFeatures result
+ * @param {object|null} [burial] - analyzeBurial result
+ * @param {object|null} [seabed] - analyzeSeabed result
+ * @param {number|null} [freespanGap] - measureFreespanGap result, on the pipe the features were detected on
+ * @returns {BatchRow}
+ */
+export function createBatchRow(index, time, points, pipeResult, features, burial = null, seabed = null, freespanGap = null) {
+    return {
+        index,
+        time,
+        pointCount: points.length,
+        pipe: pipeResult && {
+            cx: pipeResult.cx,
+            cz: pipeResult.cz,
+            diameter: pipeResult.diameter,
+            rms: pipeResult.rms,
+            inlierRatio: pipeResult.inlierRatio,
+            anodeCount: pipeResult.anodeIndices?.length || 0,
+        },
+        features: features.map(({ type, confidence, xMin, xMax, zMin, zMax }) => ({ type, confidence, xMin, xMax, zMin, zMax })),
+        freespanGap,
+        burial: summarizeBurial(burial),
+        trench: summarizeTrench(seabed),
+    };
+}
+
+/**
+ * The part of an analyzeBurial result kept in a batch row.
+ *
+ * @param {object|null} burial
+ * @returns {BatchRow['burial']}
+ */
+export function summarizeBurial(burial) {
+    return burial && {
+        state: burial.state,
+        exposedPercent: burial.exposedPercent,
+        coverDepth: burial.coverDepth,
+        source: burial.source,
+    };
+}
+
+/**
+ * The trench measurements of an analyzeSeabed result kept in a batch row.
+ *
+ * @param {object|null} seabed
+ * @returns {BatchRow['trench']}
+ */
+export function summarizeTrench(seabed) {
+    const trench = seabed?.trench;
+    return trench ? {
+        width: trench.width,
+        depth: trench.depth,
+        pipeTopDepth: trench.pipeTopDepth,
+        bermLeft: trench.bermLeft?.height ?? null,
+        bermRight: trench.bermRight?.height ?? null,
+    } : null;
+}
+
+/** Row filters offered in the results table */
+export const BATCH_FILTERS = [
+    { value: 'all', label: 'All profiles' },
+    { value: 'features', label: 'Any feature' },
+    ...FEATURE_TYPES.map(type => ({ value: type, label: type })),
+    { value: 'noPipe', label: 'Pipe not found' },
+    { value: 'trackGap', label: 'Track coasting / lost' },
+    { value: 'exposed', label: 'Pipe exposed' },
+    { value: 'partial', label: 'Partially buried' },
+    { value: 'buried', label: 'Buried' },
+];
+
+/**
+ * Rows matching a filter.
+ *
+ * @param {BatchRow[]} rows
+ * @param {string} filter - A BATCH_FILTERS value
+ * @param {object} [options]
+ * @param {number} [options.minConfidence=0] - Ignore features below this confidence
+ * @param {import('./pipeTracking.js').PipeTracks|null} [options.track]
+ *   Pipe tracks, for the 'trackGap' filter (main line)
+ * @returns {BatchRow[]}
+ */
+export function filterBatchRows(rows, filter, { minConfidence = 0, track = null } = {}) {
+    const hasFeature = (row, type) => row.features.some(f => f.confidence >= minConfidence && (!type || f.type === type));
+
+    switch (filter) {
+        case 'all':
+            return rows;
+        case 'features':
+            return rows.filter(row => hasFeature(row));
+        case 'noPipe':
+            return rows.filter(row => !row.pipe);
+        case 'exposed':
+        case 'partial':
+        case 'buried':
+            return rows.filter(row => row.burial?.state === filter);
+        case 'trackGap':
+            if (!track) return [];
+            return rows.filter(row => {
+                const entry = trackEntryAt(track, row.index);
+                return entry && entry.status !== 'tracking';
+            });
+        default:
+            return rows.filter(row => hasFeature(row, filter));
+    }
+}
+
+/**
+ * Totals over a set of rows.
+ *
+ * @param {BatchRow[]} rows
+ * @returns {{
+ *   profileCount: number, pipeCount: number, featureProfileCount: number,
+ *   featureCounts: Object<string, number>, burialCounts: Object<string, number>
+ * }}
+ */
+export function summarizeBatch(rows) {
+    const featureCounts = Object.fromEntries(FEATURE_TYPES.map(type => [type, 0]));
+    const burialCounts = Object.fromEntries(BURIAL_STATES.map(state => [state, 0]));
+    let pipeCount = 0;
+    let featureProfileCount = 0;
+
+    for (const row of rows) {
+        if (row.pipe) pipeCount++;
+        if (row.features.length > 0) featureProfileCount++;
+        for (const f of row.features) featureCounts[f.type] = (featureCounts[f.type] || 0) + 1;
+        if (row.burial) burialCounts[row.burial.state]++;
+    }
+
+    return { profileCount: rows.length, pipeCount, featureProfileCount, featureCounts, burialCounts };
+}
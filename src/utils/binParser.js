@@ -19,6 +19,10 @@
  *   - Profile Data: P × 4 bytes (P points)
  *     - Each point: yOffset (2 bytes), intensity (1 byte), width (1 byte)
  *     - yOffset is in 12.4 fixed-point format (divide by 16.0)
+ *
+ * Survey files can be several gigabytes, so the file is never held as a
+ * whole. `indexBinFile` makes one chunked pass that only records where each
+ * profile starts, and profiles are decoded on demand into typed arrays.
  */
 
 /**
@@ -41,11 +45,17 @@
  */
 
 /**
+ * A decoded profile. Points are stored column-major in typed arrays (one
+ * entry per column) rather than as ProfilePoint objects; use
+ * `getProfilePoints` when an object per point is more convenient.
+ *
  * @typedef {Object} LaserProfile
  * @property {number} index - Profile index within the file
  * @property {Object|null} comment - Parsed JSON comment data
  * @property {string} rawComment - Original comment string
- * @property {ProfilePoint[]} points - Array of profile points
+ * @property {Float32Array} yOffsets - Y offset per column in pixels
+ * @property {Uint8Array} intensities - Intensity per column (0-255)
+ * @property {Uint8Array} widths - Line width per column (0 = no data)
  * @property {number} validCount - Number of valid points (width > 0)
  * @property {number} startOffset - Byte offset of this profile in the file
  */
@@ -57,6 +67,41 @@
  * @property {number} profileCount - Total number of profiles
  */
 
+/**
+ * Random access to the bytes of a file, independent of where they live
+ * (an ArrayBuffer, a browser File/Blob or a Node file handle).
+ *
+ * @typedef {Object} ByteReader
+ * @property {number} size - Total size in bytes
+ * @property {(offset: number, length: number) => Promise<Uint8Array>} read - Read a byte range
+ */
+
+/**
+ * Offsets of every profile record in a file.
+ *
+ * @typedef {Object} BinFileIndex
+ * @property {BinFileHeader} header - File header information
+ * @property {number} profileCount - Number of complete profiles
+ * @property {Float64Array} offsets - Start offset of each profile, plus the end of the last one (length profileCount + 1)
+ * @property {number} fileSize - Size of the indexed file in bytes
+ */
+
+/**
+ * An opened .bin file: the index plus cached on-demand profile decoding.
+ *
+ * @typedef {Object} BinFileSource
+ * @property {BinFileHeader} header
+ * @property {number} profileCount
+ * @property {number} fileSize
+ * @property {BinFileIndex} index
+ * @property {(i: number) => Promise<LaserProfile>} getProfile
+ * @property {(start: number, count: number) => Promise<LaserProfile[]>} getProfiles
+ */
+
+const MIN_HEADER_BYTES = 12;
+const DEFAULT_CHUNK_SIZE = 16 * 1024 * 1024; // 16 MB per read while indexing
+const DEFAULT_CACHE_SIZE = 64;               // decoded profiles kept by openBinFile
+
 /**
  * Read a 16-bit unsigned integer in network byte order (big-endian)
  * @param {DataView} view - The DataView to read from
@@ -78,20 +123,45 @@ function readInt16BE(view, offset) {
 }
 
 /**
- * Parse a .bin laser file from an ArrayBuffer.
+ * Create a ByteReader over an in-memory ArrayBuffer.
  *
- * @param {ArrayBuffer} buffer - The raw file data
- * @returns {BinFileData}
- * @throws {Error} On invalid file format
+ * @param {ArrayBuffer} buffer
+ * @returns {ByteReader}
  */
-export function parseBinFile(buffer) {
-    const view = new DataView(buffer);
+export function bufferByteReader(buffer) {
     const bytes = new Uint8Array(buffer);
+    return {
+        size: buffer.byteLength,
+        read: async (offset, length) => bytes.subarray(offset, offset + length),
+    };
+}
 
-    // ---- File Header ----
-    if (buffer.byteLength < 12) {
-        throw new Error('File too small — must be at least 12 bytes for the header.');
+/**
+ * Create a ByteReader over a browser Blob or File. Only the requested
+ * ranges are ever loaded into memory.
+ *
+ * @param {Blob} blob
+ * @returns {ByteReader}
+ */
+export function blobByteReader(blob) {
+    return {
+        size: blob.size,
+        read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer()),
+    };
+}
+
+/**
+ * Decode and validate the file header.
+ *
+ * @param {Uint8Array} bytes - At least the first 12 bytes of the file
+ * @returns {BinFileHeader}
+ * @throws {Error} On invalid file format
+ */
+function parseHeader(bytes) {
+    if (bytes.byteLength < MIN_HEADER_BYTES) {
+        throw new Error(`File too small — must be at least ${MIN_HEADER_BYTES} bytes for the header.`);
     }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
 
     // Read format and version combined (first 2 bytes, big-endian)
     const formatAndVersion = readUInt16BE(view, 0);
@@ -117,109 +187,297 @@ export function parseBinFile(buffer) {
         throw new Error('Points per profile is 0 — invalid file.');
     }
 
-    console.log(`Header: format=${format}, version=${version}, headerSize=${headerSize}, pointsPerProfile=${pointsPerProfile}`);
+    return { format, version, headerSize, pointsPerProfile, reserved0, reserved1 };
+}
 
-    const header = { format, version, headerSize, pointsPerProfile, reserved0, reserved1 };
-    const profiles = [];
-    let offset = headerSize;
-    let profileIndex = 0;
-    const MAX_PROFILES = 10000; // Safety limit
+/**
+ * Decode the JSON comment of a profile.
+ *
+ * @param {Uint8Array} commentBytes
+ * @param {number} profileIndex - Used for warnings only
+ * @returns {{ rawComment: string, comment: Object|null }}
+ */
+function decodeComment(commentBytes, profileIndex) {
+    let rawComment = '';
+    let comment = null;
+
+    // Decode as UTF-8, clean up any issues
+    try {
+        rawComment = new TextDecoder('utf-8', { fatal: false })
+            .decode(commentBytes)
+            .replace(/\0+$/, ''); // Remove trailing nulls
+
+        // Try to parse as JSON
+        try {
+            comment = JSON.parse(rawComment);
+        } catch (e) {
+            console.warn(`Profile ${profileIndex}: Failed to parse comment as JSON: ${e.message}`);
+        }
+    } catch (e) {
+        console.warn(`Profile ${profileIndex}: Failed to decode comment: ${e.message}`);
+    }
 
-    // ---- Parse Profiles ----
-    while (offset < buffer.byteLength && profileIndex < MAX_PROFILES) {
-        const profileStartOffset = offset;
+    return { rawComment, comment };
+}
 
-        // 1. Read Comment Length (2 bytes, big-endian)
-        if (offset + 2 > buffer.byteLength) {
-            console.warn(`Profile ${profileIndex}: Truncated at comment length`);
-            break;
-        }
-        const commentLength = readInt16BE(view, offset);
-        offset += 2;
+/**
+ * Decode one complete profile record (comment length, comment, point data).
+ *
+ * @param {Uint8Array} bytes - Bytes holding the record
+ * @param {number} offset - Offset of the record within `bytes`
+ * @param {number} pointsPerProfile - P from the file header
+ * @param {number} profileIndex - Index of the profile within the file
+ * @param {number} startOffset - Offset of the record within the file
+ * @returns {LaserProfile}
+ */
+export function decodeProfile(bytes, offset, pointsPerProfile, profileIndex, startOffset) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // 1. Comment Length (2 bytes, big-endian) and Comment Data (JSON)
+    const commentLength = readInt16BE(view, offset);
+    offset += 2;
+
+    let rawComment = '';
+    let comment = null;
+    if (commentLength > 0) {
+        ({ rawComment, comment } = decodeComment(bytes.subarray(offset, offset + commentLength), profileIndex));
+        offset += commentLength;
+    }
 
-        // 2. Read Comment Data (JSON)
-        let rawComment = '';
-        let comment = null;
+    // 2. Profile Data (P × 4 bytes)
+    const yOffsets = new Float32Array(pointsPerProfile);
+    const intensities = new Uint8Array(pointsPerProfile);
+    const widths = new Uint8Array(pointsPerProfile);
+    let validCount = 0;
 
-        if (commentLength > 0) {
-            if (offset + commentLength > buffer.byteLength) {
-                console.warn(`Profile ${profileIndex}: Comment extends beyond file (${commentLength} bytes at offset ${offset})`);
-                break;
-            }
+    for (let col = 0; col < pointsPerProfile; col++) {
+        const pointOffset = offset + col * 4;
+
+        // Decode 12.4 fixed-point to float.
+        // For horizontal profiles, Y is measured from top (inverted)
+        // The C# code does: d_yOffset = 1152 - d_yOffset;
+        // But we'll keep the raw value and let the application handle orientation
+        yOffsets[col] = readUInt16BE(view, pointOffset) / 16.0;
+        intensities[col] = bytes[pointOffset + 2];
+        widths[col] = bytes[pointOffset + 3];
 
-            // Read comment bytes
-            const commentBytes = bytes.slice(offset, offset + commentLength);
-            offset += commentLength;
-
-            // Decode as UTF-8, clean up any issues
-            try {
-                rawComment = new TextDecoder('utf-8', { fatal: false })
-                    .decode(commentBytes)
-                    .replace(/\0+$/, ''); // Remove trailing nulls
-
-                // Try to parse as JSON
-                try {
-                    comment = JSON.parse(rawComment);
-                } catch (e) {
-                    console.warn(`Profile ${profileIndex}: Failed to parse comment as JSON: ${e.message}`);
-                }
-            } catch (e) {
-                console.warn(`Profile ${profileIndex}: Failed to decode comment: ${e.message}`);
+        if (widths[col] > 0) validCount++;
+    }
+
+    return {
+        index: profileIndex,
+        comment,
+        rawComment,
+        yOffsets,
+        intensities,
+        widths,
+        validCount,
+        startOffset
+    };
+}
+
+/**
+ * Build the profile offset index of a file in a single chunked pass.
+ *
+ * Only the comment length of each record is inspected, so memory use is a
+ * few bytes per profile regardless of file size.
+ *
+ * @param {ByteReader} reader
+ * @param {object} [options]
+ * @param {number} [options.chunkSize=16MB] Bytes read per step
+ * @param {(progress: { bytesRead: number, totalBytes: number, profileCount: number, index: BinFileIndex }) => void} [options.onProgress]
+ *        Called after every chunk. `index` covers the profiles found so far and is only valid during the call.
+ * @param {AbortSignal} [options.signal] Aborts indexing with an AbortError
+ * @returns {Promise<BinFileIndex>}
+ * @throws {Error} On invalid file format
+ */
+export async function indexBinFile(reader, options = {}) {
+    const { chunkSize = DEFAULT_CHUNK_SIZE, onProgress = null, signal = null } = options;
+    const fileSize = reader.size;
+
+    // ---- File Header ----
+    const header = parseHeader(await reader.read(0, Math.min(fileSize, 12)));
+    const profileDataSize = header.pointsPerProfile * 4;
+
+    // ---- Scan Profiles ----
+    let offsets = new Float64Array(1024);
+    let profileCount = 0;
+    let offset = header.headerSize;
+    let chunk = null;
+    let chunkStart = 0;
+
+    const reportProgress = (bytesRead) => {
+        offsets[profileCount] = offset;
+        onProgress({
+            bytesRead,
+            totalBytes: fileSize,
+            profileCount,
+            index: { header, profileCount, offsets: offsets.subarray(0, profileCount + 1), fileSize }
+        });
+    };
+
+    while (offset + 2 <= fileSize) {
+        // Load the chunk that holds this record's comment length
+        if (!chunk || offset + 2 > chunkStart + chunk.byteLength) {
+            chunkStart = offset;
+            chunk = await reader.read(offset, Math.min(chunkSize, fileSize - offset));
+            // Checked after the read, so a cancel during it reports no more progress
+            if (signal?.aborted) {
+                const err = new Error('Indexing cancelled.');
+                err.name = 'AbortError';
+                throw err;
             }
+            if (onProgress) reportProgress(offset);
         }
 
-        // 3. Read Profile Data (P × 4 bytes)
-        const profileDataSize = pointsPerProfile * 4;
+        const local = offset - chunkStart;
+        const commentLength = ((chunk[local] << 24) >> 16) | chunk[local + 1]; // int16 big-endian
+        const recordSize = 2 + Math.max(0, commentLength) + profileDataSize;
 
-        if (offset + profileDataSize > buffer.byteLength) {
-            console.warn(`Profile ${profileIndex}: Truncated profile data (needs ${profileDataSize} bytes, has ${buffer.byteLength - offset})`);
+        if (offset + recordSize > fileSize) {
+            console.warn(`Profile ${profileCount}: Truncated record (needs ${recordSize} bytes, has ${fileSize - offset})`);
             break;
         }
 
-        // Parse each point (4 bytes each)
-        const points = [];
-        let validCount = 0;
+        if (profileCount + 1 >= offsets.length) {
+            const grown = new Float64Array(offsets.length * 2);
+            grown.set(offsets);
+            offsets = grown;
+        }
+        offsets[profileCount++] = offset;
+        offset += recordSize;
+    }
 
-        for (let col = 0; col < pointsPerProfile; col++) {
-            const pointOffset = offset + col * 4;
+    offsets[profileCount] = offset;
+    if (onProgress) reportProgress(fileSize);
 
-            // Read point data (big-endian)
-            const yOffsetRaw = readUInt16BE(view, pointOffset);
-            const intensity = view.getUint8(pointOffset + 2);
-            const width = view.getUint8(pointOffset + 3);
+    return {
+        header,
+        profileCount,
+        offsets: offsets.slice(0, profileCount + 1),
+        fileSize
+    };
+}
 
-            // Decode 12.4 fixed-point to float
-            const yOffset = yOffsetRaw / 16.0;
+/**
+ * Read and decode a contiguous run of profiles with a single read.
+ *
+ * @param {ByteReader} reader
+ * @param {BinFileIndex} index
+ * @param {number} start - First profile index
+ * @param {number} count - Number of profiles
+ * @returns {Promise<LaserProfile[]>}
+ */
+export async function readProfiles(reader, index, start, count) {
+    const first = Math.max(0, start);
+    const last = Math.min(index.profileCount, start + count);
+    if (last <= first) return [];
 
-            // For horizontal profiles, Y is measured from top (inverted)
-            // The C# code does: d_yOffset = 1152 - d_yOffset;
-            // But we'll keep the raw value and let the application handle orientation
+    const base = index.offsets[first];
+    const bytes = await reader.read(base, index.offsets[last] - base);
+    const profiles = [];
+    for (let i = first; i < last; i++) {
+        profiles.push(decodeProfile(bytes, index.offsets[i] - base, index.header.pointsPerProfile, i, index.offsets[i]));
+    }
+    return profiles;
+}
 
-            const valid = width > 0;
-            if (valid) validCount++;
+/**
+ * Read and decode a single profile.
+ *
+ * @param {ByteReader} reader
+ * @param {BinFileIndex} index
+ * @param {number} i - Profile index
+ * @returns {Promise<LaserProfile|null>}
+ */
+export async function readProfile(reader, index, i) {
+    const [profile] = await readProfiles(reader, index, i, 1);
+    return profile || null;
+}
 
-            points.push({
-                column: col,
-                yOffset,
-                intensity,
-                width,
-                valid
-            });
-        }
+/**
+ * Wrap an index in a source that decodes profiles on demand, keeping the
+ * most recently used ones in a small cache.
+ *
+ * @param {ByteReader} reader
+ * @param {BinFileIndex} index
+ * @param {object} [options]
+ * @param {number} [options.cacheSize=64] Decoded profiles to keep
+ * @returns {BinFileSource}
+ */
+export function createBinFileSource(reader, index, options = {}) {
+    const { cacheSize = DEFAULT_CACHE_SIZE } = options;
+    const cache = new Map();
+
+    const remember = (profile) => {
+        cache.delete(profile.index);
+        cache.set(profile.index, profile);
+        if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+        return profile;
+    };
 
-        offset += profileDataSize;
+    return {
+        header: index.header,
+        profileCount: index.profileCount,
+        fileSize: index.fileSize,
+        index,
+        async getProfile(i) {
+            if (cache.has(i)) return remember(cache.get(i));
+            const profile = await readProfile(reader, index, i);
+            return profile ? remember(profile) : null;
+        },
+        async getProfiles(start, count) {
+            const profiles = await readProfiles(reader, index, start, count);
+            if (profiles.length <= cacheSize) profiles.forEach(remember);
+            return profiles;
+        },
+    };
+}
 
-        // Add profile to results
-        profiles.push({
-            index: profileIndex,
-            comment,
-            rawComment,
-            points,
-            validCount,
-            startOffset: profileStartOffset
-        });
+/**
+ * Index a file and return a source that decodes profiles on demand.
+ *
+ * @param {ByteReader} reader
+ * @param {object} [options] - Passed to indexBinFile and createBinFileSource
+ * @returns {Promise<BinFileSource>}
+ */
+export async function openBinFile(reader, options = {}) {
+    const index = await indexBinFile(reader, options);
+    return createBinFileSource(reader, index, options);
+}
 
-        profileIndex++;
+/**
+ * Parse a whole .bin laser file held in an ArrayBuffer.
+ *
+ * Convenient for small files only — every profile is decoded up front.
+ * Use `openBinFile` for survey-sized files.
+ *
+ * @param {ArrayBuffer} buffer - The raw file data
+ * @returns {BinFileData}
+ * @throws {Error} On invalid file format
+ */
+export function parseBinFile(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    // ---- File Header ----
+    const header = parseHeader(bytes.subarray(0, 12));
+    const profileDataSize = header.pointsPerProfile * 4;
+    const profiles = [];
+    let offset = header.headerSize;
+
+    // ---- Parse Profiles ----
+    while (offset + 2 <= buffer.byteLength) {
+        const commentLength = readInt16BE(view, offset);
+        const recordSize = 2 + Math.max(0, commentLength) + profileDataSize;
+
+        if (offset + recordSize > buffer.byteLength) {
+            console.warn(`Profile ${profiles.length}: Truncated record (needs ${recordSize} bytes, has ${buffer.byteLength - offset})`);
+            break;
+        }
+
+        profiles.push(decodeProfile(bytes, offset, header.pointsPerProfile, profiles.length, offset));
+        offset += recordSize;
     }
 
     return {
@@ -229,24 +487,96 @@ export function parseBinFile(buffer) {
     };
 }
 
+/**
+ * Expand a decoded profile into one ProfilePoint object per column.
+ *
+ * @param {LaserProfile} profile
+ * @returns {ProfilePoint[]}
+ */
+export function getProfilePoints(profile) {
+    const points = [];
+    for (let col = 0; col < profile.yOffsets.length; col++) {
+        const width = profile.widths[col];
+        points.push({
+            column: col,
+            yOffset: profile.yOffsets[col],
+            intensity: profile.intensities[col],
+            width,
+            valid: width > 0
+        });
+    }
+    return points;
+}
+
 /**
  * Extract the valid points from a profile as pixel coordinates suitable
- * for triangulation. Returns arrays of column (X pixel) and row (Y pixel) values.
+ * for triangulation. Returns arrays of column (X pixel) and row (Y pixel) values,
+ * plus the intensity and line width of each point.
  *
  * @param {LaserProfile} profile - The profile to extract points from
  * @param {number} [targetResolution] - Target resolution (not needed for full resolution files)
- * @returns {{ pixelColumns: number[], pixelRows: number[] }}
+ * @returns {{ pixelColumns: number[], pixelRows: number[], intensities: number[], widths: number[] }}
  */
 export function profileToPixelCoords(profile, targetResolution) {
     const pixelColumns = [];
     const pixelRows = [];
+    const intensities = [];
+    const widths = [];
 
     // Use points as-is since we now have the full resolution
-    for (const pt of profile.points) {
-        if (!pt.valid) continue;
-        pixelColumns.push(pt.column);
-        pixelRows.push(pt.yOffset);
+    for (let col = 0; col < profile.widths.length; col++) {
+        if (profile.widths[col] === 0) continue;
+        pixelColumns.push(col);
+        pixelRows.push(profile.yOffsets[col]);
+        intensities.push(profile.intensities[col]);
+        widths.push(profile.widths[col]);
     }
 
-    return { pixelColumns, pixelRows };
+    return { pixelColumns, pixelRows, intensities, widths };
+}
+
+/**
+ * Parse a time string: a full date-time gives epoch milliseconds, a bare
+ * "HH:MM:SS(.sss)" gives milliseconds since midnight.
+ *
+ * @param {string} value
+ * @returns {number|null} Time in ms, or null if it cannot be parsed
+ */
+export function parseTimeString(value) {
+    const text = String(value).trim();
+    const match = /^(\d{1,2}):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(text);
+    if (match) {
+        return ((parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 + parseFloat(match[3])) * 1000;
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Acquisition time of a profile in milliseconds, read from its JSON comment
+ * (`acquisition.time`, falling back to `timestamp`). See parseTimeString for
+ * the accepted formats; numbers are taken as milliseconds.
+ *
+ * @param {Object|null} comment - Parsed profile comment
+ * @returns {number|null} Time in ms, or null if the comment has none
+ */
+export function getAcquisitionTime(comment) {
+    const raw = comment?.acquisition?.time ?? comment?.timestamp;
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+    return parseTimeString(raw);
+}
+
+/**
+ * Serial number of the sensor that recorded a profile, read from its JSON
+ * comment (`sensor.serial`, `sensor.serialNumber` or a top-level `serial`).
+ *
+ * @param {Object|null} comment - Parsed profile comment
+ * @returns {string|null}
+ */
+export function getSensorSerial(comment) {
+    const raw = comment?.sensor?.serial ?? comment?.sensor?.serialNumber ?? comment?.serial ?? comment?.serialNumber;
+    if (raw === undefined || raw === null || raw === '') return null;
+    return String(raw).trim();
 }
@@ -0,0 +1,105 @@
+/**
+ * Burial Analysis — how much of the pipe is below the seabed in a profile.
+ *
+ * The seabed level is taken on both sides of the pipe, just clear of its
+ * wall, and compared with the pipe's vertical extent; the surface over the
+ * crest gives the depth of cover once the pipe is buried. The pipe position
+ * can come from a detection, the tracker or an interpolated track (see
+ * fillTrackGaps), so a pipe without a visible circle is still measured.
+ *
+ * All levels are sensor Z (mm, positive down): a smaller Z is higher.
+ */
+
+import { median } from './statistics.js';
+
+/**
+ * @typedef {Object} BurialSettings
+ * @property {number} sideOffset - Gap between the pipe wall and each seabed window (mm)
+ * @property {number} sideWidth - Width of each seabed window (mm)
+ * @property {number} crestWidth - Half-width of the window over the crest, as a fraction of the radius
+ * @property {number} exposedThreshold - Exposure (% of diameter) from which the pipe counts as exposed
+ * @property {number} coverTolerance - Material over the crest below this (mm) is not counted as cover
+ * @property {number} minPoints - Fewest points for a seabed or crest level
+ */
+
+/** @type {BurialSettings} */
+export const DEFAULT_BURIAL_SETTINGS = {
+    sideOffset: 50,
+    sideWidth: 300,
+    crestWidth: 0.5,
+    exposedThreshold: 90,
+    coverTolerance: 10,
+    minPoints: 5,
+};
+
+/** Burial classes, from least to most buried */
+export const BURIAL_STATES = ['exposed', 'partial', 'buried'];
+
+/**
+ * @typedef {Object} BurialResult
+ * @property {'exposed'|'partial'|'buried'} state
+ * @property {number} exposedPercent - Share of the diameter above the mean seabed level (0–100)
+ * @property {number} coverDepth - Material over the pipe crest (mm), 0 unless buried
+ * @property {number|null} seabedLeft - Seabed level left of the pipe (Z, mm)
+ * @property {number|null} seabedRight - Seabed level right of the pipe (Z, mm)
+ * @property {number} seabedLevel - Mean of the available sides (Z, mm)
+ * @property {number} pipeTop - Z of the pipe crest (mm)
+ * @property {'detected'|'tracked'|'interpolated'} source - Where the pipe position came from
+ */
+
+function pipeSource(pipe) {
+    if (!pipe.track) return 'detected';
+    if (pipe.track.status === 'interpolated') return 'interpolated';
+    return pipe.track.status === 'tracking' ? 'detected' : 'tracked';
+}
+
+/**
+ * Classify the burial of the pipe in one profile.
+ *
+ * @param {{ x: number, z: number }[]} points - Processed profile points
+ * @param {{ cx: number, cz: number, radius: number }} pipe - Expected pipe (detected, tracked or interpolated)
+ * @param {Partial<BurialSettings>} [settings]
+ * @returns {BurialResult|null} Null if the seabed is not visible on either side
+ */
+export function analyzeBurial(points, pipe, settings = {}) {
+    if (!pipe) return null;
+    const { sideOffset, sideWidth, crestWidth, exposedThreshold, coverTolerance, minPoints } = {
+        ...DEFAULT_BURIAL_SETTINGS,
+        ...settings
+    };
+    const { cx, cz, radius } = pipe;
+
+    const leftInner = cx - radius - sideOffset, leftOuter = leftInner - sideWidth;
+    const rightInner = cx + radius + sideOffset, rightOuter = rightInner + sideWidth;
+    const crestHalf = radius * crestWidth;
+
+    const left = [], right = [], crest = [];
+    for (const p of points) {
+        if (p.x >= leftOuter && p.x <= leftInner) left.push(p.z);
+        else if (p.x >= rightInner && p.x <= rightOuter) right.push(p.z);
+        else if (Math.abs(p.x - cx) <= crestHalf) crest.push(p.z);
+    }
+
+    const seabedLeft = left.length >= minPoints ? median(left) : null;
+    const seabedRight = right.length >= minPoints ? median(right) : null;
+    if (seabedLeft === null && seabedRight === null) return null;
+
+    const sides = [seabedLeft, seabedRight].filter(v => v !== null);
+    const seabedLevel = sides.reduce((sum, v) => sum + v, 0) / sides.length;
+    const pipeTop = cz - radius;
+
+    // Exposure: the part of the diameter above the seabed
+    const exposedPercent = Math.min(100, Math.max(0, ((seabedLevel - pipeTop) / (2 * radius)) * 100));
+
+    // Cover: the surface over the crest, or the seabed level where the crest is not seen
+    const surface = crest.length >= minPoints ? median(crest) : seabedLevel;
+    const cover = pipeTop - surface;
+    const coverDepth = cover > coverTolerance ? cover : 0;
+
+    let state;
+    if (exposedPercent <= 0 || coverDepth > 0) state = 'buried';
+    else if (exposedPercent < exposedThreshold) state = 'partial';
+    else state = 'exposed';
+
+    return { state, exposedPercent, coverDepth, seabedLeft, seabedRight, seabedLevel, pipeTop, source: pipeSource(pipe) };
+}
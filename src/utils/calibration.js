@@ -0,0 +1,250 @@
+/**
+ * Laser System Calibration — solves for laser system parameters from scans
+ * of a target with known geometry.
+ *
+ * Targets:
+ *   - pipe:  a cylinder of known diameter crossing the laser line. A circle
+ *            is fitted to each profile's pipe points; residuals are the
+ *            points' distances from that circle plus the difference between
+ *            its radius and the known one.
+ *   - plate: a flat plate facing the camera at a known range. Residuals
+ *            are the differences between each point's Z and the range.
+ *
+ * The pixels used are chosen once with the starting parameters and then
+ * re-triangulated for every trial parameter set, so the residual vector
+ * keeps the same length throughout the fit (see levenbergMarquardt).
+ */
+
+import { createTriangulator } from './triangulation.js';
+import { profileToPixelCoords } from './binParser.js';
+import { processProfile } from './profilePipeline.js';
+import { fitCircle, fitCircleGeometric } from './pipeFitting.js';
+import { levenbergMarquardt } from './leastSquares.js';
+
+/** Parameters that can be fitted, in LaserSystemPanel order */
+export const CALIBRATION_FIELDS = [
+    { key: 'focalLength', label: 'Focal Length', unit: 'mm' },
+    { key: 'pixelSize', label: 'Pixel Size', unit: 'µm' },
+    { key: 'principalX', label: 'Principal X', unit: 'px' },
+    { key: 'principalY', label: 'Principal Y', unit: 'px' },
+    { key: 'k1', label: 'Radial k1', unit: '' },
+    { key: 'k2', label: 'Radial k2', unit: '' },
+    { key: 'k3', label: 'Radial k3', unit: '' },
+    { key: 'p1', label: 'Tangential p1', unit: '' },
+    { key: 'p2', label: 'Tangential p2', unit: '' },
+    { key: 'portDistance', label: 'Lens to Port', unit: 'mm' },
+    { key: 'camX', label: 'Camera X', unit: 'mm' },
+    { key: 'camY', label: 'Camera Y', unit: 'mm' },
+    { key: 'camZ', label: 'Camera Z', unit: 'mm' },
+    { key: 'camPitch', label: 'Camera Pitch', unit: '°' },
+    { key: 'camRoll', label: 'Camera Roll', unit: '°' },
+    { key: 'camYaw', label: 'Camera Yaw', unit: '°' },
+    { key: 'laserX', label: 'Laser X', unit: 'mm' },
+    { key: 'laserY', label: 'Laser Y', unit: 'mm' },
+    { key: 'laserZ', label: 'Laser Z', unit: 'mm' },
+    { key: 'laserPitch', label: 'Laser Pitch', unit: '°' },
+    { key: 'laserRoll', label: 'Laser Roll', unit: '°' },
+    { key: 'laserYaw', label: 'Laser Yaw', unit: '°' },
+];
+
+/** A set that is observable from a single pipe or plate scan */
+export const DEFAULT_FIT_KEYS = ['laserY', 'laserPitch', 'camPitch', 'camRoll'];
+
+// Residual for a pixel that no longer hits the laser plane (mm)
+const MISS_PENALTY = 1000;
+
+// Extra distance from the starting pipe fit within which pixels are used (mm)
+const PIPE_SELECTION_MARGIN = 5;
+
+/**
+ * @typedef {Object} CalibrationTarget
+ * @property {'pipe'|'plate'} type
+ * @property {number} [diameter] - Pipe outer diameter (mm)
+ * @property {number} [range] - Plate distance from the camera along Z (mm)
+ */
+
+/**
+ * Pixels of one profile that lie on the target.
+ *
+ * @typedef {Object} CalibrationSample
+ * @property {number} index - Profile index
+ * @property {number[]} pixelColumns
+ * @property {number[]} pixelRows
+ */
+
+/**
+ * Pick the pixels of a profile that belong to the target, using the
+ * current parameters to find them.
+ *
+ * @param {import('./binParser.js').LaserProfile} profile
+ * @param {CalibrationTarget} target
+ * @param {object} params - Starting laser system parameters
+ * @param {{ minIntensity: number, minWidth: number }|null} [quality] - Weak return rejection
+ * @returns {CalibrationSample|null} Null if the target is not found
+ */
+export function selectCalibrationPixels(profile, target, params, quality = null) {
+    if (target.type === 'pipe') {
+        const { points, pipeResult } = processProfile(profile, { params, quality, pipe: { diameters: [target.diameter] } });
+        if (!pipeResult) return null;
+
+        // Points on the fitted circle only: the inlier span can also contain
+        // anodes and the seabed where the pipe meets it
+        const anodes = new Set(pipeResult.anodeIndices || []);
+        const tolerance = 3 * pipeResult.rms + PIPE_SELECTION_MARGIN;
+        const inliers = points.filter((p, i) =>
+            i >= pipeResult.inlierStart && i <= pipeResult.inlierEnd && !anodes.has(i) &&
+            Math.abs(Math.hypot(p.x - pipeResult.cx, p.z - pipeResult.cz) - pipeResult.radius) < tolerance
+        );
+        return {
+            index: profile.index,
+            pixelColumns: inliers.map(p => p.column),
+            pixelRows: inliers.map(p => profile.yOffsets[p.column]),
+        };
+    }
+
+    const { pixelColumns, pixelRows, intensities, widths } = profileToPixelCoords(profile);
+    const keep = pixelColumns.map((_, i) => !quality || (intensities[i] >= quality.minIntensity && widths[i] >= quality.minWidth));
+    return {
+        index: profile.index,
+        pixelColumns: pixelColumns.filter((_, i) => keep[i]),
+        pixelRows: pixelRows.filter((_, i) => keep[i]),
+    };
+}
+
+/**
+ * Residuals of every sample pixel against the target for one parameter set.
+ *
+ * @param {CalibrationSample[]} samples
+ * @param {CalibrationTarget} target
+ * @param {object} params - Full laser system parameters
+ * @returns {Float64Array}
+ */
+export function calibrationResiduals(samples, target, params) {
+    const triangulate = createTriangulator(params);
+    const isPipe = target.type === 'pipe';
+    const total = samples.reduce((sum, s) => sum + s.pixelColumns.length + (isPipe ? 1 : 0), 0);
+    const residuals = new Float64Array(total);
+    const radius = target.diameter / 2;
+
+    let n = 0;
+    for (const sample of samples) {
+        const points = sample.pixelColumns.map((u, i) => triangulate(u, sample.pixelRows[i]));
+        const hits = points.filter(Boolean);
+        const circle = isPipe && hits.length >= 3 ? fitCircleGeometric(hits, fitCircle(hits)) : null;
+
+        for (const p of points) {
+            if (!p) {
+                residuals[n++] = MISS_PENALTY;
+            } else if (isPipe) {
+                residuals[n++] = circle ? Math.hypot(p.x - circle.cx, p.z - circle.cz) - circle.radius : MISS_PENALTY;
+            } else {
+                residuals[n++] = p.z - target.range;
+            }
+        }
+
+        // The fitted radius must match the known one. Weighted like a full
+        // profile of points, this term fixes the scale: without it, shrinking
+        // all points towards one spot would also fit a circle of any radius.
+        if (isPipe) {
+            residuals[n++] = circle ? (circle.radius - radius) * Math.sqrt(points.length) : MISS_PENALTY;
+        }
+    }
+
+    return residuals;
+}
+
+/**
+ * @typedef {Object} CalibrationResult
+ * @property {object} params - Input parameters with the fitted values applied
+ * @property {{ key: string, initial: number, value: number, stdDev: number|null, maxCorrelation: { key: string, value: number }|null }[]} fitted
+ * @property {number[][]|null} covariance - Covariance of the fitted parameters, in `fitted` order
+ * @property {number} rms - RMS point residual (mm)
+ * @property {number} maxResidual - Largest absolute point residual (mm)
+ * @property {number} residualCount - Number of point residuals
+ * @property {{ index: number, pointCount: number, rms: number, radiusError: number|null }[]} samples
+ *   Per-profile residuals; `radiusError` is fitted minus known pipe radius (mm), pipe targets only
+ * @property {number} iterations
+ * @property {boolean} converged
+ */
+
+/**
+ * Fit laser system parameters to target scans by nonlinear least squares.
+ *
+ * @param {CalibrationSample[]} samples - From selectCalibrationPixels
+ * @param {CalibrationTarget} target
+ * @param {object} params - Starting parameters (all DEFAULT_PARAMS fields)
+ * @param {string[]} fitKeys - Parameters to solve for; the rest are held fixed
+ * @param {object} [options]
+ * @param {(state: { iteration: number, rms: number }) => void} [options.onIteration]
+ * @param {AbortSignal} [options.signal] Aborts the fit with an AbortError
+ * @returns {Promise<CalibrationResult>}
+ */
+export async function calibrateLaserSystem(samples, target, params, fitKeys, options = {}) {
+    if (fitKeys.length === 0) throw new Error('Select at least one parameter to fit.');
+    if (samples.length === 0) throw new Error('No calibration profiles with the target in view.');
+
+    const withValues = (x) => {
+        const next = { ...params };
+        fitKeys.forEach((key, j) => { next[key] = x[j]; });
+        return next;
+    };
+
+    const x0 = fitKeys.map(key => params[key] || 0);
+    const solution = await levenbergMarquardt(
+        (x) => calibrationResiduals(samples, target, withValues(x)),
+        x0,
+        { onIteration: options.onIteration, signal: options.signal }
+    );
+
+    const { covariance, residuals } = solution;
+    const fitted = fitKeys.map((key, j) => {
+        const variance = covariance ? covariance[j][j] : null;
+        let maxCorrelation = null;
+        if (covariance) {
+            fitKeys.forEach((other, k) => {
+                if (k === j) return;
+                const value = covariance[j][k] / Math.sqrt(covariance[j][j] * covariance[k][k]);
+                if (!maxCorrelation || Math.abs(value) > Math.abs(maxCorrelation.value)) {
+                    maxCorrelation = { key: other, value };
+                }
+            });
+        }
+        return {
+            key,
+            initial: x0[j],
+            value: solution.x[j],
+            stdDev: variance !== null && variance >= 0 ? Math.sqrt(variance) : null,
+            maxCorrelation
+        };
+    });
+
+    // Per-profile breakdown; residuals are laid out sample by sample, with
+    // the weighted radius term after each pipe profile's points
+    const isPipe = target.type === 'pipe';
+    let offset = 0, totalSum = 0, totalCount = 0, maxResidual = 0;
+    const sampleStats = samples.map(sample => {
+        const count = sample.pixelColumns.length;
+        let sum = 0;
+        for (let i = offset; i < offset + count; i++) {
+            sum += residuals[i] * residuals[i];
+            maxResidual = Math.max(maxResidual, Math.abs(residuals[i]));
+        }
+        const radiusError = isPipe ? residuals[offset + count] / Math.sqrt(Math.max(count, 1)) : null;
+        offset += count + (isPipe ? 1 : 0);
+        totalSum += sum;
+        totalCount += count;
+        return { index: sample.index, pointCount: count, rms: count > 0 ? Math.sqrt(sum / count) : 0, radiusError };
+    });
+
+    return {
+        params: withValues(solution.x),
+        fitted,
+        covariance,
+        rms: totalCount > 0 ? Math.sqrt(totalSum / totalCount) : 0,
+        maxResidual,
+        residualCount: totalCount,
+        samples: sampleStats,
+        iterations: solution.iterations,
+        converged: solution.converged
+    };
+}
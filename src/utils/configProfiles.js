@@ -0,0 +1,157 @@
+/**
+ * Configuration Profiles — named sets of processing settings (laser system
+ * geometry, pipe diameters, point cleaning and feature detection) that are
+ * saved to disk and picked automatically from the sensor serial number
+ * recorded in a file.
+ *
+ * Stored as JSON, one file per configuration, through the Electron IPC
+ * handlers in electron.cjs.
+ */
+
+// 2: pipeDiameter became the pipeDiameters list
+export const CONFIG_VERSION = 2;
+
+export const DEFAULT_PARAMS = {
+    focalLength: 24,    // mm
+    pixelSize: 11,      // µm
+
+    // Principal Point (px) & Brown–Conrady Distortion
+    principalX: 1024, principalY: 576,
+    k1: 0, k2: 0, k3: 0, p1: 0, p2: 0,
+
+    // Flat Port (mm) & Refractive Indices — waterIndex 1 and portThickness 0 disable refraction
+    portDistance: 0, portThickness: 0,
+    glassIndex: 1.5, waterIndex: 1,
+
+    // Camera Lever Arm (mm) & Rotation (deg)
+    camX: 0, camY: 0, camZ: 0,
+    camPitch: 0, camRoll: 0, camYaw: 0,
+
+    // Laser Lever Arm (mm) & Rotation (deg)
+    laserX: 0, laserY: 585, laserZ: 0,
+    laserPitch: -19, laserRoll: 0, laserYaw: 0,
+};
+
+export const DEFAULT_PIPE_DIAMETER = 500; // mm
+
+export const DEFAULT_POINT_CLEANING = { radius: 5, minNeighbors: 2 };
+export const DEFAULT_QUALITY = { minIntensity: 20, minWidth: 2 };
+export const DEFAULT_FEATURE_PARAMS = { minHeight: 15, minWidth: 30 };
+
+// Settings covered by a saved configuration, at their defaults. Shared by
+// the app and the command-line tool.
+export const CONFIG_DEFAULTS = {
+    params: DEFAULT_PARAMS,
+    pipeDiameters: [DEFAULT_PIPE_DIAMETER],
+    pointCleaning: DEFAULT_POINT_CLEANING,
+    quality: DEFAULT_QUALITY,
+    features: DEFAULT_FEATURE_PARAMS,
+};
+
+/**
+ * @typedef {Object} ConfigProfile
+ * @property {number} version - CONFIG_VERSION the profile was written with
+ * @property {string} name - Unique, user-facing name
+ * @property {string[]} sensorSerials - Serial numbers this configuration is selected for
+ * @property {object} params - Laser system params (DEFAULT_PARAMS fields)
+ * @property {number[]} pipeDiameters - Expected pipe diameters (mm), the main line first
+ * @property {{ radius: number, minNeighbors: number }} pointCleaning
+ * @property {{ minIntensity: number, minWidth: number }} quality
+ * @property {{ minHeight: number, minWidth: number }} features
+ * @property {string} savedAt - ISO timestamp
+ */
+
+/**
+ * Snapshot the current settings as a named configuration.
+ *
+ * @param {string} name
+ * @param {{ params: object, pipeDiameters: number[], pointCleaning: object, quality: object, features: object }} settings
+ * @param {string[]} [sensorSerials]
+ * @returns {ConfigProfile}
+ */
+export function createConfig(name, settings, sensorSerials = []) {
+    return {
+        version: CONFIG_VERSION,
+        name: name.trim(),
+        sensorSerials: sensorSerials.map(s => String(s).trim()).filter(Boolean),
+        params: { ...settings.params },
+        pipeDiameters: [...settings.pipeDiameters],
+        pointCleaning: { ...settings.pointCleaning },
+        quality: { ...settings.quality },
+        features: { ...settings.features },
+        savedAt: new Date().toISOString(),
+    };
+}
+
+function numberFields(value, defaults, label) {
+    if (value === undefined) return { ...defaults };
+    if (typeof value !== 'object' || value === null) {
+        throw new Error(`Configuration "${label}" must be an object.`);
+    }
+
+    const result = { ...defaults };
+    for (const [key, v] of Object.entries(value)) {
+        if (typeof v !== 'number' || !Number.isFinite(v)) {
+            throw new Error(`Configuration "${label}.${key}" must be a number.`);
+        }
+        result[key] = v;
+    }
+    return result;
+}
+
+/**
+ * Check a configuration read from disk or imported by the user. Missing
+ * sections are filled from `defaults`, so older files keep loading when
+ * settings are added.
+ *
+ * @param {any} data - Parsed JSON
+ * @param {{ params: object, pipeDiameters: number[], pointCleaning: object, quality: object, features: object }} defaults
+ * @returns {ConfigProfile}
+ * @throws {Error} If the data is not a usable configuration
+ */
+export function validateConfig(data, defaults) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new Error('Configuration file must contain a JSON object.');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        throw new Error('Configuration has no name.');
+    }
+    if (data.version > CONFIG_VERSION) {
+        throw new Error(`Configuration "${data.name}" was written by a newer version (v${data.version}).`);
+    }
+
+    // Configurations from before multi-pipe detection hold a single diameter
+    const pipeDiameters = data.pipeDiameters
+        ?? (data.pipeDiameter !== undefined ? [data.pipeDiameter] : defaults.pipeDiameters);
+    if (!Array.isArray(pipeDiameters) || pipeDiameters.length === 0) {
+        throw new Error('Configuration "pipeDiameters" must be a non-empty list.');
+    }
+    if (pipeDiameters.some(d => typeof d !== 'number' || !(d > 0))) {
+        throw new Error('Configuration "pipeDiameters" must only contain positive numbers.');
+    }
+
+    return {
+        version: CONFIG_VERSION,
+        name: data.name.trim(),
+        sensorSerials: Array.isArray(data.sensorSerials) ? data.sensorSerials.map(String) : [],
+        params: numberFields(data.params, defaults.params, 'params'),
+        pipeDiameters: [...pipeDiameters],
+        pointCleaning: numberFields(data.pointCleaning, defaults.pointCleaning, 'pointCleaning'),
+        quality: numberFields(data.quality, defaults.quality, 'quality'),
+        features: numberFields(data.features, defaults.features, 'features'),
+        savedAt: typeof data.savedAt === 'string' ? data.savedAt : null,
+    };
+}
+
+/**
+ * The configuration assigned to a sensor serial number, if any.
+ *
+ * @param {ConfigProfile[]} configs
+ * @param {string|null} serial - See getSensorSerial
+ * @returns {ConfigProfile|null}
+ */
+export function findConfigForSerial(configs, serial) {
+    if (!serial) return null;
+    const wanted = serial.toLowerCase();
+    return configs.find(c => c.sensorSerials.some(s => s.toLowerCase() === wanted)) || null;
+}
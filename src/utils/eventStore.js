@@ -0,0 +1,184 @@
+/**
+ * Event Store — reviewable detection events for a data file.
+ *
+ * Events are kept by the Electron main process as a JSON-lines file per
+ * .bin file (Laser Analyzer Data/events). Saving appends the new version
+ * of each event, and loading keeps the last line for every id, so the
+ * file doubles as an audit trail of the review.
+ *
+ * Detections become 'auto' events. A detection is matched to a stored
+ * event of the same type on the same profile whose bounds overlap it, so
+ * seeing it again (revisiting the profile, or importing batch results, even
+ * with slightly different settings) never duplicates it or undoes its
+ * review.
+ */
+
+export const EVENT_STATUSES = [
+    { value: 'auto', label: 'Auto', color: 'var(--text-secondary)' },
+    { value: 'accepted', label: 'Accepted', color: 'var(--accent-green)' },
+    { value: 'rejected', label: 'Rejected', color: 'var(--accent-red)' },
+    { value: 'edited', label: 'Edited', color: 'var(--accent-orange)' },
+];
+
+export const EVENT_TYPES = ['Anode', 'Rock', 'Dent', 'Freespan', 'Other'];
+
+/**
+ * @typedef {Object} InspectionEvent
+ * @property {string} id
+ * @property {string} type - Feature type (Anode, Rock, ...)
+ * @property {number} profile - Profile index in the file (0-based)
+ * @property {number|null} time - Acquisition time of the profile (ms, see getAcquisitionTime)
+ * @property {{ xMin: number, xMax: number, zMin: number, zMax: number }} bounds - Extent in the profile (mm)
+ * @property {number|null} confidence - Detector confidence 0–1, null for manual events
+ * @property {'auto'|'accepted'|'rejected'|'edited'} status
+ * @property {{ text: string, at: string }[]} comments - Reviewer comments, oldest first
+ * @property {string} createdAt - ISO time
+ * @property {string} updatedAt - ISO time
+ */
+
+const newEventId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const overlaps = (a, b) => a.xMin <= b.xMax && b.xMin <= a.xMax && a.zMin <= b.zMax && b.zMin <= a.zMax;
+
+/**
+ * The stored event a detection belongs to: one of the same type on the
+ * same profile whose bounds overlap the detection's.
+ *
+ * @param {InspectionEvent[]} events
+ * @param {number} profile
+ * @param {{ type: string, xMin: number, xMax: number, zMin: number, zMax: number }} feature
+ * @returns {InspectionEvent|null}
+ */
+export function findDetectionEvent(events, profile, feature) {
+    return events.find(e => e.profile === profile && e.type === feature.type && overlaps(e.bounds, feature)) || null;
+}
+
+/**
+ * Create an event.
+ *
+ * @param {Partial<InspectionEvent> & { type: string, profile: number, bounds: InspectionEvent['bounds'] }} fields
+ * @returns {InspectionEvent}
+ */
+export function createEvent(fields) {
+    const now = new Date().toISOString();
+    return {
+        id: fields.id || newEventId('manual'),
+        type: fields.type,
+        profile: fields.profile,
+        time: fields.time ?? null,
+        bounds: fields.bounds,
+        confidence: fields.confidence ?? null,
+        status: fields.status || 'auto',
+        comments: fields.comments || [],
+        createdAt: now,
+        updatedAt: now,
+    };
+}
+
+/**
+ * The auto event for a detected feature (featureDetection.js, or a batch row feature).
+ *
+ * @param {{ type: string, confidence: number, xMin: number, xMax: number, zMin: number, zMax: number }} feature
+ * @param {number} profile
+ * @param {number|null} time
+ * @returns {InspectionEvent}
+ */
+export function detectionEvent(feature, profile, time) {
+    const { type, confidence, xMin, xMax, zMin, zMax } = feature;
+    return createEvent({
+        id: newEventId(`auto-${profile}`),
+        type,
+        profile,
+        time,
+        bounds: { xMin, xMax, zMin, zMax },
+        confidence,
+    });
+}
+
+/**
+ * Auto events for the detections that have none yet (see findDetectionEvent).
+ *
+ * @param {InspectionEvent[]} events - Stored events
+ * @param {{ feature: object, profile: number, time: number|null }[]} detections
+ * @returns {InspectionEvent[]}
+ */
+export function newDetectionEvents(events, detections) {
+    // Only events of the same profile and type can match
+    const byKey = new Map();
+    const add = (e) => {
+        const key = `${e.profile}-${e.type}`;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(e);
+    };
+    events.forEach(add);
+
+    const created = [];
+    for (const { feature, profile, time } of detections) {
+        const candidates = byKey.get(`${profile}-${feature.type}`) || [];
+        if (candidates.some(e => overlaps(e.bounds, feature))) continue;
+        const event = detectionEvent(feature, profile, time);
+        add(event);
+        created.push(event);
+    }
+    return created;
+}
+
+/**
+ * A changed copy of an event. Changing the type or bounds of an event
+ * marks it 'edited' unless a status is given.
+ *
+ * @param {InspectionEvent} event
+ * @param {Partial<InspectionEvent>} changes
+ * @returns {InspectionEvent}
+ */
+export function updateEvent(event, changes) {
+    const edited = (changes.type && changes.type !== event.type) || (changes.bounds && changes.bounds !== event.bounds);
+    return {
+        ...event,
+        ...changes,
+        status: changes.status || (edited ? 'edited' : event.status),
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Add a reviewer comment to an event.
+ *
+ * @param {InspectionEvent} event
+ * @param {string} text
+ * @returns {InspectionEvent}
+ */
+export function commentEvent(event, text) {
+    return updateEvent(event, { comments: [...event.comments, { text, at: new Date().toISOString() }] });
+}
+
+/**
+ * Merge new or changed events into a list, replacing by id; the result is
+ * in profile order.
+ *
+ * @param {InspectionEvent[]} events
+ * @param {InspectionEvent[]} changed
+ * @returns {InspectionEvent[]}
+ */
+export function mergeEvents(events, changed) {
+    const byId = new Map(events.map(e => [e.id, e]));
+    changed.forEach(e => byId.set(e.id, e));
+    return [...byId.values()].sort((a, b) => a.profile - b.profile || a.bounds.xMin - b.bounds.xMin);
+}
+
+/**
+ * Events matching a filter. Empty filter values match everything; `text`
+ * searches the type and the comments.
+ *
+ * @param {InspectionEvent[]} events
+ * @param {{ type?: string, status?: string, text?: string }} filter
+ * @returns {InspectionEvent[]}
+ */
+export function filterEvents(events, { type = '', status = '', text = '' } = {}) {
+    const needle = text.trim().toLowerCase();
+    return events.filter(e =>
+        (!type || e.type === type) &&
+        (!status || e.status === status) &&
+        (!needle || e.type.toLowerCase().includes(needle) || e.comments.some(c => c.text.toLowerCase().includes(needle)))
+    );
+}
@@ -1,3 +1,5 @@
+import { analyzePipeDeformation } from './pipeDeformation.js';
+
 /**
  * Feature Detection — Algorithmic detection of features in laser profiles.
  * 
@@ -16,14 +18,48 @@
  * @property {number[]} indices - Indices of points within the feature
  */
 
+// Smallest gap under the pipe reported as a Freespan feature (mm)
+const FREESPAN_MIN_GAP = 20;
+
+/**
+ * Gap between the pipe bottom and the seabed next to it: the mean level of
+ * the 20 seabed points nearest the pipe on each side, beyond 1.2 radii.
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @param {object} pipeResult
+ * @returns {{ gap: number, seabedZ: number, pipeBottomZ: number }|null} Null without enough seabed;
+ *   the gap is negative where the pipe bottom is below the seabed
+ */
+export function measureFreespanGap(points, pipeResult) {
+    const pipeOuterXMin = pipeResult.cx - pipeResult.radius * 1.2;
+    const pipeOuterXMax = pipeResult.cx + pipeResult.radius * 1.2;
+    const leftSeabed = [], rightSeabed = [];
+    for (let i = 0; i < points.length; i++) {
+        if (points[i].x < pipeOuterXMin) leftSeabed.push(i);
+        else if (points[i].x > pipeOuterXMax) rightSeabed.push(i);
+    }
+
+    let seabedDepthSum = 0, count = 0;
+    for (const i of [...leftSeabed.slice(-20), ...rightSeabed.slice(0, 20)]) {
+        seabedDepthSum += points[i].z;
+        count++;
+    }
+    if (count <= 5) return null;
+
+    const seabedZ = seabedDepthSum / count;
+    const pipeBottomZ = pipeResult.cz + pipeResult.radius;
+    return { gap: seabedZ - pipeBottomZ, seabedZ, pipeBottomZ };
+}
+
 /**
- * Detect features: Freespan, Anodes, and Rocks based on profile geometry.
+ * Detect features: Freespan, Anodes, Rocks and Dents based on profile geometry.
  * 
  * @param {{ x: number, z: number, y: number }[]} points 3D points
  * @param {object} options
  * @param {number} [options.minHeight=15] Minimum protrusion height (mm)
  * @param {number} [options.minWidth=20] Minimum protrusion width (mm)
  * @param {object} [options.pipeResult] Current pipe detection result
+ * @param {number|null} [options.nominalRadius] Nominal radius of that pipe (mm), see analyzePipeDeformation
  * @param {object} [options.tfModel] Optional TensorFlow.js model
  * @returns {DetectedFeature[]}
  */
@@ -34,6 +70,7 @@ export async function detectFeatures(points, options = {}) {
         minHeight = 15,
         minWidth = 20,
         pipeResult = null,
+        nominalRadius = null,
         tfModel = null
     } = options;
 
@@ -93,28 +130,39 @@ export async function detectFeatures(points, options = {}) {
     }
 
     // 3. Freespan Detection
-    let seabedDepthSum = 0, count = 0;
-    for (const i of [...leftSeabed.slice(-20), ...rightSeabed.slice(0, 20)]) {
-        seabedDepthSum += points[i].z;
-        count++;
+    const freespan = measureFreespanGap(points, pipeResult);
+    if (freespan && freespan.gap > FREESPAN_MIN_GAP) {
+        detected.push({
+            type: 'Freespan',
+            confidence: Math.min(1.0, 0.5 + freespan.gap / 200),
+            xMin: pipeResult.cx - pipeResult.radius,
+            xMax: pipeResult.cx + pipeResult.radius,
+            zMin: freespan.pipeBottomZ,
+            zMax: freespan.seabedZ,
+            indices: []
+        });
     }
 
-    if (count > 5) {
-        const avgSeabedZ = seabedDepthSum / count;
-        const pipeBottomZ = pipeResult.cz + pipeResult.radius;
-        const gap = avgSeabedZ - pipeBottomZ;
-
-        if (gap > 20) {
-            detected.push({
-                type: 'Freespan',
-                confidence: Math.min(1.0, 0.5 + gap / 200),
-                xMin: pipeResult.cx - pipeResult.radius,
-                xMax: pipeResult.cx + pipeResult.radius,
-                zMin: pipeBottomZ,
-                zMax: avgSeabedZ,
-                indices: []
-            });
+    // 4. Dent Detection (inward deviations along the visible arc, see pipeDeformation.js)
+    const deformation = analyzePipeDeformation(points, pipeResult, { nominalRadius });
+    for (const dent of deformation?.dents || []) {
+        let xMin = Infinity, xMax = -Infinity, zMin = Infinity, zMax = -Infinity;
+        for (const idx of dent.indices) {
+            const p = points[idx];
+            if (p.x < xMin) xMin = p.x;
+            if (p.x > xMax) xMax = p.x;
+            if (p.z < zMin) zMin = p.z;
+            if (p.z > zMax) zMax = p.z;
         }
+        detected.push({
+            type: 'Dent',
+            confidence: Math.min(1.0, 0.5 + dent.depth / 20),
+            xMin, xMax, zMin, zMax,
+            indices: dent.indices,
+            depth: dent.depth,
+            width: dent.width,
+            angle: dent.angle
+        });
     }
 
     return detected;
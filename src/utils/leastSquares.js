@@ -0,0 +1,213 @@
+/**
+ * Least Squares — a small Levenberg–Marquardt solver for nonlinear
+ * least-squares problems, with parameter covariance from the final Jacobian.
+ *
+ * The Jacobian is estimated by forward differences, so the residual
+ * function only has to return values (no derivatives).
+ */
+
+/**
+ * Solve A·x = b for a symmetric positive-definite A by Cholesky
+ * decomposition.
+ *
+ * @param {number[][]} A - n×n, not modified
+ * @param {number[]} b
+ * @returns {number[]|null} Null if A is not positive definite
+ */
+function choleskySolve(A, b) {
+    const n = b.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = A[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            if (i === j) {
+                if (sum <= 0) return null;
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+
+    // Forward then back substitution
+    const y = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+        y[i] = sum / L[i][i];
+    }
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+        x[i] = sum / L[i][i];
+    }
+    return x;
+}
+
+/**
+ * Invert a symmetric positive-definite matrix column by column.
+ *
+ * @param {number[][]} A
+ * @returns {number[][]|null} Null if A is singular
+ */
+function invertSymmetric(A) {
+    const n = A.length;
+    const columns = [];
+    for (let j = 0; j < n; j++) {
+        const e = new Array(n).fill(0);
+        e[j] = 1;
+        const col = choleskySolve(A, e);
+        if (!col) return null;
+        columns.push(col);
+    }
+    return columns[0].map((_, i) => columns.map(col => col[i]));
+}
+
+function sumOfSquares(r) {
+    let sum = 0;
+    for (let i = 0; i < r.length; i++) sum += r[i] * r[i];
+    return sum;
+}
+
+/**
+ * Forward-difference Jacobian of the residual function.
+ *
+ * @returns {number[][]} m×n, one row per residual
+ */
+function numericJacobian(residualFn, x, r0, steps) {
+    const J = Array.from({ length: r0.length }, () => new Array(x.length));
+    for (let j = 0; j < x.length; j++) {
+        const xStep = x.slice();
+        xStep[j] += steps[j];
+        const r = residualFn(xStep);
+        for (let i = 0; i < r0.length; i++) {
+            J[i][j] = (r[i] - r0[i]) / steps[j];
+        }
+    }
+    return J;
+}
+
+/**
+ * Normal equations JᵀJ and Jᵀr.
+ */
+function normalEquations(J, r) {
+    const n = J[0].length;
+    const JtJ = Array.from({ length: n }, () => new Array(n).fill(0));
+    const Jtr = new Array(n).fill(0);
+
+    for (let i = 0; i < J.length; i++) {
+        const row = J[i];
+        for (let a = 0; a < n; a++) {
+            Jtr[a] += row[a] * r[i];
+            for (let b = 0; b <= a; b++) JtJ[a][b] += row[a] * row[b];
+        }
+    }
+    for (let a = 0; a < n; a++) {
+        for (let b = 0; b < a; b++) JtJ[b][a] = JtJ[a][b];
+    }
+    return { JtJ, Jtr };
+}
+
+/**
+ * @typedef {Object} LeastSquaresResult
+ * @property {number[]} x - Fitted parameters
+ * @property {number[]} residuals - Residuals at the solution
+ * @property {number} rms - Root mean square residual
+ * @property {number[][]|null} covariance - Parameter covariance σ²·(JᵀJ)⁻¹, null if singular
+ * @property {number} iterations
+ * @property {boolean} converged
+ */
+
+/**
+ * Minimise Σ rᵢ(x)² with the Levenberg–Marquardt method.
+ *
+ * The residual function must return the same number of residuals for
+ * every x. The fit yields to the event loop between iterations, so a
+ * worker running it can still take other messages, such as a cancel.
+ *
+ * @param {(x: number[]) => number[]|Float64Array} residualFn
+ * @param {number[]} x0 - Initial parameters
+ * @param {object} [options]
+ * @param {number} [options.maxIterations=100]
+ * @param {number} [options.tolerance=1e-10] Stop when the relative drop in Σr² is below this
+ * @param {number[]} [options.steps] Finite-difference step per parameter (default 1e-6·max(|x|, 1))
+ * @param {(state: { iteration: number, rms: number }) => void} [options.onIteration]
+ * @param {AbortSignal} [options.signal] Aborts the fit with an AbortError
+ * @returns {Promise<LeastSquaresResult>}
+ */
+export async function levenbergMarquardt(residualFn, x0, options = {}) {
+    const { maxIterations = 100, tolerance = 1e-10, onIteration = null, signal = null } = options;
+    const steps = options.steps || x0.map(v => 1e-6 * Math.max(Math.abs(v), 1));
+
+    let x = x0.slice();
+    let r = Array.from(residualFn(x));
+    let cost = sumOfSquares(r);
+    let lambda = 1e-3;
+    let iterations = 0;
+    let converged = false;
+
+    if (r.length < x.length) {
+        throw new Error(`Not enough residuals (${r.length}) for ${x.length} parameters.`);
+    }
+
+    while (iterations < maxIterations && !converged) {
+        await new Promise(resolve => setTimeout(resolve));
+        if (signal?.aborted) {
+            const err = new Error('Fit cancelled.');
+            err.name = 'AbortError';
+            throw err;
+        }
+
+        iterations++;
+        const J = numericJacobian(residualFn, x, r, steps);
+        const { JtJ, Jtr } = normalEquations(J, r);
+
+        // Try increasingly damped steps until one reduces the cost
+        let improved = false;
+        while (lambda < 1e12) {
+            const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * Math.max(v, 1e-12) : v)));
+            const delta = choleskySolve(A, Jtr.map(v => -v));
+
+            if (delta) {
+                const xNew = x.map((v, j) => v + delta[j]);
+                const rNew = Array.from(residualFn(xNew));
+                const costNew = sumOfSquares(rNew);
+
+                if (Number.isFinite(costNew) && costNew < cost) {
+                    converged = (cost - costNew) <= tolerance * Math.max(cost, 1e-30);
+                    x = xNew;
+                    r = rNew;
+                    cost = costNew;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = true;
+                    break;
+                }
+            }
+            lambda *= 10;
+        }
+
+        onIteration?.({ iteration: iterations, rms: Math.sqrt(cost / r.length) });
+
+        // No step reduces the cost any further: we are at the minimum
+        if (!improved) converged = true;
+    }
+
+    // Covariance from the Jacobian at the solution, scaled by the residual variance
+    const { JtJ } = normalEquations(numericJacobian(residualFn, x, r, steps), r);
+    const dof = r.length - x.length;
+    const sigma2 = dof > 0 ? cost / dof : 0;
+    const inverse = invertSymmetric(JtJ);
+    const covariance = inverse ? inverse.map(row => row.map(v => v * sigma2)) : null;
+
+    return {
+        x,
+        residuals: r,
+        rms: Math.sqrt(cost / r.length),
+        covariance,
+        iterations,
+        converged
+    };
+}
@@ -0,0 +1,292 @@
+/**
+ * Vehicle Navigation — import of navigation files and georeferencing of
+ * triangulated points into survey coordinates.
+ *
+ * Frames:
+ *   Sensor  — triangulation output in mm: X = cross-track (starboard),
+ *             Y = forward, Z = down (see triangulation.js)
+ *   Vehicle — body frame in metres: x = forward, y = starboard, z = down
+ *   Survey  — easting, northing (m) and depth (m, positive down)
+ *
+ * Sensor points are mounted on the vehicle through a lever arm and a mount
+ * rotation, then rotated by the vehicle attitude (heading, pitch, roll) and
+ * translated to the vehicle's interpolated position.
+ */
+
+import { parseTimeString } from './binParser.js';
+
+/**
+ * @typedef {Object} NavRecord
+ * @property {number} time - Time in ms (epoch, or since midnight when `timeOfDay`)
+ * @property {number} easting - m
+ * @property {number} northing - m
+ * @property {number} depth - m, positive down
+ * @property {number} heading - degrees, clockwise from grid north
+ * @property {number} pitch - degrees, bow up positive
+ * @property {number} roll - degrees, starboard down positive
+ */
+
+/**
+ * @typedef {Object} NavData
+ * @property {NavRecord[]} records - Sorted by time
+ * @property {boolean} timeOfDay - Times are ms since midnight rather than epoch ms
+ * @property {number} skipped - Lines that could not be parsed
+ */
+
+/**
+ * Sensor mounting on the vehicle.
+ *
+ * @typedef {Object} SensorMounting
+ * @property {number} leverX - Sensor origin forward of the nav reference point (m)
+ * @property {number} leverY - Sensor origin starboard of the nav reference point (m)
+ * @property {number} leverZ - Sensor origin below the nav reference point (m)
+ * @property {number} mountRoll - Sensor roll relative to the vehicle (deg)
+ * @property {number} mountPitch - Sensor pitch relative to the vehicle (deg)
+ * @property {number} mountHeading - Sensor heading relative to the vehicle (deg)
+ */
+
+export const DEFAULT_MOUNTING = {
+    leverX: 0, leverY: 0, leverZ: 0,
+    mountRoll: 0, mountPitch: 0, mountHeading: 0,
+};
+
+const NAV_FIELDS = ['time', 'easting', 'northing', 'depth', 'heading', 'pitch', 'roll'];
+
+const FIELD_ALIASES = {
+    time: ['time', 'timestamp', 'datetime', 'date_time', 'utc'],
+    easting: ['easting', 'east', 'x', 'e'],
+    northing: ['northing', 'north', 'y', 'n'],
+    depth: ['depth', 'z', 'd'],
+    heading: ['heading', 'hdg', 'yaw', 'gyro'],
+    pitch: ['pitch'],
+    roll: ['roll'],
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a nav time field. Numbers are seconds (epoch or of day), strings
+ * are date-times or HH:MM:SS(.sss).
+ *
+ * @param {string} value
+ * @returns {number|null} Time in ms
+ */
+function parseNavTime(value) {
+    const text = value.trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text) * 1000;
+    return parseTimeString(text);
+}
+
+/**
+ * Check the XOR checksum of an NMEA-style sentence, if it has one.
+ *
+ * @param {string} line - Sentence including the leading '$'
+ * @returns {{ body: string, valid: boolean }} Sentence without '$' and checksum
+ */
+function checkSentence(line) {
+    const star = line.lastIndexOf('*');
+    if (star < 0) return { body: line.slice(1), valid: true };
+
+    const body = line.slice(1, star);
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+    return { body, valid: sum === parseInt(line.slice(star + 1, star + 3), 16) };
+}
+
+/**
+ * Build a record from field values in NAV_FIELDS order.
+ *
+ * @param {string[]} values
+ * @returns {NavRecord|null}
+ */
+function toRecord(values) {
+    const time = parseNavTime(values[0] ?? '');
+    if (time === null) return null;
+
+    const record = { time };
+    for (let k = 1; k < NAV_FIELDS.length; k++) {
+        const v = parseFloat(values[k]);
+        if (!Number.isFinite(v)) return null;
+        record[NAV_FIELDS[k]] = v;
+    }
+    return record;
+}
+
+/**
+ * Parse a navigation file.
+ *
+ * Accepts either
+ *   - CSV (comma, semicolon or tab separated). A header row naming the
+ *     columns is optional; without one the columns are taken in the order
+ *     time, easting, northing, depth, heading, pitch, roll.
+ *   - NMEA-style sentences, e.g. `$PNAV,12:00:01.20,512345.1,6543210.2,85.3,271.0,0.4,-1.2*5C`,
+ *     with the fields in the same order after the sentence id.
+ *
+ * Lines that cannot be parsed are skipped and counted.
+ *
+ * @param {string} text - File contents
+ * @returns {NavData}
+ * @throws {Error} If no usable record is found
+ */
+export function parseNavFile(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    const records = [];
+    let skipped = 0;
+    let columnMap = null; // field → column index, from a CSV header
+
+    lines.forEach((line, lineIdx) => {
+        // ---- NMEA-style sentence ----
+        if (line.startsWith('$')) {
+            const { body, valid } = checkSentence(line);
+            const record = valid ? toRecord(body.split(',').slice(1)) : null;
+            if (record) records.push(record);
+            else skipped++;
+            return;
+        }
+
+        // ---- CSV row ----
+        const cells = line.split(/[,;\t]/).map(c => c.trim());
+
+        // A first row whose time column is not a time is taken as the header
+        if (lineIdx === 0 && parseNavTime(cells[0]) === null) {
+            // Ignore units and punctuation, e.g. "Easting (m)" → "easting"
+            const names = cells.map(c => c.toLowerCase().replace(/\(.*\)/, '').replace(/[^a-z_]/g, ''));
+            columnMap = {};
+            for (const field of NAV_FIELDS) {
+                const col = names.findIndex(n => FIELD_ALIASES[field].includes(n));
+                if (col < 0) throw new Error(`Navigation file header has no "${field}" column.`);
+                columnMap[field] = col;
+            }
+            return;
+        }
+
+        const values = columnMap ? NAV_FIELDS.map(f => cells[columnMap[f]]) : cells;
+        const record = toRecord(values);
+        if (record) records.push(record);
+        else skipped++;
+    });
+
+    if (records.length === 0) {
+        throw new Error('No navigation records found.');
+    }
+
+    records.sort((a, b) => a.time - b.time);
+    return {
+        records,
+        timeOfDay: records[records.length - 1].time < MS_PER_DAY,
+        skipped
+    };
+}
+
+/**
+ * Interpolate between two angles along the shorter arc.
+ */
+function lerpAngle(a, b, t) {
+    const delta = ((((b - a) % 360) + 540) % 360) - 180;
+    return (((a + delta * t) % 360) + 360) % 360;
+}
+
+/**
+ * Vehicle position and attitude at a given time, linearly interpolated
+ * between the surrounding records.
+ *
+ * @param {NavData} nav
+ * @param {number|null} time - Profile time in ms (see getAcquisitionTime)
+ * @param {object} [options]
+ * @param {number} [options.maxGap=2000] Largest record gap (ms) to interpolate across
+ * @returns {NavRecord|null} Null if the time is outside the nav or falls in a gap
+ */
+export function interpolateNav(nav, time, options = {}) {
+    const { maxGap = 2000 } = options;
+    if (!nav || time === null || time === undefined) return null;
+
+    // Profile times carry a date; time-of-day nav needs them reduced to the day
+    const t = nav.timeOfDay && time >= MS_PER_DAY ? time % MS_PER_DAY : time;
+    const { records } = nav;
+    if (t < records[0].time || t > records[records.length - 1].time) return null;
+
+    // Binary search for the last record at or before t
+    let lo = 0, hi = records.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (records[mid].time <= t) lo = mid;
+        else hi = mid;
+    }
+
+    const a = records[lo], b = records[hi];
+    if (b.time - a.time > maxGap) return null;
+    const f = b.time > a.time ? (t - a.time) / (b.time - a.time) : 0;
+
+    return {
+        time: t,
+        easting: a.easting + (b.easting - a.easting) * f,
+        northing: a.northing + (b.northing - a.northing) * f,
+        depth: a.depth + (b.depth - a.depth) * f,
+        heading: lerpAngle(a.heading, b.heading, f),
+        pitch: a.pitch + (b.pitch - a.pitch) * f,
+        roll: a.roll + (b.roll - a.roll) * f,
+    };
+}
+
+/**
+ * Rotation matrix for roll (about x), pitch (about y) and heading (about z),
+ * applied in heading-pitch-roll order (R = Rz · Ry · Rx).
+ *
+ * @returns {number[][]} 3×3 row-major matrix
+ */
+function rotationMatrix(rollDeg, pitchDeg, headingDeg) {
+    const r = rollDeg * Math.PI / 180;
+    const p = pitchDeg * Math.PI / 180;
+    const h = headingDeg * Math.PI / 180;
+    const cr = Math.cos(r), sr = Math.sin(r);
+    const cp = Math.cos(p), sp = Math.sin(p);
+    const ch = Math.cos(h), sh = Math.sin(h);
+
+    return [
+        [ch * cp, ch * sp * sr - sh * cr, ch * sp * cr + sh * sr],
+        [sh * cp, sh * sp * sr + ch * cr, sh * sp * cr - ch * sr],
+        [-sp, cp * sr, cp * cr],
+    ];
+}
+
+function rotate(m, v) {
+    return [
+        m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+        m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+        m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2],
+    ];
+}
+
+/**
+ * Transform sensor-frame points into survey coordinates.
+ *
+ * Other point attributes are kept; x/y/z are replaced by
+ * easting/northing/depth in metres.
+ *
+ * @param {{ x: number, y: number, z: number }[]} points - Sensor frame, mm
+ * @param {NavRecord} navRecord - Vehicle state at the profile time
+ * @param {SensorMounting} [mounting]
+ * @returns {{ x: number, y: number, z: number }[]}
+ */
+export function georeferencePoints(points, navRecord, mounting = DEFAULT_MOUNTING) {
+    const mount = rotationMatrix(mounting.mountRoll || 0, mounting.mountPitch || 0, mounting.mountHeading || 0);
+    const attitude = rotationMatrix(navRecord.roll, navRecord.pitch, navRecord.heading);
+    const lever = [mounting.leverX || 0, mounting.leverY || 0, mounting.leverZ || 0];
+
+    return points.map(p => {
+        // Sensor (cross-track, forward, down) mm → vehicle (forward, starboard, down) m
+        const sensor = [p.y / 1000, p.x / 1000, p.z / 1000];
+        const mounted = rotate(mount, sensor);
+        const body = [mounted[0] + lever[0], mounted[1] + lever[1], mounted[2] + lever[2]];
+
+        // Vehicle → north, east, down
+        const [north, east, down] = rotate(attitude, body);
+
+        return {
+            ...p,
+            x: navRecord.easting + east,
+            y: navRecord.northing + north,
+            z: navRecord.depth + down,
+        };
+    });
+}
@@ -0,0 +1,339 @@
+/**
+ * Pipe Deformation — ovality and dents from the residuals of the pipe fit.
+ *
+ * Residuals are taken along the visible arc (the detection's inlier span,
+ * anodes excluded) as distance from the centre minus the radius, against
+ * the angle around the pipe: 0° at the crest, positive towards +X.
+ *
+ * Ovality is fitted as a first-order ellipse, r(θ) = R + a·cos 2θ + b·sin 2θ,
+ * jointly with the centre and radius so the circle cannot absorb it, and
+ * compared with the plain circle. On a short arc the ellipse terms are
+ * poorly separated from the radius, so the ovality comes with its standard
+ * error, and below MIN_FREE_ARC it is measured against the nominal radius.
+ * Dents are runs of the residual left after the ellipse that point inwards.
+ */
+
+import { median } from './statistics.js';
+
+/**
+ * @typedef {Object} DeformationSettings
+ * @property {number} dentDepth - Smallest inward deviation that counts as a dent (mm)
+ * @property {number} dentMinWidth - Narrower dents are ignored, measured along the surface (mm)
+ * @property {number} ovalitySignificance - Ovality must exceed this many standard errors to be significant
+ * @property {number} outlierLimit - Points further than this many robust σ from the shape are left out of its fit
+ * @property {number} binSize - Angular bin of the residual profile (degrees)
+ * @property {number|null} [nominalRadius] - Nominal pipe radius (mm), needed for ovality on a short arc
+ */
+
+/** @type {DeformationSettings} */
+export const DEFAULT_DEFORMATION_SETTINGS = {
+    dentDepth: 3,
+    dentMinWidth: 15,
+    ovalitySignificance: 3,
+    outlierLimit: 3.5,
+    binSize: 2,
+};
+
+// Samples in the running median that smooths residuals before dent search
+const DENT_SMOOTHING = 5;
+// Fewest arc points for an analysis
+const MIN_SAMPLES = 20;
+// Visible arc (degrees) from which the radius is fitted together with the ovality
+const MIN_FREE_ARC = 120;
+// Widest angular gap (degrees) within the visible arc; anything beyond it is not the same wall
+const MAX_ARC_GAP = 15;
+// Distance from the circle, as a fraction of the radius, within which points count as pipe wall
+const SURFACE_BAND = 0.1;
+// Refits about the updated centre, and the centre step (mm) at which they stop
+const MAX_PASSES = 8;
+const CONVERGED_SHIFT = 0.01;
+
+/**
+ * @typedef {Object} Dent
+ * @property {number} angle - Angle of the deepest point (degrees)
+ * @property {number} angleStart - Angular extent (degrees)
+ * @property {number} angleEnd
+ * @property {number} depth - Largest inward deviation (mm)
+ * @property {number} width - Extent along the pipe surface (mm)
+ * @property {number[]} indices - Profile points in the dent
+ */
+
+/**
+ * @typedef {Object} DeformationResult
+ * @property {{ angle: number, residual: number, ellipse: number }[]} profile
+ *   Median residual to the circle per angular bin, and the ellipse term at that angle (mm)
+ * @property {number} circleRms - RMS residual to the refitted circle (mm)
+ * @property {number} ellipseRms - RMS residual to the ellipse (mm)
+ * @property {number} arc - Visible arc (degrees)
+ * @property {{ percent: number, sigma: number, majorAxisAngle: number, significant: boolean, radius: 'fitted'|'nominal' }|null} ovality
+ *   (Dmax − Dmin) / Dnominal in %, its standard error, the angle of the long axis, whether it
+ *   stands out from the noise and which radius it was measured against; null on a short arc
+ *   without a nominal radius
+ * @property {Dent[]} dents
+ */
+
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Solve the symmetric system A·x = b by Gauss–Jordan elimination, keeping
+ * the inverse for the parameter covariance.
+ *
+ * @returns {{ x: number[], inverse: number[][] }|null} Null if A is singular
+ */
+function solveWithInverse(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, ...b.slice(i, i + 1), ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-12) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        const div = M[col][col];
+        for (let j = 0; j < M[col].length; j++) M[col][j] /= div;
+        for (let r = 0; r < n; r++) {
+            if (r === col || M[r][col] === 0) continue;
+            const f = M[r][col];
+            for (let j = 0; j < M[r].length; j++) M[r][j] -= f * M[col][j];
+        }
+    }
+    return { x: M.map(row => row[n]), inverse: M.map(row => row.slice(n + 1)) };
+}
+
+/**
+ * Points of the visible arc with their angle and radial residual. Points
+ * further from the circle than SURFACE_BAND are not on the pipe wall
+ * (seabed where the arc meets it, debris), nor are points outside `span`.
+ */
+function arcSamples(points, pipe, radius, span = null) {
+    const anodes = new Set(pipe.anodeIndices || []);
+    const band = radius * SURFACE_BAND;
+    const samples = [];
+    for (let i = pipe.inlierStart; i <= pipe.inlierEnd; i++) {
+        if (anodes.has(i)) continue;
+        const dx = points[i].x - pipe.cx, dz = points[i].z - pipe.cz;
+        const d = Math.sqrt(dx * dx + dz * dz);
+        if (Math.abs(d - radius) > band) continue;
+        const theta = Math.atan2(dx, -dz);
+        if (span && (theta < span.from || theta > span.to)) continue;
+        samples.push({ index: i, theta, ux: dx / d, uz: dz / d, residual: d - radius });
+    }
+    return samples.sort((a, b) => a.theta - b.theta);
+}
+
+/**
+ * Angular extent (radians) of the visible arc: the longest run of samples
+ * that follow the circle without a gap wider than MAX_ARC_GAP. Seabed inside
+ * the surface band where the arc meets it is left out by an outlier pass,
+ * and the odd seabed point that still lies on the circle by the gap.
+ */
+function visibleSpan(samples, outlierLimit) {
+    const fit = fitShape(samples, { fitRadius: true, fitEllipse: false });
+    const residuals = samples.map(s => (fit ? circleResidual(s, fit) : s.residual));
+    const limit = outlierLimit * 1.4826 * median(residuals.map(Math.abs));
+    const kept = samples.filter((_, i) => Math.abs(residuals[i]) <= limit);
+    const maxGap = (MAX_ARC_GAP * Math.PI) / 180;
+
+    let span = null;
+    let start = 0;
+    for (let i = 1; i <= kept.length; i++) {
+        if (i < kept.length && kept[i].theta - kept[i - 1].theta <= maxGap) continue;
+        if (!span || i - start > span.count) span = { from: kept[start].theta, to: kept[i - 1].theta, count: i - start };
+        start = i;
+    }
+    return span;
+}
+
+/**
+ * Linearised shape fit to the residuals: centre shift, radius change
+ * (unless the radius is held) and, if asked, the cos 2θ / sin 2θ terms.
+ */
+function fitShape(samples, { fitRadius, fitEllipse }) {
+    const columns = [
+        // A centre shift δ towards a point adds u·δ to its distance from the old centre
+        s => s.ux,
+        s => s.uz,
+        ...(fitRadius ? [() => 1] : []),
+        ...(fitEllipse ? [s => Math.cos(2 * s.theta), s => Math.sin(2 * s.theta)] : []),
+    ];
+    const p = columns.length;
+    if (samples.length <= p) return null;
+
+    const A = Array.from({ length: p }, () => new Array(p).fill(0));
+    const b = new Array(p).fill(0);
+    const rows = samples.map(s => columns.map(col => col(s)));
+    samples.forEach((s, k) => {
+        for (let i = 0; i < p; i++) {
+            b[i] += rows[k][i] * s.residual;
+            for (let j = 0; j < p; j++) A[i][j] += rows[k][i] * rows[k][j];
+        }
+    });
+    const solution = solveWithInverse(A, b);
+    if (!solution) return null;
+
+    const [dcx, dcz, ...rest] = solution.x;
+    const fit = { dcx, dcz, dR: fitRadius ? rest[0] : 0, a: 0, b: 0, covAB: [0, 0, 0] };
+    if (!fitEllipse) return fit;
+
+    let sse = 0;
+    samples.forEach((s, k) => {
+        const model = rows[k].reduce((sum, v, i) => sum + v * solution.x[i], 0);
+        sse += (s.residual - model) ** 2;
+    });
+    const variance = sse / (samples.length - p);
+    const ia = p - 2, ib = p - 1;
+    fit.a = solution.x[ia];
+    fit.b = solution.x[ib];
+    fit.covAB = [solution.inverse[ia][ia], solution.inverse[ia][ib], solution.inverse[ib][ib]].map(v => v * variance);
+    return fit;
+}
+
+/**
+ * Residual of a sample to the refitted circle (shifted centre and radius).
+ */
+function circleResidual(s, fit) {
+    return s.residual - (s.ux * fit.dcx + s.uz * fit.dcz + fit.dR);
+}
+
+function ellipseTerm(theta, fit) {
+    return fit.a * Math.cos(2 * theta) + fit.b * Math.sin(2 * theta);
+}
+
+/**
+ * Inward runs of the residual left after the ellipse.
+ */
+function findDents(samples, residuals, radius, dentDepth, dentMinWidth) {
+    const half = DENT_SMOOTHING >> 1;
+    const smoothed = residuals.map((_, i) =>
+        median(residuals.slice(Math.max(0, i - half), Math.min(residuals.length, i + half + 1)))
+    );
+
+    const dents = [];
+    let i = 0;
+    while (i < samples.length) {
+        if (smoothed[i] > -dentDepth) {
+            i++;
+            continue;
+        }
+        // Extend the run to where the residual comes back above half the threshold
+        let start = i, end = i;
+        while (start > 0 && smoothed[start - 1] < -dentDepth / 2) start--;
+        while (end + 1 < samples.length && smoothed[end + 1] < -dentDepth / 2) end++;
+
+        let deepest = start;
+        for (let k = start; k <= end; k++) if (smoothed[k] < smoothed[deepest]) deepest = k;
+
+        const width = radius * (samples[end].theta - samples[start].theta);
+        if (width >= dentMinWidth) {
+            dents.push({
+                angle: toDegrees(samples[deepest].theta),
+                angleStart: toDegrees(samples[start].theta),
+                angleEnd: toDegrees(samples[end].theta),
+                depth: -smoothed[deepest],
+                width,
+                indices: samples.slice(start, end + 1).map(s => s.index),
+            });
+        }
+        i = end + 1;
+    }
+    return dents;
+}
+
+/**
+ * Analyse the shape of the fitted pipe for ovality and dents.
+ *
+ * @param {{ x: number, z: number }[]} points - Processed profile points
+ * @param {object} pipe - detectPipe result (or a tracked one that kept the detection's inlier span)
+ * @param {Partial<DeformationSettings>} [settings]
+ * @returns {DeformationResult|null} Null without a visible arc to analyse
+ */
+export function analyzePipeDeformation(points, pipe, settings = {}) {
+    if (!pipe || pipe.inlierStart === undefined) return null;
+    const { dentDepth, dentMinWidth, ovalitySignificance, outlierLimit, binSize, nominalRadius = null } = {
+        ...DEFAULT_DEFORMATION_SETTINGS,
+        ...settings
+    };
+
+    // On a short arc the radius and the ellipse terms cannot be told apart;
+    // ovality is then measured against the nominal radius, if there is one
+    let samples = arcSamples(points, pipe, pipe.radius);
+    if (samples.length < MIN_SAMPLES) return null;
+    const span = visibleSpan(samples, outlierLimit);
+    if (!span || span.count < MIN_SAMPLES) return null;
+    const arc = toDegrees(span.to - span.from);
+    const nominal = nominalRadius ?? (pipe.constrained ? pipe.radius : null);
+    const fitRadius = arc >= MIN_FREE_ARC || nominal === null;
+    const fitEllipse = arc >= MIN_FREE_ARC || nominal !== null;
+    // Start from the nominal circle through the same crest, which even a short arc fixes well
+    const radius0 = fitRadius ? pipe.radius : nominal;
+    let centre = { cx: pipe.cx, cz: pipe.cz - pipe.radius + radius0, radius: radius0 };
+
+    // Fit the shape, then again without the points that do not follow it
+    // (dents, debris), and repeat about the updated centre until it settles
+    let fit = null;
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        samples = arcSamples(points, { ...pipe, ...centre }, centre.radius, span);
+        const trial = fitShape(samples, { fitRadius, fitEllipse });
+        if (!trial) break;
+        const shape = samples.map(s => circleResidual(s, trial) - ellipseTerm(s.theta, trial));
+        const limit = outlierLimit * 1.4826 * median(shape.map(Math.abs));
+        const kept = samples.filter((_, i) => Math.abs(shape[i]) <= limit);
+        const refit = (kept.length >= MIN_SAMPLES && fitShape(kept, { fitRadius, fitEllipse })) || trial;
+        // The fit is linearised; a large step means it has not held
+        const shift = Math.hypot(refit.dcx, refit.dcz, refit.dR);
+        if (shift > centre.radius * SURFACE_BAND) break;
+        fit = refit;
+        centre = { cx: centre.cx + fit.dcx, cz: centre.cz + fit.dcz, radius: centre.radius + fit.dR };
+        if (shift < CONVERGED_SHIFT) break;
+    }
+    if (!fit) return null;
+    samples = arcSamples(points, { ...pipe, ...centre }, centre.radius, span);
+    if (samples.length < MIN_SAMPLES) return null;
+    fit = { ...fit, dcx: 0, dcz: 0, dR: 0 };
+
+    const circle = samples.map(s => circleResidual(s, fit));
+    const remaining = samples.map((s, i) => circle[i] - ellipseTerm(s.theta, fit));
+    const rms = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+    // δ = √(a² + b²): the radius swings by ±δ, so Dmax − Dmin = 4δ
+    const radius = centre.radius;
+    const delta = Math.hypot(fit.a, fit.b);
+    const [varA, covAB, varB] = fit.covAB;
+    const sigmaDelta = delta > 0
+        ? Math.sqrt(Math.max(0, fit.a * fit.a * varA + 2 * fit.a * fit.b * covAB + fit.b * fit.b * varB)) / delta
+        : Math.sqrt((varA + varB) / 2);
+    const toPercent = (v) => (4 * v / (2 * radius)) * 100;
+
+    // Binned residual profile for plotting
+    const bins = new Map();
+    samples.forEach((s, i) => {
+        const key = Math.round(toDegrees(s.theta) / binSize);
+        if (!bins.has(key)) bins.set(key, []);
+        bins.get(key).push(circle[i]);
+    });
+    const profile = [...bins.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([key, values]) => ({
+            angle: key * binSize,
+            residual: median(values),
+            ellipse: ellipseTerm((key * binSize * Math.PI) / 180, fit),
+        }));
+
+    return {
+        profile,
+        circleRms: rms(circle),
+        ellipseRms: rms(remaining),
+        arc,
+        ovality: fitEllipse ? {
+            percent: toPercent(delta),
+            sigma: toPercent(sigmaDelta),
+            majorAxisAngle: toDegrees(Math.atan2(fit.b, fit.a) / 2),
+            significant: delta > ovalitySignificance * sigmaDelta,
+            radius: fitRadius ? 'fitted' : 'nominal',
+        } : null,
+        dents: findDents(samples, remaining, radius, dentDepth, dentMinWidth),
+    };
+}
@@ -1,10 +1,47 @@
 /**
- * Pipe Fitting — Circle Detection via Least-Squares (Kåsa Method)
+ * Pipe Fitting — Circle Detection via RANSAC and Least Squares
  *
  * Fits a circle to a set of 2D points (X, Z) representing a laser profile
- * cross-section, then filters by expected pipe diameter.
+ * cross-section, then filters by expected pipe diameter. The algebraic
+ * (Kåsa) fit seeds a geometric Levenberg–Marquardt refinement, which does
+ * not pull the radius in on the short arcs the sensor sees.
+ *
+ * RANSAC draws from a seeded generator, so a profile always gives the same
+ * detection for the same settings.
  */
 
+import { createRandom } from './random.js';
+
+// RANSAC defaults for detectPipe
+export const DEFAULT_RANSAC_SEED = 1;
+const RANSAC_MIN_ITERATIONS = 30;   // before the adaptive count may stop the search
+const RANSAC_MAX_ITERATIONS = 1000;
+
+// Levenberg–Marquardt limits for fitCircleGeometric
+const LM_MAX_ITERATIONS = 50;
+const LM_STEP_TOLERANCE = 1e-6; // mm
+const LM_MAX_DAMPING = 1e10;
+
+/**
+ * Solve a 3×3 linear system A·x = b by Cramer's rule.
+ *
+ * @returns {number[]|null} Null if A is singular
+ */
+function solve3(A, b) {
+    const det3 = (m) =>
+        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+    const detA = det3(A);
+    if (Math.abs(detA) < 1e-12) return null;
+
+    const replaceCol = (mat, col, vec) =>
+        mat.map((row, i) => row.map((val, j) => (j === col ? vec[i] : val)));
+
+    return [0, 1, 2].map(col => det3(replaceCol(A, col, b)) / detA);
+}
+
 /**
  * Fit a circle to a set of (x, z) points using the algebraic Kåsa method.
  *
@@ -49,21 +86,9 @@ export function fitCircle(points) {
         -(Sx2 + Sz2)
     ];
 
-    // Solve 3x3 system via Cramer's rule
-    const det3 = (m) =>
-        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
-        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
-        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
-
-    const detA = det3(A);
-    if (Math.abs(detA) < 1e-12) return null;
-
-    const replaceCol = (mat, col, vec) =>
-        mat.map((row, i) => row.map((val, j) => (j === col ? vec[i] : val)));
-
-    const D = det3(replaceCol(A, 0, b)) / detA;
-    const E = det3(replaceCol(A, 1, b)) / detA;
-    const F = det3(replaceCol(A, 2, b)) / detA;
+    const solution = solve3(A, b);
+    if (!solution) return null;
+    const [D, E, F] = solution;
 
     const cx = -D / 2;
     const cz = -E / 2;
@@ -82,6 +107,104 @@ export function fitCircle(points) {
     return { cx, cz, radius, rms };
 }
 
+/**
+ * Sum of squared orthogonal distances from the points to a circle.
+ */
+function circleCost(points, cx, cz, radius) {
+    let sum = 0;
+    for (const p of points) {
+        sum += (Math.sqrt((p.x - cx) ** 2 + (p.z - cz) ** 2) - radius) ** 2;
+    }
+    return sum;
+}
+
+/**
+ * Refine a circle by geometric (orthogonal distance) least squares.
+ *
+ * Minimises Σ (‖p − c‖ − r)² with Levenberg–Marquardt, starting from
+ * `initial` (normally the fitCircle result). Unlike the algebraic fit this
+ * is unbiased when only a short arc is visible.
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @param {{ cx: number, cz: number, radius: number }} initial - Starting circle
+ * @param {object} [options]
+ * @param {number|null} [options.radius=null] - Hold the radius at this value and fit the centre only
+ * @param {number} [options.maxIterations=50]
+ * @returns {{ cx: number, cz: number, radius: number, rms: number, iterations: number } | null}
+ */
+export function fitCircleGeometric(points, initial, { radius = null, maxIterations = LM_MAX_ITERATIONS } = {}) {
+    const n = points.length;
+    if (n < 3 || !initial) return null;
+
+    const fixedRadius = radius !== null;
+    let cx = initial.cx, cz = initial.cz, r = fixedRadius ? radius : initial.radius;
+    let cost = circleCost(points, cx, cz, r);
+    let lambda = 1e-3;
+    let iterations = 0;
+
+    while (iterations < maxIterations) {
+        iterations++;
+
+        // Normal equations JᵀJ·δ = −Jᵀ·res for the residuals ‖p − c‖ − r
+        const JtJ = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const Jtr = [0, 0, 0];
+        for (const p of points) {
+            const dx = p.x - cx, dz = p.z - cz;
+            const d = Math.sqrt(dx * dx + dz * dz);
+            if (d < 1e-9) continue;
+            const J = [-dx / d, -dz / d, -1];
+            const res = d - r;
+            for (let i = 0; i < 3; i++) {
+                Jtr[i] += J[i] * res;
+                for (let j = 0; j < 3; j++) JtJ[i][j] += J[i] * J[j];
+            }
+        }
+        if (fixedRadius) {
+            // Centre only: pin the radius step to zero
+            JtJ[0][2] = JtJ[1][2] = JtJ[2][0] = JtJ[2][1] = 0;
+            JtJ[2][2] = 1;
+            Jtr[2] = 0;
+        }
+
+        // Raise the damping until the step reduces the cost
+        let step = null;
+        while (lambda < LM_MAX_DAMPING) {
+            const A = JtJ.map((row, i) => row.map((val, j) => (i === j ? val * (1 + lambda) : val)));
+            const delta = solve3(A, Jtr.map(v => -v));
+            if (delta) {
+                const trial = circleCost(points, cx + delta[0], cz + delta[1], r + delta[2]);
+                if (trial < cost) {
+                    step = delta;
+                    cost = trial;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    break;
+                }
+            }
+            lambda *= 10;
+        }
+        if (!step) break;
+
+        cx += step[0];
+        cz += step[1];
+        r += step[2];
+        if (Math.hypot(step[0], step[1], step[2]) < LM_STEP_TOLERANCE) break;
+    }
+
+    if (!(r > 0)) return null;
+    return { cx, cz, radius: r, rms: Math.sqrt(cost / n), iterations };
+}
+
+/**
+ * RANSAC samples of 3 needed to draw an all-inlier one with probability
+ * `confidence`, when a share `ratio` of the points are inliers.
+ */
+function requiredIterations(ratio, confidence) {
+    const allInliers = ratio ** 3;
+    if (allInliers >= 1) return 1;
+    if (allInliers <= 0) return Infinity;
+    return Math.ceil(Math.log(1 - confidence) / Math.log(1 - allInliers));
+}
+
 
 /**
  * Detect a pipe profile in the laser line using a robust RANSAC approach.
@@ -92,20 +215,41 @@ export function fitCircle(points) {
  *      - Randomly sample 3 points to define a candidate circle.
  *      - Validate radius against expectedDiameter.
  *      - Count inliers (points within tolerance distance of the circle boundary).
+ *      - Stop once, at the best inlier ratio w so far, an all-inlier sample
+ *        has been drawn with the requested confidence p:
+ *        N = log(1 − p) / log(1 − w³).
  *   3. Pick the candidate with the most inliers.
- *   4. Refine the fit using all inliers from the best candidate.
+ *   4. Refine the fit using all inliers from the best candidate: an
+ *      algebraic fit, then a geometric one seeded from it.
  *
  * @param {{ x: number, z: number }[]} points         3D profile points
  * @param {number}                      expectedDiameter Expected pipe diameter (mm)
  * @param {object}                      [options]       Detection options
  * @param {object}                      [options.prevResult] Last successful detection (for tracking)
  * @param {number}                      [options.tolerance=10] Inlier distance tolerance (mm)
- * @returns {{ cx: number, cz: number, radius: number, rms: number, inlierStart: number, inlierEnd: number, diameter: number } | null}
+ * @param {boolean}                     [options.constrainRadius=false] Hold the refined radius at expectedDiameter / 2
+ * @param {Uint8Array}                  [options.exclude] Points to leave out of the search (non-zero entries)
+ * @param {number}                      [options.seed=DEFAULT_RANSAC_SEED] Seed for the RANSAC samples
+ * @param {number}                      [options.confidence=0.99] Wanted probability of drawing an all-inlier sample
+ * @param {number}                      [options.maxIterations=1000] Upper bound on RANSAC samples
+ * @returns {{ cx: number, cz: number, radius: number, rms: number, inlierStart: number, inlierEnd: number, diameter: number,
+ *   constrained: boolean, inlierCount: number, inlierRatio: number, iterations: number, confidence: number } | null}
+ *   `inlierRatio` is the share of the searched points on the circle; `confidence` the probability,
+ *   at that ratio, that the samples drawn included an all-inlier one
  */
 export function detectPipe(points, expectedDiameter, options = {}) {
     if (points.length < 15) return null;
 
-    const { prevResult = null, tolerance = 8 } = options;
+    const {
+        prevResult = null,
+        tolerance = 8,
+        constrainRadius = false,
+        exclude = null,
+        seed = DEFAULT_RANSAC_SEED,
+        confidence = 0.99,
+        maxIterations = RANSAC_MAX_ITERATIONS,
+    } = options;
+    const available = (i) => !exclude || !exclude[i];
     const expectedRadius = expectedDiameter / 2;
     const radTol = expectedRadius * 0.25;
 
@@ -116,25 +260,33 @@ export function detectPipe(points, expectedDiameter, options = {}) {
         const xMin = prevResult.cx - expectedRadius * 1.5;
         const xMax = prevResult.cx + expectedRadius * 1.5;
         for (let i = 0; i < points.length; i++) {
-            if (points[i].x >= xMin && points[i].x <= xMax) searchIndices.push(i);
+            if (points[i].x >= xMin && points[i].x <= xMax && available(i)) searchIndices.push(i);
         }
     }
 
     // Fallback/Expand: If search indices are too few, or no prev result, use most of the profile
     if (searchIndices.length < 20) {
-        searchIndices = points.map((_, i) => i);
+        searchIndices = [];
+        for (let i = 0; i < points.length; i++) {
+            if (available(i)) searchIndices.push(i);
+        }
     }
+    if (searchIndices.length < 15) return null;
 
     // 2. RANSAC Loop
+    const random = createRandom(seed);
     let bestInliers = [];
     let bestCircle = null;
-    const iterations = 100;
+    let required = maxIterations; // samples needed at the best inlier ratio so far
+    let iterations = 0;
+
+    while (iterations < maxIterations && (iterations < RANSAC_MIN_ITERATIONS || iterations < required)) {
+        iterations++;
 
-    for (let iter = 0; iter < iterations; iter++) {
         // Randomly pick 3 indices
-        const idx1 = searchIndices[Math.floor(Math.random() * searchIndices.length)];
-        const idx2 = searchIndices[Math.floor(Math.random() * searchIndices.length)];
-        const idx3 = searchIndices[Math.floor(Math.random() * searchIndices.length)];
+        const idx1 = searchIndices[Math.floor(random() * searchIndices.length)];
+        const idx2 = searchIndices[Math.floor(random() * searchIndices.length)];
+        const idx3 = searchIndices[Math.floor(random() * searchIndices.length)];
         if (idx1 === idx2 || idx2 === idx3 || idx1 === idx3) continue;
 
         const p1 = points[idx1], p2 = points[idx2], p3 = points[idx3];
@@ -162,14 +314,17 @@ export function detectPipe(points, expectedDiameter, options = {}) {
         if (inliers.length > bestInliers.length) {
             bestInliers = inliers;
             bestCircle = circle;
+            required = requiredIterations(inliers.length / searchIndices.length, confidence);
         }
     }
 
     if (!bestCircle || bestInliers.length < 15) return null;
+    const inlierRatio = bestInliers.length / searchIndices.length;
 
-    // 3. Final Refinement: Fit to all inliers
+    // 3. Final Refinement: geometric fit to all inliers, seeded from the algebraic one
     const inlierPoints = bestInliers.map(i => points[i]);
-    const refined = fitCircle(inlierPoints);
+    const initial = fitCircle(inlierPoints) || bestCircle;
+    const refined = fitCircleGeometric(inlierPoints, initial, { radius: constrainRadius ? expectedRadius : null });
     if (!refined) return null;
 
     // Determine the span of the inliers for visualization
@@ -215,12 +370,47 @@ export function detectPipe(points, expectedDiameter, options = {}) {
         radius: refined.radius,
         rms: refined.rms,
         diameter: refined.radius * 2,
+        constrained: constrainRadius,
         inlierStart: startIdx,
         inlierEnd: endIdx,
-        anodeIndices: anodeIndices
+        anodeIndices: anodeIndices,
+        inlierCount: bestInliers.length,
+        inlierRatio,
+        iterations,
+        confidence: 1 - Math.pow(1 - inlierRatio ** 3, iterations)
     };
 }
 
+
+/**
+ * Detect several pipes in one profile — a line with a piggy-backed
+ * umbilical, or parallel lines — by sequential RANSAC: each expected
+ * diameter in turn, with the points on the pipes already found removed
+ * from the search.
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @param {number[]} expectedDiameters - In search order; the main line first
+ * @param {object} [options] - As detectPipe, with `prevResults` (one per diameter) in place of `prevResult`
+ * @returns {(object|null)[]} One detectPipe result per diameter with its `id` (position in the list), null where not found
+ */
+export function detectPipes(points, expectedDiameters, options = {}) {
+    const { prevResults = [], tolerance = 8, ...rest } = options;
+    const exclude = new Uint8Array(points.length);
+
+    return expectedDiameters.map((diameter, id) => {
+        const result = detectPipe(points, diameter, { ...rest, tolerance, prevResult: prevResults[id] || null, exclude });
+        if (!result) return null;
+
+        // Only points on this circle are removed; others inside its span
+        // (an umbilical lying on top, seabed) stay available
+        for (let i = result.inlierStart; i <= result.inlierEnd; i++) {
+            const dist = Math.sqrt((points[i].x - result.cx) ** 2 + (points[i].z - result.cz) ** 2);
+            if (Math.abs(dist - result.radius) < tolerance) exclude[i] = 1;
+        }
+        return { ...result, id };
+    });
+}
+
 /**
  * Geometric circle from 3 points
  */
@@ -0,0 +1,434 @@
+/**
+ * Pipe Tracking — follows the pipe along-track through a run of profiles
+ * with a Kalman filter on the per-profile detections from detectPipe.
+ *
+ * State, in profile steps (one step = one profile):
+ *   - centre X and Z: constant velocity, so slow lateral drift and burial
+ *     changes are followed without lag
+ *   - radius: random walk, it should only change where the coating does
+ *
+ * Detections whose innovation fails a chi-square gate are treated as
+ * outliers. Without an accepted detection the track coasts on its
+ * prediction, and after `maxCoast` profiles it is lost; the next detection
+ * starts a new track. Once the run is complete, each track is smoothed
+ * with a Rauch–Tung–Striebel pass so every profile benefits from the
+ * detections after it as well as before.
+ */
+
+/**
+ * @typedef {Object} TrackingOptions
+ * @property {number} accelerationNoise - Process noise on the centre, mm per profile²
+ * @property {number} radiusNoise - Process noise on the radius, mm per profile
+ * @property {number} measurementNoise - Smallest centre/radius measurement σ (mm); a fit with a larger RMS uses its RMS
+ * @property {number} gate - Chi-square limit on the normalised innovation (3 degrees of freedom)
+ * @property {number} maxCoast - Profiles without an accepted detection before the track is lost
+ * @property {boolean} smooth - Run the backward smoothing pass
+ * @property {number} maxInterpolate - Longest run of lost profiles bridged by fillTrackGaps, 0 to disable
+ */
+
+/** @type {TrackingOptions} */
+export const DEFAULT_TRACKING = {
+    accelerationNoise: 2,
+    radiusNoise: 0.2,
+    measurementNoise: 5,
+    gate: 16,
+    maxCoast: 25,
+    smooth: true,
+    maxInterpolate: 500,
+};
+
+// Initial velocity σ of a new track (mm per profile)
+const INITIAL_VELOCITY_SIGMA = 20;
+
+/**
+ * @typedef {Object} TrackEntry
+ * @property {number} index - Profile index
+ * @property {'tracking'|'coasting'|'interpolated'|'lost'} status
+ *   tracking: this profile's detection was accepted; coasting: predicted only
+ *   (no detection, or it was rejected); interpolated: lost, but bridged
+ *   between two tracks by fillTrackGaps; lost: no track
+ * @property {boolean} detected - detectPipe found a pipe in this profile
+ * @property {boolean} rejected - The detection failed the gate
+ * @property {number|null} cx - Tracked centre X (mm), null when lost
+ * @property {number|null} cz - Tracked centre Z (mm)
+ * @property {number|null} radius - Tracked radius (mm)
+ * @property {number|null} sigmaCx - 1σ of cx (mm), null when lost or interpolated
+ * @property {number|null} sigmaCz - 1σ of cz (mm)
+ * @property {number|null} sigmaRadius - 1σ of radius (mm)
+ * @property {number|null} innovation - Normalised innovation squared of the detection, if any
+ * @property {number} trackId - Increments each time a new track is started, -1 when lost
+ */
+
+// ---- Constant-velocity axis: state [p, v], covariance [[a, b], [b, c]] ----
+
+function cvInit(position, positionVar) {
+    return { p: position, v: 0, a: positionVar, b: 0, c: INITIAL_VELOCITY_SIGMA ** 2 };
+}
+
+function cvPredict(s, q) {
+    // F = [[1, 1], [0, 1]], Q = q²·[[1/4, 1/2], [1/2, 1]] (piecewise constant acceleration)
+    const q2 = q * q;
+    return {
+        p: s.p + s.v,
+        v: s.v,
+        a: s.a + 2 * s.b + s.c + q2 / 4,
+        b: s.b + s.c + q2 / 2,
+        c: s.c + q2,
+    };
+}
+
+function cvUpdate(s, z, r) {
+    const S = s.a + r;
+    const kp = s.a / S, kv = s.b / S;
+    const y = z - s.p;
+    return {
+        p: s.p + kp * y,
+        v: s.v + kv * y,
+        a: (1 - kp) * s.a,
+        b: (1 - kp) * s.b,
+        c: s.c - kv * s.b,
+    };
+}
+
+/**
+ * RTS step for a constant-velocity axis.
+ *
+ * @param {object} filtered - Filtered state at k
+ * @param {object} predicted - Prediction for k + 1 made from `filtered`
+ * @param {object} smoothedNext - Smoothed state at k + 1
+ */
+function cvSmooth(filtered, predicted, smoothedNext) {
+    // C = P_k·Fᵀ·(P_k+1|k)⁻¹
+    const Pf = [[filtered.a, filtered.b], [filtered.b, filtered.c]];
+    const PFt = [[Pf[0][0] + Pf[0][1], Pf[0][1]], [Pf[1][0] + Pf[1][1], Pf[1][1]]];
+    const det = predicted.a * predicted.c - predicted.b * predicted.b;
+    const inv = [[predicted.c / det, -predicted.b / det], [-predicted.b / det, predicted.a / det]];
+    const C = [
+        [PFt[0][0] * inv[0][0] + PFt[0][1] * inv[1][0], PFt[0][0] * inv[0][1] + PFt[0][1] * inv[1][1]],
+        [PFt[1][0] * inv[0][0] + PFt[1][1] * inv[1][0], PFt[1][0] * inv[0][1] + PFt[1][1] * inv[1][1]],
+    ];
+
+    const dp = smoothedNext.p - predicted.p, dv = smoothedNext.v - predicted.v;
+    const dP = [
+        [smoothedNext.a - predicted.a, smoothedNext.b - predicted.b],
+        [smoothedNext.b - predicted.b, smoothedNext.c - predicted.c],
+    ];
+    // P = P_k + C·dP·Cᵀ
+    const CdP = [
+        [C[0][0] * dP[0][0] + C[0][1] * dP[1][0], C[0][0] * dP[0][1] + C[0][1] * dP[1][1]],
+        [C[1][0] * dP[0][0] + C[1][1] * dP[1][0], C[1][0] * dP[0][1] + C[1][1] * dP[1][1]],
+    ];
+    return {
+        p: filtered.p + C[0][0] * dp + C[0][1] * dv,
+        v: filtered.v + C[1][0] * dp + C[1][1] * dv,
+        a: filtered.a + CdP[0][0] * C[0][0] + CdP[0][1] * C[0][1],
+        b: filtered.b + CdP[0][0] * C[1][0] + CdP[0][1] * C[1][1],
+        c: filtered.c + CdP[1][0] * C[1][0] + CdP[1][1] * C[1][1],
+    };
+}
+
+// ---- Random-walk axis: state x, variance P ----
+
+function rwSmooth(filtered, predicted, smoothedNext) {
+    const C = filtered.P / predicted.P;
+    return { x: filtered.x + C * (smoothedNext.x - predicted.x), P: filtered.P + C * C * (smoothedNext.P - predicted.P) };
+}
+
+function toEntry(index, status, state, extra) {
+    if (!state) {
+        return {
+            index, status, ...extra,
+            cx: null, cz: null, radius: null, sigmaCx: null, sigmaCz: null, sigmaRadius: null, trackId: -1
+        };
+    }
+    return {
+        index, status, ...extra,
+        cx: state.x.p, cz: state.z.p, radius: state.r.x,
+        sigmaCx: Math.sqrt(state.x.a), sigmaCz: Math.sqrt(state.z.a), sigmaRadius: Math.sqrt(state.r.P),
+        trackId: state.trackId
+    };
+}
+
+/**
+ * Create a tracker that is fed one profile at a time, in file order.
+ *
+ * @param {Partial<TrackingOptions>} [options]
+ * @returns {{
+ *   predict: () => { cx: number, cz: number, radius: number }|null,
+ *   update: (index: number, detection: object|null) => TrackEntry,
+ *   finish: () => TrackEntry[]
+ * }}
+ *   `predict` gives the expected pipe for the next profile (a detectPipe
+ *   `prevResult`), `update` records that profile's detection and `finish`
+ *   returns the whole track, smoothed if enabled
+ */
+export function createPipeTracker(options = {}) {
+    const opts = { ...DEFAULT_TRACKING, ...options };
+    const entries = [];
+    const history = []; // per entry: { filtered, predicted } states, null when lost
+
+    let state = null; // { x, z, r, trackId } filtered state after the last update
+    let coasted = 0;
+    let nextTrackId = 0;
+
+    const predictState = (s) => ({
+        x: cvPredict(s.x, opts.accelerationNoise),
+        z: cvPredict(s.z, opts.accelerationNoise),
+        r: { x: s.r.x, P: s.r.P + opts.radiusNoise ** 2 },
+        trackId: s.trackId,
+    });
+
+    const startTrack = (detection, sigma) => {
+        const r = sigma * sigma;
+        return {
+            x: cvInit(detection.cx, r),
+            z: cvInit(detection.cz, r),
+            r: { x: detection.radius, P: r },
+            trackId: nextTrackId++,
+        };
+    };
+
+    const predict = () => {
+        if (!state) return null;
+        const next = predictState(state);
+        return { cx: next.x.p, cz: next.z.p, radius: next.r.x };
+    };
+
+    const update = (index, detection) => {
+        const detected = !!detection;
+        const sigma = detected ? Math.max(opts.measurementNoise, detection.rms || 0) : 0;
+
+        if (!state) {
+            if (!detected) {
+                entries.push(toEntry(index, 'lost', null, { detected, rejected: false, innovation: null }));
+                history.push(null);
+                return entries[entries.length - 1];
+            }
+            state = startTrack(detection, sigma);
+            coasted = 0;
+            entries.push(toEntry(index, 'tracking', state, { detected, rejected: false, innovation: 0 }));
+            history.push({ filtered: state, predicted: null });
+            return entries[entries.length - 1];
+        }
+
+        const predicted = predictState(state);
+        let innovation = null;
+        let accepted = false;
+
+        if (detected) {
+            const r = sigma * sigma;
+            innovation =
+                (detection.cx - predicted.x.p) ** 2 / (predicted.x.a + r) +
+                (detection.cz - predicted.z.p) ** 2 / (predicted.z.a + r) +
+                (detection.radius - predicted.r.x) ** 2 / (predicted.r.P + r);
+            accepted = innovation <= opts.gate;
+
+            if (accepted) {
+                const K = predicted.r.P / (predicted.r.P + r);
+                state = {
+                    x: cvUpdate(predicted.x, detection.cx, r),
+                    z: cvUpdate(predicted.z, detection.cz, r),
+                    r: { x: predicted.r.x + K * (detection.radius - predicted.r.x), P: (1 - K) * predicted.r.P },
+                    trackId: predicted.trackId,
+                };
+                coasted = 0;
+            }
+        }
+
+        if (!accepted) {
+            coasted++;
+            if (coasted > opts.maxCoast) {
+                // Track lost; a detection that was rejected against the
+                // stale prediction starts the next one straight away
+                state = null;
+                return update(index, detection);
+            }
+            state = predicted;
+        }
+
+        entries.push(toEntry(index, accepted ? 'tracking' : 'coasting', state, {
+            detected, rejected: detected && !accepted, innovation
+        }));
+        history.push({ filtered: state, predicted });
+        return entries[entries.length - 1];
+    };
+
+    const finish = () => {
+        if (!opts.smooth) return entries;
+
+        // Backward pass within each track; `predicted` of k + 1 was made from `filtered` of k
+        const smoothed = entries.slice();
+        let next = null;
+        for (let k = entries.length - 1; k >= 0; k--) {
+            const h = history[k];
+            if (!h) {
+                next = null;
+                continue;
+            }
+            const after = history[k + 1];
+            if (!next || !after || after.filtered.trackId !== h.filtered.trackId || !after.predicted) {
+                next = h.filtered;
+            } else {
+                next = {
+                    x: cvSmooth(h.filtered.x, after.predicted.x, next.x),
+                    z: cvSmooth(h.filtered.z, after.predicted.z, next.z),
+                    r: rwSmooth(h.filtered.r, after.predicted.r, next.r),
+                    trackId: h.filtered.trackId,
+                };
+            }
+            const { index, status, detected, rejected, innovation } = entries[k];
+            smoothed[k] = toEntry(index, status, next, { detected, rejected, innovation });
+        }
+        return smoothed;
+    };
+
+    return { predict, update, finish };
+}
+
+/**
+ * One tracker per pipe, for runs where several pipes are detected (see
+ * detectPipes). Pipes keep their position in the diameter list as their id.
+ *
+ * @param {number} count - Number of pipes
+ * @param {Partial<TrackingOptions>} [options]
+ * @returns {{
+ *   predict: () => ({ cx: number, cz: number, radius: number }|null)[],
+ *   update: (index: number, detections: (object|null)[]) => TrackEntry[],
+ *   finish: () => TrackEntry[][]
+ * }} As createPipeTracker, with one value per pipe; `finish` also bridges track gaps
+ */
+export function createMultiPipeTracker(count, options = {}) {
+    const trackers = Array.from({ length: count }, () => createPipeTracker(options));
+    return {
+        predict: () => trackers.map(t => t.predict()),
+        update: (index, detections) => trackers.map((t, id) => t.update(index, detections[id] || null)),
+        finish: () => trackers.map(t => fillTrackGaps(t.finish(), options)),
+    };
+}
+
+/**
+ * Pipe tracks of a run as kept by the app and returned by the worker.
+ *
+ * @typedef {Object} PipeTracks
+ * @property {number} start - Profile index of the first track entry
+ * @property {{ id: number, diameter: number, track: TrackEntry[], segments: object[] }[]} pipes
+ *   One track per expected diameter, the main line first; `segments` from trackSegments
+ */
+
+/**
+ * Bundle per-pipe tracks with their segments.
+ *
+ * @param {number} start
+ * @param {number[]} diameters
+ * @param {TrackEntry[][]} tracks - From createMultiPipeTracker().finish()
+ * @returns {PipeTracks}
+ */
+export function pipeTracks(start, diameters, tracks) {
+    return {
+        start,
+        pipes: tracks.map((track, id) => ({ id, diameter: diameters[id], track, segments: trackSegments(track) })),
+    };
+}
+
+/**
+ * Track entry of one pipe at a profile.
+ *
+ * @param {PipeTracks|null} tracks
+ * @param {number} index - Profile index
+ * @param {number} [id=0] - Pipe id
+ * @returns {TrackEntry|null}
+ */
+export function trackEntryAt(tracks, index, id = 0) {
+    return tracks?.pipes[id]?.track[index - tracks.start] || null;
+}
+
+/**
+ * Track a complete list of per-profile detections.
+ *
+ * @param {{ index: number, pipeResult: object|null }[]} detections - In file order
+ * @param {Partial<TrackingOptions>} [options]
+ * @returns {TrackEntry[]}
+ */
+export function trackPipe(detections, options = {}) {
+    const tracker = createPipeTracker(options);
+    detections.forEach(d => tracker.update(d.index, d.pipeResult));
+    return tracker.finish();
+}
+
+/**
+ * Bridge lost runs that have a track on both sides by interpolating the
+ * centre and radius linearly between the last and next tracked profiles.
+ * A buried pipe gives no circle to detect, but its position is still needed
+ * (see burialAnalysis.js); runs longer than `maxInterpolate` stay lost.
+ *
+ * @param {TrackEntry[]} track - Consecutive profiles in file order
+ * @param {Partial<TrackingOptions>} [options]
+ * @returns {TrackEntry[]} A new track with bridged entries marked 'interpolated'
+ */
+export function fillTrackGaps(track, options = {}) {
+    const { maxInterpolate } = { ...DEFAULT_TRACKING, ...options };
+    const filled = track.slice();
+
+    let i = 0;
+    while (i < track.length) {
+        if (track[i].status !== 'lost') {
+            i++;
+            continue;
+        }
+        let end = i;
+        while (end + 1 < track.length && track[end + 1].status === 'lost') end++;
+
+        const before = track[i - 1], after = track[end + 1];
+        if (before && after && end - i + 1 <= maxInterpolate) {
+            const span = after.index - before.index;
+            for (let k = i; k <= end; k++) {
+                const t = (track[k].index - before.index) / span;
+                const lerp = (a, b) => a + (b - a) * t;
+                filled[k] = {
+                    ...track[k],
+                    status: 'interpolated',
+                    cx: lerp(before.cx, after.cx),
+                    cz: lerp(before.cz, after.cz),
+                    radius: lerp(before.radius, after.radius),
+                };
+            }
+        }
+        i = end + 1;
+    }
+    return filled;
+}
+
+/**
+ * Collapse a track into runs of profiles with the same status, for listing
+ * coasting and lost segments.
+ *
+ * @param {TrackEntry[]} track
+ * @returns {{ status: string, start: number, end: number, count: number }[]} Profile index ranges, inclusive
+ */
+export function trackSegments(track) {
+    const segments = [];
+    for (const entry of track) {
+        const last = segments[segments.length - 1];
+        if (last && last.status === entry.status && last.end === entry.index - 1) {
+            last.end = entry.index;
+            last.count++;
+        } else {
+            segments.push({ status: entry.status, start: entry.index, end: entry.index, count: 1 });
+        }
+    }
+    return segments;
+}
+
+/**
+ * The pipe to display and report for one profile: the tracked centre and
+ * radius, keeping the detection's inlier span and anodes when there is one.
+ *
+ * @param {TrackEntry|null} entry
+ * @param {object|null} detection - detectPipe result for the same profile
+ * @returns {object|null} A detectPipe-shaped result with a `track` field, or the detection if untracked
+ */
+export function trackedPipeResult(entry, detection) {
+    if (!entry || entry.status === 'lost') return detection;
+    const tracked = { cx: entry.cx, cz: entry.cz, radius: entry.radius, diameter: entry.radius * 2, track: entry };
+    return detection ? { ...detection, ...tracked } : tracked;
+}
@@ -0,0 +1,101 @@
+/**
+ * Playback — steps through a file's profiles like a video, either at a
+ * fixed number of profiles per second or in (scaled) survey time from each
+ * profile's acquisition timestamp.
+ *
+ * The clock is anchored on the profile playback started from, so when
+ * processing a profile takes longer than the playback rate allows the
+ * next step skips ahead instead of drifting behind.
+ */
+
+export const PLAYBACK_MODES = [
+    { value: 'rate', label: 'Profiles / s' },
+    { value: 'realtime', label: 'Real time' },
+];
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+export const DEFAULT_PLAYBACK_SETTINGS = {
+    mode: 'rate',
+    rate: 10,       // profiles per second ('rate' mode)
+    speed: 1,       // survey time multiplier ('realtime' mode)
+    loop: false,
+    loopStart: 1,   // 1-based, inclusive
+    loopEnd: 100,
+};
+
+// Longest pause in real time playback; longer acquisition gaps are cut short
+export const MAX_PLAYBACK_WAIT = 2000; // ms
+
+/**
+ * @typedef {Object} PlaybackClock
+ * @property {number} index - Profile the clock was anchored on
+ * @property {number|null} time - Its acquisition time (ms)
+ * @property {number} now - Wall clock time of the anchor (ms)
+ */
+
+/**
+ * Anchor a playback clock on the profile on screen.
+ *
+ * @param {number} index
+ * @param {number|null} time - Acquisition time of the profile (getAcquisitionTime)
+ * @param {number} now - performance.now()
+ * @returns {PlaybackClock}
+ */
+export function createPlaybackClock(index, time, now) {
+    return { index, time, now };
+}
+
+/**
+ * Work out how long the profile on screen stays there and which profile
+ * follows it. `next` can be more than one ahead when playback has fallen
+ * behind its clock; `resync` asks for the clock to be re-anchored on the
+ * next profile (after a cut-short gap, or before survey times are known).
+ *
+ * @param {PlaybackClock} clock
+ * @param {number} index - Profile on screen
+ * @param {number|null} time - Its acquisition time (ms)
+ * @param {typeof DEFAULT_PLAYBACK_SETTINGS} settings
+ * @param {number} now - performance.now()
+ * @returns {{ delay: number, next: number, resync: boolean }}
+ */
+export function nextPlaybackStep(clock, index, time, settings, now) {
+    const elapsed = now - clock.now;
+
+    if (settings.mode === 'realtime') {
+        // Survey time per profile over the run played so far
+        const interval = time !== null && clock.time !== null && index > clock.index
+            ? (time - clock.time) / (index - clock.index)
+            : 0;
+
+        if (interval > 0) {
+            const lag = clock.time + elapsed * settings.speed - time; // survey ms the clock is past this profile
+            if (lag >= interval) return { delay: 0, next: index + Math.floor(lag / interval), resync: false };
+
+            const delay = (interval - lag) / settings.speed;
+            return delay > MAX_PLAYBACK_WAIT
+                ? { delay: MAX_PLAYBACK_WAIT, next: index + 1, resync: true }
+                : { delay, next: index + 1, resync: false };
+        }
+        // No interval yet: take one step at the profile rate, then measure
+        return { delay: 1000 / settings.rate, next: index + 1, resync: time === null };
+    }
+
+    const target = clock.index + (elapsed * settings.rate) / 1000;
+    if (target >= index + 1) return { delay: 0, next: Math.floor(target), resync: false };
+    return { delay: ((index + 1 - target) * 1000) / settings.rate, next: index + 1, resync: false };
+}
+
+/**
+ * The profile range playback runs over (0-based, inclusive).
+ *
+ * @param {typeof DEFAULT_PLAYBACK_SETTINGS} settings
+ * @param {number} profileCount
+ * @returns {{ first: number, last: number }}
+ */
+export function playbackRange(settings, profileCount) {
+    if (!settings.loop) return { first: 0, last: profileCount - 1 };
+    const first = Math.min(Math.max(1, settings.loopStart), profileCount) - 1;
+    const last = Math.min(Math.max(settings.loopEnd, first + 1), profileCount) - 1;
+    return { first, last };
+}
@@ -1,6 +1,24 @@
 // Utility to filter out noise points (points without close neighbours)
 // A point is considered noise if it has fewer than MIN_NEIGHBORS within RADIUS distance.
 
+/**
+ * Drop weak or thin laser returns. Points without intensity/width
+ * attributes (e.g. demo data) are kept.
+ *
+ * @param {object[]} points - Triangulated points with `intensity` and `width`
+ * @param {number} [minIntensity=0] Lowest accepted intensity (0-255)
+ * @param {number} [minWidth=1] Narrowest accepted line width (pixels)
+ * @returns {object[]}
+ */
+export function filterLowQualityPoints(points, minIntensity = 0, minWidth = 1) {
+    if (!Array.isArray(points)) return [];
+
+    return points.filter(p =>
+        (p.intensity === undefined || p.intensity >= minIntensity) &&
+        (p.width === undefined || p.width >= minWidth)
+    );
+}
+
 export function filterNoisePoints(points, radius = 5, minNeighbors = 2) {
     if (!Array.isArray(points) || points.length === 0) return [];
 
@@ -0,0 +1,360 @@
+/**
+ * Point Export — encoders for writing processed profiles to ASCII XYZ,
+ * binary PLY and LAS 1.4 point files.
+ *
+ * Encoders are streaming: `begin()` returns the start of the file, `encode()`
+ * turns a batch of profiles into the next chunk, and `finish()` returns the
+ * final header (point count, bounds) to be written back over the start of the
+ * file, so a whole .bin file can be exported without holding every point in
+ * memory.
+ *
+ * Per-point fields: x, y, z, intensity, width, classification, profile index.
+ * XYZ and PLY keep the coordinates as given (sensor frame in mm, or survey
+ * coordinates in m with depth positive down). LAS is always written in
+ * metres with Z as elevation (positive up), as GIS and survey software expect.
+ */
+
+/**
+ * Classification codes written with every point. Seabed uses the ASPRS
+ * "Ground" class; the rest are in the LAS user-definable range (64+).
+ */
+export const EXPORT_CLASS = {
+    SEABED: 2,
+    PIPE: 64,
+    ANODE: 65,
+    ROCK: 66,
+    FEATURE: 67,
+};
+
+const FEATURE_CLASS = {
+    Anode: EXPORT_CLASS.ANODE,
+    Rock: EXPORT_CLASS.ROCK,
+};
+
+export const EXPORT_FORMATS = {
+    xyz: { label: 'ASCII XYZ', extension: 'xyz' },
+    ply: { label: 'Binary PLY', extension: 'ply' },
+    las: { label: 'LAS 1.4', extension: 'las' },
+};
+
+/**
+ * A processed profile ready for export.
+ *
+ * @typedef {Object} ExportFrame
+ * @property {number} index - Profile index within the file
+ * @property {number|null} time - Acquisition time (ms), see getAcquisitionTime
+ * @property {{ x: number, y: number, z: number, intensity?: number, width?: number }[]} points
+ * @property {Uint8Array} classes - EXPORT_CLASS code per point
+ */
+
+/**
+ * Classify the points of a processed profile from its pipe detection and
+ * feature detection results. Points not on the pipe or a feature are seabed.
+ *
+ * @param {object[]} points
+ * @param {object|null} pipeResult - From detectPipe
+ * @param {import('./featureDetection.js').DetectedFeature[]} [features] - From detectFeatures
+ * @returns {Uint8Array} EXPORT_CLASS code per point
+ */
+export function classifyExportPoints(points, pipeResult, features = []) {
+    const classes = new Uint8Array(points.length).fill(EXPORT_CLASS.SEABED);
+
+    if (pipeResult) {
+        for (let i = pipeResult.inlierStart; i <= pipeResult.inlierEnd && i < points.length; i++) {
+            classes[i] = EXPORT_CLASS.PIPE;
+        }
+        for (const i of pipeResult.anodeIndices || []) {
+            classes[i] = EXPORT_CLASS.ANODE;
+        }
+    }
+
+    // Feature detections take precedence over the geometric pipe/seabed split
+    for (const feature of features) {
+        const code = FEATURE_CLASS[feature.type] ?? EXPORT_CLASS.FEATURE;
+        for (const i of feature.indices) {
+            if (i < points.length) classes[i] = code;
+        }
+    }
+
+    return classes;
+}
+
+function countPoints(frames) {
+    return frames.reduce((sum, f) => sum + f.points.length, 0);
+}
+
+// ---- ASCII XYZ ----
+
+function createXyzEncoder() {
+    return {
+        begin: () => '',
+        encode(frames) {
+            const lines = [];
+            for (const frame of frames) {
+                frame.points.forEach((p, i) => {
+                    lines.push(`${p.x.toFixed(3)} ${p.y.toFixed(3)} ${p.z.toFixed(3)} ${p.intensity ?? 0} ${p.width ?? 0} ${frame.classes[i]} ${frame.index}`);
+                });
+            }
+            return lines.length > 0 ? lines.join('\n') + '\n' : '';
+        },
+        finish: () => null,
+    };
+}
+
+// ---- Binary PLY ----
+
+const PLY_RECORD_LENGTH = 3 * 8 + 3 + 4; // xyz doubles, intensity/width/class bytes, profile uint32
+const PLY_COUNT_WIDTH = 12;              // vertex count is padded so the header can be rewritten in place
+
+function plyHeader(count, units) {
+    return [
+        'ply',
+        'format binary_little_endian 1.0',
+        'comment Laser Analyzer export',
+        `comment units ${units}`,
+        `comment classification seabed=${EXPORT_CLASS.SEABED} pipe=${EXPORT_CLASS.PIPE} anode=${EXPORT_CLASS.ANODE} rock=${EXPORT_CLASS.ROCK} feature=${EXPORT_CLASS.FEATURE}`,
+        `element vertex ${String(count).padEnd(PLY_COUNT_WIDTH)}`,
+        'property double x',
+        'property double y',
+        'property double z',
+        'property uchar intensity',
+        'property uchar width',
+        'property uchar classification',
+        'property uint profile',
+        'end_header',
+        ''
+    ].join('\n');
+}
+
+function createPlyEncoder(units) {
+    let count = 0;
+
+    return {
+        begin: () => new TextEncoder().encode(plyHeader(0, units)),
+        encode(frames) {
+            const view = new DataView(new ArrayBuffer(countPoints(frames) * PLY_RECORD_LENGTH));
+            let o = 0;
+            for (const frame of frames) {
+                frame.points.forEach((p, i) => {
+                    view.setFloat64(o, p.x, true);
+                    view.setFloat64(o + 8, p.y, true);
+                    view.setFloat64(o + 16, p.z, true);
+                    view.setUint8(o + 24, p.intensity ?? 0);
+                    view.setUint8(o + 25, p.width ?? 0);
+                    view.setUint8(o + 26, frame.classes[i]);
+                    view.setUint32(o + 27, frame.index, true);
+                    o += PLY_RECORD_LENGTH;
+                });
+            }
+            count += o / PLY_RECORD_LENGTH;
+            return new Uint8Array(view.buffer);
+        },
+        finish: () => ({ data: new TextEncoder().encode(plyHeader(count, units)), position: 0 }),
+    };
+}
+
+// ---- LAS 1.4 ----
+// Point data record format 6 with two extra-bytes fields: line width
+// (uchar) and profile index (uint32). The coordinate system is a local
+// one (the sensor frame, or the grid of the navigation data) described by
+// a WKT VLR, and times are adjusted standard GPS time.
+
+const LAS_HEADER_SIZE = 375;
+const LAS_VLR_HEADER_SIZE = 54;
+const LAS_EXTRA_BYTES_DESCRIPTOR_SIZE = 192;
+const LAS_EXTRA_BYTES = [
+    { name: 'width', type: 1, size: 1, description: 'Laser line width' },
+    { name: 'profile', type: 5, size: 4, description: 'Profile index in source file' },
+];
+const LAS_POINT_FORMAT = 6;
+const LAS_RECORD_LENGTH = 30 + LAS_EXTRA_BYTES.reduce((sum, f) => sum + f.size, 0);
+const LAS_SCALE = 0.0001; // 0.1 mm
+const LAS_EXTRA_BYTES_VLR_SIZE = LAS_VLR_HEADER_SIZE + LAS_EXTRA_BYTES.length * LAS_EXTRA_BYTES_DESCRIPTOR_SIZE;
+const LAS_GLOBAL_ENCODING = 0x01 | 0x10; // adjusted standard GPS time, WKT CRS (required for format 6+)
+
+const LAS_WKT = {
+    mm: 'LOCAL_CS["Laser Analyzer sensor frame",LOCAL_DATUM["Sensor",32767],UNIT["metre",1],' +
+        'AXIS["X",OTHER],AXIS["Y",OTHER],AXIS["Z",UP]]',
+    m: 'LOCAL_CS["Navigation grid",LOCAL_DATUM["Navigation",32767],UNIT["metre",1],' +
+        'AXIS["Easting",EAST],AXIS["Northing",NORTH],AXIS["Elevation",UP]]',
+};
+
+// GPS time started 1980-01-06 UTC and has since run ahead of UTC by the
+// leap seconds inserted at these UTC times (ms)
+const GPS_EPOCH = Date.UTC(1980, 0, 6);
+const LEAP_SECONDS = [
+    [1981, 6], [1982, 6], [1983, 6], [1985, 6], [1988, 0], [1990, 0], [1991, 0], [1992, 6], [1993, 6],
+    [1994, 6], [1996, 0], [1997, 6], [1999, 0], [2006, 0], [2009, 0], [2012, 6], [2015, 6], [2017, 0],
+].map(([year, month]) => Date.UTC(year, month, 1));
+
+/**
+ * Adjusted standard GPS time: GPS seconds minus 10⁹.
+ *
+ * @param {number} time - Unix time (ms)
+ * @returns {number}
+ */
+function adjustedGpsTime(time) {
+    const leap = LEAP_SECONDS.filter(t => t <= time).length;
+    return (time - GPS_EPOCH) / 1000 + leap - 1e9;
+}
+
+function writeString(bytes, offset, text, length) {
+    for (let i = 0; i < length && i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i) & 0x7f;
+    }
+}
+
+function lasExtraBytesVlr() {
+    const bytes = new Uint8Array(LAS_EXTRA_BYTES_VLR_SIZE);
+    const view = new DataView(bytes.buffer);
+
+    writeString(bytes, 2, 'LASF_Spec', 16);
+    view.setUint16(18, 4, true); // record id: extra bytes
+    view.setUint16(20, LAS_EXTRA_BYTES_VLR_SIZE - LAS_VLR_HEADER_SIZE, true);
+    writeString(bytes, 22, 'Extra point attributes', 32);
+
+    LAS_EXTRA_BYTES.forEach((field, k) => {
+        const o = LAS_VLR_HEADER_SIZE + k * LAS_EXTRA_BYTES_DESCRIPTOR_SIZE;
+        bytes[o + 2] = field.type;
+        writeString(bytes, o + 4, field.name, 32);
+        writeString(bytes, o + 160, field.description, 32);
+    });
+    return bytes;
+}
+
+function lasWktVlr(wkt) {
+    const bytes = new Uint8Array(LAS_VLR_HEADER_SIZE + wkt.length + 1); // null-terminated
+    const view = new DataView(bytes.buffer);
+
+    writeString(bytes, 2, 'LASF_Projection', 16);
+    view.setUint16(18, 2112, true); // record id: OGC coordinate system WKT
+    view.setUint16(20, wkt.length + 1, true);
+    writeString(bytes, 22, 'Coordinate system', 32);
+    writeString(bytes, LAS_VLR_HEADER_SIZE, wkt, wkt.length);
+    return bytes;
+}
+
+/**
+ * Build the LAS public header block.
+ *
+ * @param {{ count: number, offset: number[], min: number[], max: number[], pointOffset: number, vlrCount: number }} state
+ * @returns {Uint8Array}
+ */
+function lasHeader(state) {
+    const bytes = new Uint8Array(LAS_HEADER_SIZE);
+    const view = new DataView(bytes.buffer);
+    const now = new Date();
+    const dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
+
+    writeString(bytes, 0, 'LASF', 4);
+    view.setUint16(6, LAS_GLOBAL_ENCODING, true);
+    bytes[24] = 1;                           // version 1.4
+    bytes[25] = 4;
+    writeString(bytes, 26, 'OTHER', 32);
+    writeString(bytes, 58, 'Laser Analyzer', 32);
+    view.setUint16(90, dayOfYear, true);
+    view.setUint16(92, now.getFullYear(), true);
+    view.setUint16(94, LAS_HEADER_SIZE, true);
+    view.setUint32(96, state.pointOffset, true);
+    view.setUint32(100, state.vlrCount, true);
+    bytes[104] = LAS_POINT_FORMAT;
+    view.setUint16(105, LAS_RECORD_LENGTH, true);
+    // Legacy point counts (107–130) stay 0 for format 6
+
+    for (let a = 0; a < 3; a++) {
+        view.setFloat64(131 + a * 8, LAS_SCALE, true);
+        view.setFloat64(155 + a * 8, state.offset[a], true);
+        // Bounds are stored max, min per axis
+        view.setFloat64(179 + a * 16, state.count > 0 ? state.max[a] : 0, true);
+        view.setFloat64(187 + a * 16, state.count > 0 ? state.min[a] : 0, true);
+    }
+
+    view.setBigUint64(247, BigInt(state.count), true);
+    view.setBigUint64(255, BigInt(state.count), true); // all points are single returns
+    return bytes;
+}
+
+function createLasEncoder(units) {
+    const toMetres = units === 'mm' ? 0.001 : 1;
+    const vlrs = [lasExtraBytesVlr(), lasWktVlr(LAS_WKT[units])];
+    const state = {
+        count: 0,
+        offset: null,
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity],
+        pointOffset: vlrs.reduce((sum, vlr) => sum + vlr.length, LAS_HEADER_SIZE),
+        vlrCount: vlrs.length,
+    };
+
+    return {
+        begin() {
+            const bytes = new Uint8Array(state.pointOffset);
+            bytes.set(lasHeader({ ...state, offset: [0, 0, 0] }), 0);
+            let o = LAS_HEADER_SIZE;
+            for (const vlr of vlrs) {
+                bytes.set(vlr, o);
+                o += vlr.length;
+            }
+            return bytes;
+        },
+        encode(frames) {
+            const view = new DataView(new ArrayBuffer(countPoints(frames) * LAS_RECORD_LENGTH));
+            let o = 0;
+
+            for (const frame of frames) {
+                const gpsTime = frame.time !== null && frame.time !== undefined ? adjustedGpsTime(frame.time) : 0;
+
+                frame.points.forEach((p, i) => {
+                    const xyz = [p.x * toMetres, p.y * toMetres, -p.z * toMetres];
+
+                    // Offsets are fixed by the first point, rounded to the metre
+                    if (!state.offset) state.offset = xyz.map(Math.round);
+
+                    for (let a = 0; a < 3; a++) {
+                        view.setInt32(o + a * 4, Math.round((xyz[a] - state.offset[a]) / LAS_SCALE), true);
+                        if (xyz[a] < state.min[a]) state.min[a] = xyz[a];
+                        if (xyz[a] > state.max[a]) state.max[a] = xyz[a];
+                    }
+                    view.setUint16(o + 12, (p.intensity ?? 0) * 257, true); // 8-bit → 16-bit range
+                    view.setUint8(o + 14, 0x11);                            // return 1 of 1
+                    view.setUint8(o + 16, frame.classes[i]);
+                    view.setFloat64(o + 22, gpsTime, true);
+                    view.setUint8(o + 30, p.width ?? 0);
+                    view.setUint32(o + 31, frame.index, true);
+                    o += LAS_RECORD_LENGTH;
+                });
+            }
+
+            state.count += o / LAS_RECORD_LENGTH;
+            return new Uint8Array(view.buffer);
+        },
+        finish: () => ({ data: lasHeader({ ...state, offset: state.offset || [0, 0, 0] }), position: 0 }),
+    };
+}
+
+/**
+ * Create a streaming encoder.
+ *
+ * @param {'xyz'|'ply'|'las'} format
+ * @param {object} [options]
+ * @param {'mm'|'m'} [options.units='mm'] Units of the point coordinates
+ * @returns {{
+ *   begin: () => Uint8Array|string,
+ *   encode: (frames: ExportFrame[]) => Uint8Array|string,
+ *   finish: () => { data: Uint8Array, position: number }|null
+ * }} `finish` returns the header to write at `position`, or null if the format has none
+ */
+export function createPointEncoder(format, options = {}) {
+    const { units = 'mm' } = options;
+
+    switch (format) {
+        case 'xyz':
+            return createXyzEncoder();
+        case 'ply':
+            return createPlyEncoder(units);
+        case 'las':
+            return createLasEncoder(units);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Profile Assembly — stacks consecutive profiles along the track axis into
+ * a single point cloud.
+ *
+ * Each profile is a slice in the laser plane. Its along-track position is
+ * added to the points' Y (forward) coordinate, so pipe runs, freespans and
+ * rock dumps show up as a continuous surface.
+ */
+
+/**
+ * How far apart consecutive profiles are placed.
+ *
+ * @typedef {Object} TrackSpacing
+ * @property {'constant'|'speed'|'timestamp'} mode
+ *   - constant: fixed `step` between profiles
+ *   - speed: vehicle `speed` divided by the profile `rate`
+ *   - timestamp: vehicle `speed` × time since the first profile
+ * @property {number} [step=10] Distance between profiles (mm), constant mode
+ * @property {number} [speed=0.5] Vehicle speed over ground (m/s)
+ * @property {number} [rate=50] Profile rate (Hz), speed mode and timestamp fallback
+ */
+
+/** Point classes stored alongside assembled points */
+export const ASSEMBLY_CLASS = {
+    SEABED: 0,
+    PIPE: 1,
+    ANODE: 2,
+};
+
+/**
+ * Along-track position of each profile.
+ *
+ * @param {(number|null)[]} times - Acquisition time per profile (ms), see getAcquisitionTime
+ * @param {TrackSpacing} spacing
+ * @returns {Float64Array} Position per profile (mm), the first one at 0
+ */
+export function computeAlongTrackPositions(times, spacing) {
+    const { mode = 'constant', step = 10, speed = 0.5, rate = 50 } = spacing;
+    const positions = new Float64Array(times.length);
+    const stepFromSpeed = (speed * 1000) / rate;  // mm per profile
+
+    const t0 = times.find(t => t !== null && t !== undefined);
+    for (let i = 1; i < times.length; i++) {
+        if (mode === 'timestamp' && t0 !== undefined && times[i] !== null && times[i] !== undefined) {
+            positions[i] = speed * (times[i] - t0); // m/s × ms = mm
+        } else if (mode === 'constant') {
+            positions[i] = positions[i - 1] + step;
+        } else {
+            // Speed mode, or a profile without a usable timestamp
+            positions[i] = positions[i - 1] + stepFromSpeed;
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Assign a class to every point of a processed profile.
+ *
+ * @param {object[]} points
+ * @param {object|null} pipeResult
+ * @returns {Uint8Array}
+ */
+function classifyPoints(points, pipeResult) {
+    const classes = new Uint8Array(points.length);
+    if (!pipeResult) return classes;
+
+    for (let i = pipeResult.inlierStart; i <= pipeResult.inlierEnd && i < points.length; i++) {
+        classes[i] = ASSEMBLY_CLASS.PIPE;
+    }
+    for (const i of pipeResult.anodeIndices || []) {
+        classes[i] = ASSEMBLY_CLASS.ANODE;
+    }
+    return classes;
+}
+
+/**
+ * Stack processed profiles into one point cloud.
+ *
+ * @param {{ index: number, points: object[], pipeResult: object|null }[]} frames - Processed profiles in file order
+ * @param {Float64Array|number[]} positions - Along-track position of each frame (mm)
+ * @returns {{ positions: Float32Array, classes: Uint8Array, profileIndices: Int32Array, profileStarts: Int32Array }}
+ *   Interleaved x/y/z in mm; `profileStarts[k]` is the first point of frame k (plus a final end entry)
+ */
+export function assembleProfiles(frames, positions) {
+    const total = frames.reduce((sum, f) => sum + f.points.length, 0);
+    const xyz = new Float32Array(total * 3);
+    const classes = new Uint8Array(total);
+    const profileIndices = new Int32Array(frames.length);
+    const profileStarts = new Int32Array(frames.length + 1);
+
+    let n = 0;
+    frames.forEach((frame, k) => {
+        const offset = positions[k];
+        profileIndices[k] = frame.index;
+        profileStarts[k] = n;
+        classes.set(classifyPoints(frame.points, frame.pipeResult), n);
+
+        for (const p of frame.points) {
+            xyz[n * 3] = p.x;
+            xyz[n * 3 + 1] = p.y + offset;
+            xyz[n * 3 + 2] = p.z;
+            n++;
+        }
+    });
+    profileStarts[frames.length] = n;
+
+    return { positions: xyz, classes, profileIndices, profileStarts };
+}
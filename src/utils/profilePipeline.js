@@ -0,0 +1,73 @@
+/**
+ * Profile Pipeline — the per-profile processing chain shared by the UI,
+ * the parser worker and batch jobs:
+ *
+ *   pixel coords → triangulate2Dto3D → filterLowQualityPoints → filterNoisePoints → detectPipes
+ *
+ * Points keep their source `column`, `intensity` and `width` through every
+ * stage, and pipe/feature results index into the final point array.
+ */
+
+import { triangulate2Dto3D } from './triangulation.js';
+import { profileToPixelCoords } from './binParser.js';
+import { filterLowQualityPoints, filterNoisePoints } from './pointCleaning.js';
+import { detectPipes } from './pipeFitting.js';
+
+/**
+ * @typedef {Object} PipelineOptions
+ * @property {object} params - Triangulation params (see triangulate2Dto3D)
+ * @property {{ minIntensity: number, minWidth: number }|null} [quality] - Low-quality return rejection, null = off
+ * @property {{ radius: number, minNeighbors: number }|null} [pointCleaning] - Noise filter settings, null = off
+ * @property {{ diameters: number[], constrainRadius?: boolean, seed?: number, prevResults?: (object|null)[] }|null} [pipe]
+ *   Pipe detection settings, null = off: one expected diameter per pipe (the main line first), the
+ *   RANSAC seed and, to follow the pipes along a run, the previous result for each
+ */
+
+/**
+ * Clean a set of 3D points and look for the pipe in them.
+ *
+ * @param {{ x: number, y: number, z: number }[]} points
+ * @param {PipelineOptions} options
+ * @returns {{ points: object[], pipeResult: object|null, pipeResults: (object|null)[] }}
+ *   `pipeResults` has one entry per expected diameter; `pipeResult` is the main line's
+ */
+export function processPoints(points, options = {}) {
+    const { quality = null, pointCleaning = null, pipe = null } = options;
+
+    // Reject weak returns before anything else looks at the points
+    const acceptedPoints = quality
+        ? filterLowQualityPoints(points, quality.minIntensity, quality.minWidth)
+        : points;
+
+    // Apply point cleaning if enabled
+    const processedPoints = pointCleaning
+        ? filterNoisePoints(acceptedPoints, pointCleaning.radius, pointCleaning.minNeighbors)
+        : acceptedPoints;
+
+    // Detect pipes if enabled
+    let pipeResults = [];
+    if (pipe && processedPoints.length > 10) {
+        pipeResults = detectPipes(processedPoints, pipe.diameters, {
+            prevResults: pipe.prevResults || [],
+            constrainRadius: !!pipe.constrainRadius,
+            seed: pipe.seed
+        });
+    }
+
+    return { points: processedPoints, pipeResult: pipeResults[0] || null, pipeResults };
+}
+
+/**
+ * Run the full chain on a decoded laser profile.
+ *
+ * @param {import('./binParser.js').LaserProfile} profile
+ * @param {PipelineOptions} options
+ * @returns {{ points: object[], pipeResult: object|null, pipeResults: (object|null)[] }}
+ */
+export function processProfile(profile, options) {
+    const { pixelColumns, pixelRows, intensities, widths } = profileToPixelCoords(profile);
+    if (pixelColumns.length < 3) return { points: [], pipeResult: null, pipeResults: [] };
+
+    const points = triangulate2Dto3D(pixelColumns, pixelRows, options.params, { intensities, widths });
+    return processPoints(points, options);
+}
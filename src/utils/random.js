@@ -0,0 +1,24 @@
+/**
+ * Random — a small seedable pseudo-random generator (mulberry32), so that
+ * randomised algorithms such as RANSAC give the same answer every time they
+ * see the same data.
+ *
+ * Not suitable for anything security related.
+ */
+
+/**
+ * Create a generator for a 32-bit seed.
+ *
+ * @param {number} seed - Any number; only its low 32 bits are used
+ * @returns {() => number} Returns values in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
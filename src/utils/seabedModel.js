@@ -0,0 +1,309 @@
+/**
+ * Seabed Model — the seabed surface in one profile, with the trench and
+ * berm measurements reported for trenched pipelines.
+ *
+ * Seabed points are those left after removing the pipe wall (and a
+ * clearance around it) and any detected features. They are fitted two
+ * ways: a robust straight line (Tukey biweight, for the overall level and
+ * cross slope) and a polyline of per-bin medians that follows the trench.
+ *
+ * Trench and berms are measured against a reference level: a robust line
+ * through the outer `referenceWidth` of seabed on each side, taken as
+ * undisturbed. The trench is where the polyline next to the pipe lies more
+ * than `trenchThreshold` below it; the berms are the highest seabed just
+ * outside the trench edges.
+ *
+ * All levels are sensor Z (mm, positive down): a smaller Z is higher.
+ * Depths and heights in the results are positive downwards and upwards
+ * respectively.
+ */
+
+import { median } from './statistics.js';
+
+/**
+ * @typedef {Object} SeabedSettings
+ * @property {number} pipeClearance - Points closer than this to the pipe wall are not seabed (mm)
+ * @property {number} binWidth - Spacing of the polyline nodes (mm)
+ * @property {number} minBinPoints - Fewest points for a polyline node
+ * @property {number} outlierLimit - Points further than this from the polyline are left out (mm)
+ * @property {number} referenceWidth - Outer seabed on each side taken as undisturbed (mm)
+ * @property {number} trenchThreshold - Seabed this far below the reference is trench (mm)
+ * @property {number} bermWidth - Search width for a berm crest beyond each trench edge, in pipe diameters
+ */
+
+/** @type {SeabedSettings} */
+export const DEFAULT_SEABED_SETTINGS = {
+    pipeClearance: 30,
+    binWidth: 25,
+    minBinPoints: 3,
+    outlierLimit: 30,
+    referenceWidth: 200,
+    trenchThreshold: 20,
+    bermWidth: 1,
+};
+
+// Tukey biweight tuning constant (95 % efficiency) and reweighting passes
+const TUKEY_C = 4.685;
+const ROBUST_PASSES = 10;
+// Fewest points for a line fit
+const MIN_LINE_POINTS = 10;
+
+/**
+ * @typedef {Object} SeabedLine
+ * @property {number} slope - dZ/dX
+ * @property {number} intercept - Z at X = 0 (mm)
+ * @property {number} rms - RMS residual of the points kept (mm)
+ */
+
+/**
+ * @typedef {Object} Berm
+ * @property {number} x - Crest position (mm)
+ * @property {number} z - Crest level (mm)
+ * @property {number} height - Above the reference seabed (mm)
+ * @property {number} heightAbovePipe - Above the pipe crest (mm), negative if lower
+ */
+
+/**
+ * @typedef {Object} TrenchResult
+ * @property {number} left - X of the left trench edge (mm)
+ * @property {number} right - X of the right trench edge (mm)
+ * @property {number} width - right − left (mm)
+ * @property {number} depth - Deepest visible seabed in the trench below the reference (mm)
+ * @property {number} bottomZ - Level of that point (mm)
+ * @property {number} pipeTopDepth - Pipe crest below the reference seabed (mm), negative if above
+ * @property {Berm|null} bermLeft
+ * @property {Berm|null} bermRight
+ */
+
+/**
+ * @typedef {Object} SeabedResult
+ * @property {number[]} indices - Profile points used as seabed
+ * @property {{ x: number, z: number }[]} polyline - Median seabed level per bin
+ * @property {SeabedLine|null} line - Robust line through all seabed points
+ * @property {(SeabedLine & { source: 'both'|'left'|'right' })|null} reference
+ *   Undisturbed seabed level either side of the pipe; null without a pipe
+ * @property {TrenchResult|null} trench - Null without a pipe or reference
+ */
+
+/**
+ * Line z = slope·x + intercept by iteratively reweighted least squares
+ * with Tukey's biweight, the scale re-estimated from the MAD each pass.
+ *
+ * @param {{ x: number, z: number }[]} pts
+ * @returns {SeabedLine|null} Null if too few points or all at one X
+ */
+function robustLine(pts) {
+    if (pts.length < MIN_LINE_POINTS) return null;
+    const weights = new Float64Array(pts.length).fill(1);
+    let slope = 0, intercept = 0;
+
+    for (let pass = 0; pass < ROBUST_PASSES; pass++) {
+        let sw = 0, sx = 0, sz = 0, sxx = 0, sxz = 0;
+        pts.forEach((p, i) => {
+            const w = weights[i];
+            sw += w; sx += w * p.x; sz += w * p.z; sxx += w * p.x * p.x; sxz += w * p.x * p.z;
+        });
+        const det = sw * sxx - sx * sx;
+        if (!(sw > 0) || Math.abs(det) < 1e-9) return null;
+        slope = (sw * sxz - sx * sz) / det;
+        intercept = (sz - slope * sx) / sw;
+
+        const residuals = pts.map(p => p.z - (slope * p.x + intercept));
+        const scale = Math.max(1, 1.4826 * median(residuals.map(Math.abs)));
+        residuals.forEach((r, i) => {
+            const u = r / (TUKEY_C * scale);
+            weights[i] = Math.abs(u) < 1 ? (1 - u * u) ** 2 : 0;
+        });
+    }
+
+    let sum = 0, n = 0;
+    pts.forEach((p, i) => {
+        if (weights[i] > 0) {
+            sum += (p.z - (slope * p.x + intercept)) ** 2;
+            n++;
+        }
+    });
+    return { slope, intercept, rms: Math.sqrt(sum / Math.max(1, n)) };
+}
+
+/**
+ * Per-bin median levels of points sorted by X.
+ */
+function binMedians(pts, binWidth, minBinPoints) {
+    const nodes = [];
+    let bin = [], binIndex = null;
+    const flush = () => {
+        if (bin.length >= minBinPoints) nodes.push({ x: median(bin.map(p => p.x)), z: median(bin.map(p => p.z)) });
+        bin = [];
+    };
+    for (const p of pts) {
+        const b = Math.floor(p.x / binWidth);
+        if (b !== binIndex) {
+            flush();
+            binIndex = b;
+        }
+        bin.push(p);
+    }
+    flush();
+    return nodes;
+}
+
+/**
+ * Polyline level at X, interpolated between nodes; null outside them or
+ * across the gap under the pipe.
+ */
+function polylineAt(polyline, x, maxGap = Infinity) {
+    for (let i = 1; i < polyline.length; i++) {
+        const a = polyline[i - 1], b = polyline[i];
+        if (x >= a.x && x <= b.x) {
+            if (b.x - a.x > maxGap) return null;
+            return a.z + ((x - a.x) / Math.max(1e-9, b.x - a.x)) * (b.z - a.z);
+        }
+    }
+    return null;
+}
+
+/**
+ * Reference (undisturbed) seabed: a robust line through the outer
+ * `referenceWidth` of seabed on each side of the pipe, or a level through
+ * one side when only one is seen.
+ */
+function referenceLevel(seabed, pipe, referenceWidth) {
+    const left = seabed.filter(p => p.x < pipe.cx);
+    const right = seabed.filter(p => p.x > pipe.cx);
+    const outerLeft = left.length ? left.filter(p => p.x <= left[0].x + referenceWidth) : [];
+    const outerRight = right.length ? right.filter(p => p.x >= right[right.length - 1].x - referenceWidth) : [];
+
+    const both = outerLeft.length >= MIN_LINE_POINTS && outerRight.length >= MIN_LINE_POINTS;
+    if (both) {
+        const line = robustLine([...outerLeft, ...outerRight]);
+        return line && { ...line, source: 'both' };
+    }
+
+    // One side only: its median level, without a cross slope
+    const side = outerLeft.length >= MIN_LINE_POINTS ? outerLeft : outerRight.length >= MIN_LINE_POINTS ? outerRight : null;
+    if (!side) return null;
+    const level = median(side.map(p => p.z));
+    return {
+        slope: 0,
+        intercept: level,
+        rms: Math.sqrt(side.reduce((sum, p) => sum + (p.z - level) ** 2, 0) / side.length),
+        source: side === outerLeft ? 'left' : 'right',
+    };
+}
+
+/**
+ * Walk the polyline outwards from the pipe until it rises to within
+ * `threshold` of the reference; returns the crossing X, or the node
+ * nearest the pipe if the seabed there is not trench.
+ *
+ * @param {{ x: number, z: number }[]} nodes - Nodes on one side, nearest the pipe first
+ * @param {(x: number) => number} refAt
+ * @param {number} threshold
+ * @returns {{ edge: number, inside: { x: number, z: number }[], outsideIndex: number }|null}
+ */
+function trenchEdge(nodes, refAt, threshold) {
+    if (nodes.length === 0) return null;
+    const depth = (n) => n.z - refAt(n.x);
+    const inside = [];
+
+    for (let i = 0; i < nodes.length; i++) {
+        const d = depth(nodes[i]);
+        if (d <= threshold) {
+            if (i === 0) return { edge: nodes[0].x, inside, outsideIndex: 0 };
+            // Interpolate where the depth crosses the threshold
+            const prev = nodes[i - 1], dPrev = depth(prev);
+            const t = (dPrev - threshold) / Math.max(1e-9, dPrev - d);
+            return { edge: prev.x + t * (nodes[i].x - prev.x), inside, outsideIndex: i };
+        }
+        inside.push(nodes[i]);
+    }
+    return { edge: nodes[nodes.length - 1].x, inside, outsideIndex: nodes.length };
+}
+
+/**
+ * Highest seabed node (smallest Z) among `nodes` within `width` of `edge`.
+ */
+function bermCrest(nodes, edge, width, refAt, pipeTop) {
+    let best = null;
+    for (const n of nodes) {
+        if (Math.abs(n.x - edge) > width) break;
+        if (!best || n.z < best.z) best = n;
+    }
+    if (!best) return null;
+    return { x: best.x, z: best.z, height: refAt(best.x) - best.z, heightAbovePipe: pipeTop - best.z };
+}
+
+/**
+ * Fit the seabed in one profile and, given a pipe, measure the trench and
+ * berms around it.
+ *
+ * @param {{ x: number, z: number }[]} points - Processed profile points
+ * @param {{ cx: number, cz: number, radius: number }|null} pipe - Detected or tracked pipe
+ * @param {{ indices: number[] }[]} [features] - Detected features; their points are not seabed
+ * @param {Partial<SeabedSettings>} [settings]
+ * @returns {SeabedResult|null} Null if too few seabed points
+ */
+export function analyzeSeabed(points, pipe, features = [], settings = {}) {
+    const { pipeClearance, binWidth, minBinPoints, outlierLimit, referenceWidth, trenchThreshold, bermWidth } = {
+        ...DEFAULT_SEABED_SETTINGS,
+        ...settings
+    };
+
+    // Candidates: not on a feature and not on or just around the pipe wall;
+    // cover over a buried pipe stays in
+    const excluded = new Set();
+    for (const f of features) for (const i of f.indices || []) excluded.add(i);
+    const candidates = [];
+    for (let i = 0; i < points.length; i++) {
+        if (excluded.has(i)) continue;
+        const p = points[i];
+        if (pipe) {
+            if (Math.hypot(p.x - pipe.cx, p.z - pipe.cz) < pipe.radius + pipeClearance) continue;
+        }
+        candidates.push({ i, x: p.x, z: p.z });
+    }
+    candidates.sort((a, b) => a.x - b.x);
+    if (candidates.length < MIN_LINE_POINTS) return null;
+
+    // Polyline, then drop points far from it (debris, spikes) and refit
+    const rough = binMedians(candidates, binWidth, minBinPoints);
+    const seabed = candidates.filter(p => {
+        const z = polylineAt(rough, p.x, binWidth * 4);
+        return z === null || Math.abs(p.z - z) <= outlierLimit;
+    });
+    const polyline = binMedians(seabed, binWidth, minBinPoints);
+    const line = robustLine(seabed);
+    const result = { indices: seabed.map(p => p.i), polyline, line, reference: null, trench: null };
+    if (!pipe) return result;
+
+    const reference = referenceLevel(seabed, pipe, referenceWidth);
+    result.reference = reference;
+    if (!reference) return result;
+
+    const refAt = (x) => reference.slope * x + reference.intercept;
+    const pipeTop = pipe.cz - pipe.radius;
+    const leftNodes = polyline.filter(n => n.x < pipe.cx).reverse();
+    const rightNodes = polyline.filter(n => n.x > pipe.cx);
+    const left = trenchEdge(leftNodes, refAt, trenchThreshold);
+    const right = trenchEdge(rightNodes, refAt, trenchThreshold);
+    if (!left || !right) return result;
+
+    // No seabed below the threshold next to the pipe: not trenched
+    const inside = [...left.inside, ...right.inside];
+    if (inside.length === 0) return result;
+    const bottom = inside.reduce((best, n) => (n.z - refAt(n.x) > best.z - refAt(best.x) ? n : best));
+    const searchWidth = bermWidth * 2 * pipe.radius;
+
+    result.trench = {
+        left: left.edge,
+        right: right.edge,
+        width: right.edge - left.edge,
+        depth: bottom.z - refAt(bottom.x),
+        bottomZ: bottom.z,
+        pipeTopDepth: pipeTop - refAt(pipe.cx),
+        bermLeft: bermCrest(leftNodes.slice(left.outsideIndex), left.edge, searchWidth, refAt, pipeTop),
+        bermRight: bermCrest(rightNodes.slice(right.outsideIndex), right.edge, searchWidth, refAt, pipeTop),
+    };
+    return result;
+}
@@ -0,0 +1,15 @@
+/**
+ * Statistics — small numeric helpers shared by the profile analyses.
+ */
+
+/**
+ * Median of a list of numbers.
+ *
+ * @param {ArrayLike<number>} values - At least one value
+ * @returns {number}
+ */
+export function median(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -8,20 +8,99 @@ import * as THREE from 'three';
  * 
  * Coordinate system:
  *   X = cross-track (left/right)
- *   Y = elevation (up/down)
+ *   Y = forward (along track)
  *   Z = depth (downward from camera, positive = further)
  */
 
-export function triangulate2Dto3D(pixelColumns, pixelRows, params) {
+// Fixed-point iterations used to invert the lens distortion model
+const UNDISTORT_ITERATIONS = 20;
+
+/**
+ * Remove Brown–Conrady lens distortion from a normalised image point.
+ *
+ * The model maps an ideal point (x, y) to the distorted one
+ *   x_d = x·(1 + k1·r² + k2·r⁴ + k3·r⁶) + 2·p1·x·y + p2·(r² + 2x²)
+ *   y_d = y·(1 + k1·r² + k2·r⁴ + k3·r⁶) + p1·(r² + 2y²) + 2·p2·x·y
+ * with y pointing down the image (the OpenCV convention, so coefficients
+ * from a standard chessboard calibration can be used as-is). It has no
+ * closed-form inverse; fixed-point iteration converges for any lens a
+ * camera calibration would accept.
+ *
+ * @param {number} xd - Distorted normalised x
+ * @param {number} yd - Distorted normalised y (down)
+ * @param {{ k1: number, k2: number, k3: number, p1: number, p2: number }} d
+ * @returns {[number, number]} Ideal normalised [x, y]
+ */
+function undistortPoint(xd, yd, d) {
+    let x = xd, y = yd;
+    for (let i = 0; i < UNDISTORT_ITERATIONS; i++) {
+        const r2 = x * x + y * y;
+        const radial = 1 + r2 * (d.k1 + r2 * (d.k2 + r2 * d.k3));
+        const dx = 2 * d.p1 * x * y + d.p2 * (r2 + 2 * x * x);
+        const dy = d.p1 * (r2 + 2 * y * y) + 2 * d.p2 * x * y;
+        x = (xd - dx) / radial;
+        y = (yd - dy) / radial;
+    }
+    return [x, y];
+}
+
+/**
+ * Bend a unit direction crossing a flat interface normal to the camera
+ * axis (Snell's law), in camera space.
+ *
+ * @param {THREE.Vector3} dir - Unit direction with dir.z > 0; updated in place
+ * @param {number} n1 - Refractive index the ray leaves
+ * @param {number} n2 - Refractive index the ray enters
+ * @returns {boolean} False on total internal reflection
+ */
+function refractAxial(dir, n1, n2) {
+    const ratio = n1 / n2;
+    const sin2 = ratio * ratio * (1 - dir.z * dir.z);
+    if (sin2 >= 1) return false;
+    dir.set(dir.x * ratio, dir.y * ratio, Math.sqrt(1 - sin2));
+    return true;
+}
+
+/**
+ * Build a function that triangulates a single pixel for a fixed set of
+ * system parameters. The camera and laser geometry is computed once, so
+ * callers that re-triangulate the same pixels many times (calibration)
+ * only pay for the ray–plane intersection.
+ *
+ * Pixels are corrected for lens distortion about the principal point
+ * (principalX, principalY; default the image centre) and, for a camera
+ * behind a flat port, refracted through the glass into the water. With
+ * zero distortion coefficients, waterIndex 1 and portThickness 0 this is an
+ * ideal pinhole.
+ *
+ * @param {object} params - Laser system geometry (see LaserSystemPanel)
+ * @returns {(u: number, v: number) => { x: number, y: number, z: number }|null}
+ *   Null when the ray misses the laser plane or hits it behind the camera
+ */
+export function createTriangulator(params) {
     const focalLength = params.focalLength || 24;
     const pixelSize = params.pixelSize || 11;
     const width = params.imageWidth || 2048;
     const height = params.imageHeight || 1152;
 
-    const cx = width / 2;
-    const cy = height / 2;
+    const cx = params.principalX ?? width / 2;
+    const cy = params.principalY ?? height / 2;
     const pxMm = pixelSize / 1000;
 
+    const distortion = {
+        k1: params.k1 || 0, k2: params.k2 || 0, k3: params.k3 || 0,
+        p1: params.p1 || 0, p2: params.p2 || 0,
+    };
+    const distorted = Object.values(distortion).some(c => c !== 0);
+
+    // Flat port: air inside the housing, then glass, then water. Ray
+    // origins move onto the outer face of the port.
+    const portDistance = params.portDistance || 0;
+    const portThickness = params.portThickness || 0;
+    const glassIndex = params.glassIndex || 1.5;
+    const waterIndex = params.waterIndex || 1;
+    const refracted = waterIndex !== 1 || portThickness > 0;
+
     // 1. Build Camera Object in World Space
     const camPos = new THREE.Vector3(params.camX || 0, params.camY || 0, params.camZ || 0);
     const camRot = new THREE.Euler(
@@ -45,26 +124,65 @@ export function triangulate2Dto3D(pixelColumns, pixelRows, params) {
     const planePoint = new THREE.Vector3(params.laserX || 0, params.laserY || 0, params.laserZ || 0);
     const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(planeNormal, planePoint);
 
-    const points = [];
+    // 3. Cast a ray through the pixel and intersect it with the laser plane
+    const ray = new THREE.Ray(camPos.clone());
+    const intersection = new THREE.Vector3();
 
-    for (let i = 0; i < pixelColumns.length; i++) {
-        const u = pixelColumns[i];
-        const v = pixelRows[i];
+    return (u, v) => {
+        let dirX = (u - cx) * pxMm / focalLength;
+        let dirY = (cy - v) * pxMm / focalLength;
 
-        const dirX = (u - cx) * pxMm / focalLength;
-        const dirY = (cy - v) * pxMm / focalLength;
-        const dirZ = 1.0;
+        if (distorted) {
+            const [x, y] = undistortPoint(dirX, -dirY, distortion);
+            dirX = x;
+            dirY = -y;
+        }
 
-        const localDir = new THREE.Vector3(dirX, dirY, dirZ).normalize();
-        const worldDir = localDir.clone().applyQuaternion(cameraQuat);
-        const ray = new THREE.Ray(camPos, worldDir);
+        ray.direction.set(dirX, dirY, 1.0).normalize();
+        ray.origin.set(0, 0, 0);
 
-        const intersection = new THREE.Vector3();
+        if (refracted) {
+            // Inner face of the port, through the glass, into the water
+            ray.origin.addScaledVector(ray.direction, portDistance / ray.direction.z);
+            if (!refractAxial(ray.direction, 1, glassIndex)) return null;
+            ray.origin.addScaledVector(ray.direction, portThickness / ray.direction.z);
+            if (!refractAxial(ray.direction, glassIndex, waterIndex)) return null;
+        }
+
+        ray.origin.applyQuaternion(cameraQuat).add(camPos);
+        ray.direction.applyQuaternion(cameraQuat);
         const hit = ray.intersectPlane(plane, intersection);
 
-        if (hit && intersection.z > camPos.z) {
-            points.push({ x: intersection.x, y: intersection.y, z: intersection.z });
+        if (!hit || intersection.z <= camPos.z) return null;
+        return { x: intersection.x, y: intersection.y, z: intersection.z };
+    };
+}
+
+/**
+ * Triangulate laser line pixels into 3D points.
+ *
+ * @param {number[]} pixelColumns - Pixel column (u) per point
+ * @param {number[]} pixelRows - Pixel row (v) per point
+ * @param {object} params - Laser system geometry (see LaserSystemPanel)
+ * @param {{ intensities?: number[], widths?: number[] }} [attributes] - Per-point values copied onto the output points
+ * @returns {{ x: number, y: number, z: number, column: number, intensity?: number, width?: number }[]}
+ *   `column` is the source pixel column, so points can be traced back to the raw profile
+ */
+export function triangulate2Dto3D(pixelColumns, pixelRows, params, attributes = null) {
+    const triangulate = createTriangulator(params);
+    const points = [];
+
+    for (let i = 0; i < pixelColumns.length; i++) {
+        const u = pixelColumns[i];
+        const hit = triangulate(u, pixelRows[i]);
+        if (!hit) continue;
+
+        const point = { ...hit, column: u };
+        if (attributes) {
+            point.intensity = attributes.intensities?.[i];
+            point.width = attributes.widths?.[i];
         }
+        points.push(point);
     }
 
     return points;
@@ -0,0 +1,100 @@
+/**
+ * Waterfall — a range image of a run of profiles: one row per profile and
+ * one column per sensor column (or bin of columns), holding the height,
+ * intensity and class of the points there. Built in the worker and drawn
+ * by WaterfallView.
+ *
+ * Pixels without a return hold NaN height, zero intensity and class 0.
+ */
+
+import { EXPORT_CLASS } from './pointExport.js';
+
+export const WATERFALL_MODES = [
+    { value: 'height', label: 'Height' },
+    { value: 'intensity', label: 'Intensity' },
+    { value: 'class', label: 'Classification' },
+];
+
+export const DEFAULT_WATERFALL_SETTINGS = {
+    profileCount: 2000,
+    binSize: 4, // sensor columns per image column
+};
+
+/**
+ * @typedef {Object} Waterfall
+ * @property {number} start - Profile index of the first row
+ * @property {number} rows - Profiles in the image
+ * @property {number} width - Image columns
+ * @property {number} binSize - Sensor columns per image column
+ * @property {Float32Array} z - Mean Z per pixel (mm), NaN without a return
+ * @property {Uint8Array} intensity - Strongest return per pixel
+ * @property {Uint8Array} classes - Highest EXPORT_CLASS code per pixel (features over pipe over seabed), 0 = none
+ * @property {number} zMin - Range of Z over the image (mm)
+ * @property {number} zMax
+ */
+
+/**
+ * An empty waterfall for `rows` profiles.
+ *
+ * @param {number} start
+ * @param {number} rows
+ * @param {number} sensorColumns - Columns per profile (header.pointsPerProfile)
+ * @param {number} binSize
+ * @returns {Waterfall}
+ */
+export function createWaterfall(start, rows, sensorColumns, binSize) {
+    const width = Math.ceil(sensorColumns / binSize);
+    return {
+        start,
+        rows,
+        width,
+        binSize,
+        z: new Float32Array(rows * width).fill(NaN),
+        intensity: new Uint8Array(rows * width),
+        classes: new Uint8Array(rows * width),
+        zMin: Infinity,
+        zMax: -Infinity,
+    };
+}
+
+/**
+ * Fill one row from a processed profile. Points need their source
+ * `column` (see profilePipeline.js).
+ *
+ * @param {Waterfall} waterfall
+ * @param {number} row
+ * @param {{ column: number, z: number, intensity?: number }[]} points
+ * @param {Uint8Array} classes - EXPORT_CLASS code per point (classifyExportPoints)
+ */
+export function addWaterfallRow(waterfall, row, points, classes) {
+    const { width, binSize } = waterfall;
+    const offset = row * width;
+    const sums = new Float64Array(width);
+    const counts = new Uint16Array(width);
+
+    points.forEach((p, i) => {
+        const col = Math.floor(p.column / binSize);
+        if (!(col >= 0 && col < width) || !Number.isFinite(p.z)) return;
+        sums[col] += p.z;
+        counts[col]++;
+        if ((p.intensity || 0) > waterfall.intensity[offset + col]) waterfall.intensity[offset + col] = p.intensity;
+        if (classes[i] > waterfall.classes[offset + col]) waterfall.classes[offset + col] = classes[i];
+    });
+
+    for (let col = 0; col < width; col++) {
+        if (counts[col] === 0) continue;
+        const z = sums[col] / counts[col];
+        waterfall.z[offset + col] = z;
+        if (z < waterfall.zMin) waterfall.zMin = z;
+        if (z > waterfall.zMax) waterfall.zMax = z;
+    }
+}
+
+/** Display colour per class code, matching the 3D viewer */
+export const WATERFALL_CLASS_COLORS = {
+    [EXPORT_CLASS.SEABED]: [59, 130, 246],
+    [EXPORT_CLASS.PIPE]: [34, 197, 94],
+    [EXPORT_CLASS.ANODE]: [251, 146, 60],
+    [EXPORT_CLASS.ROCK]: [239, 68, 68],
+    [EXPORT_CLASS.FEATURE]: [232, 121, 249],
+};
@@ -0,0 +1,380 @@
+/**
+ * Bin Worker — parses .bin files and runs the profile pipeline off the
+ * main thread.
+ *
+ * Message protocol (main → worker), every request carries a unique `id`:
+ *   { id, type: 'open', file }                 Index a File; replaces the open file
+ *   { id, type: 'getProfile', index }          Decode one raw profile
+ *   { id, type: 'process', index, options }    Decode + processProfile (see profilePipeline.js)
+ *   { id, type: 'assemble', start, count, options, spacing }
+ *                                              Process a run of profiles and stack them along-track
+ *   { id, type: 'export', start, count, options, format, featureOptions, nav, mounting }
+ *                                              Process a run of profiles and encode them for export;
+ *                                              file chunks are sent as partials
+ *   { id, type: 'track', start, count, options, tracking }
+ *                                              Detect the pipe in a run of profiles and track it along-track
+ *   { id, type: 'batch', start, count, options, featureOptions, tracking, burial, seabed }
+ *                                              Process a run of profiles with pipe tracking, feature
+ *                                              detection, burial and trench analysis; result rows are
+ *                                              sent as partials
+ *   { id, type: 'waterfall', start, count, options, featureOptions, binSize }
+ *                                              Process a run of profiles into a range image of height,
+ *                                              intensity and class per sensor column (see waterfall.js)
+ *   { id, type: 'calibrate', profileIndices, target, params, fitKeys, quality }
+ *                                              Fit laser system parameters to scans of a known target
+ *   { id, type: 'cancel', target }             Cancel the request with id `target`
+ *   { id, type: 'close' }                      Drop the open file
+ *
+ * Replies (worker → main), tagged with the request id:
+ *   { id, type: 'progress', progress }         Work done so far
+ *   { id, type: 'partial', payload }           Intermediate result, more will follow
+ *   { id, type: 'result', payload }            Final result, the request is finished
+ *   { id, type: 'cancelled' }                  The request was cancelled
+ *   { id, type: 'error', message }             The request failed
+ */
+
+import { blobByteReader, indexBinFile, createBinFileSource, getAcquisitionTime } from '../utils/binParser.js';
+import { processProfile } from '../utils/profilePipeline.js';
+import { computeAlongTrackPositions, assembleProfiles } from '../utils/profileAssembly.js';
+import { detectFeatures, measureFreespanGap } from '../utils/featureDetection.js';
+import { interpolateNav, georeferencePoints } from '../utils/navigation.js';
+import { createPointEncoder, classifyExportPoints } from '../utils/pointExport.js';
+import { selectCalibrationPixels, calibrateLaserSystem } from '../utils/calibration.js';
+import { createMultiPipeTracker, pipeTracks, trackSegments, trackedPipeResult } from '../utils/pipeTracking.js';
+import { createBatchRow, summarizeBurial, summarizeTrench } from '../utils/batchProcessing.js';
+import { analyzeBurial } from '../utils/burialAnalysis.js';
+import { analyzeSeabed } from '../utils/seabedModel.js';
+import { createWaterfall, addWaterfallRow } from '../utils/waterfall.js';
+
+const READ_BATCH = 50; // profiles decoded per read in range jobs
+
+let source = null;
+const jobs = new Map(); // request id → AbortController
+
+function post(id, type, extra = {}) {
+    self.postMessage({ id, type, ...extra });
+}
+
+function fileSummary(index) {
+    return { header: index.header, profileCount: index.profileCount, fileSize: index.fileSize };
+}
+
+// Nominal radius of the main line, which features are detected on
+function mainRadius(options) {
+    return options.pipe ? options.pipe.diameters[0] / 2 : null;
+}
+
+function requireSource() {
+    if (!source) throw new Error('No file is open.');
+    return source;
+}
+
+async function handleOpen(id, file, signal) {
+    const fileReader = blobByteReader(file);
+    let lastPartialCount = 0;
+
+    const index = await indexBinFile(fileReader, {
+        signal,
+        onProgress: ({ bytesRead, totalBytes, profileCount, index: partialIndex }) => {
+            post(id, 'progress', { progress: { bytesRead, totalBytes, profileCount } });
+
+            // Make the profiles indexed so far browsable while the rest of the file is scanned
+            if (profileCount > lastPartialCount && bytesRead < totalBytes) {
+                lastPartialCount = profileCount;
+                source = createBinFileSource(fileReader, {
+                    ...partialIndex,
+                    offsets: partialIndex.offsets.slice()
+                });
+                post(id, 'partial', { payload: fileSummary(partialIndex) });
+            }
+        }
+    });
+
+    if (index.profileCount === 0) {
+        throw new Error('No complete profiles found in file.');
+    }
+
+    source = createBinFileSource(fileReader, index);
+    return fileSummary(index);
+}
+
+async function handleProcess(index, options, signal) {
+    const profile = await requireSource().getProfile(index);
+    if (!profile) throw new Error(`Profile ${index} is out of range.`);
+    if (signal.aborted) return null;
+
+    const { points, pipeResult, pipeResults } = processProfile(profile, options);
+    return { profile, points, pipeResult, pipeResults };
+}
+
+async function handleAssemble(id, { start, count, options, spacing }, signal) {
+    const src = requireSource();
+    const end = Math.min(src.profileCount, start + count);
+    const frames = [];
+    const times = [];
+    let prevResults = [];
+
+    for (let batchStart = start; batchStart < end; batchStart += READ_BATCH) {
+        if (signal.aborted) return null;
+        const profiles = await src.getProfiles(batchStart, Math.min(READ_BATCH, end - batchStart));
+
+        for (const profile of profiles) {
+            // Chain pipe results so the RANSAC window follows each pipe along the run
+            const pipe = options.pipe ? { ...options.pipe, prevResults } : null;
+            const { points, pipeResult, pipeResults } = processProfile(profile, { ...options, pipe });
+            prevResults = pipeResults.map((r, id) => r || prevResults[id] || null);
+
+            frames.push({ index: profile.index, points, pipeResult });
+            times.push(getAcquisitionTime(profile.comment));
+        }
+        post(id, 'progress', { progress: { done: frames.length, total: end - start } });
+    }
+
+    const trackPositions = computeAlongTrackPositions(times, spacing);
+    const assembly = assembleProfiles(frames, trackPositions);
+    return { ...assembly, spacing, trackLength: trackPositions[trackPositions.length - 1] || 0 };
+}
+
+async function handleExport(id, { start, count, options, format, featureOptions, nav, mounting }, signal) {
+    const src = requireSource();
+    const end = Math.min(src.profileCount, start + count);
+    const encoder = createPointEncoder(format, { units: nav ? 'm' : 'mm' });
+    let prevResults = [];
+    let done = 0;
+    let pointCount = 0;
+    let unreferenced = 0; // profiles dropped for lack of a nav fix
+
+    post(id, 'partial', { payload: { data: encoder.begin(), mode: 'create' } });
+
+    for (let batchStart = start; batchStart < end; batchStart += READ_BATCH) {
+        if (signal.aborted) return null;
+        const profiles = await src.getProfiles(batchStart, Math.min(READ_BATCH, end - batchStart));
+        const frames = [];
+
+        for (const profile of profiles) {
+            const pipe = options.pipe ? { ...options.pipe, prevResults } : null;
+            const { points, pipeResult, pipeResults } = processProfile(profile, { ...options, pipe });
+            prevResults = pipeResults.map((r, id) => r || prevResults[id] || null);
+
+            const features = featureOptions ? await detectFeatures(points, { ...featureOptions, pipeResult, nominalRadius: mainRadius(options) }) : [];
+            const classes = classifyExportPoints(points, pipeResult, features);
+            const time = getAcquisitionTime(profile.comment);
+
+            if (nav) {
+                const fix = interpolateNav(nav, time);
+                if (!fix) {
+                    unreferenced++;
+                    continue;
+                }
+                frames.push({ index: profile.index, time, points: georeferencePoints(points, fix, mounting), classes });
+            } else {
+                frames.push({ index: profile.index, time, points, classes });
+            }
+            pointCount += points.length;
+        }
+
+        done += profiles.length;
+        post(id, 'partial', { payload: { data: encoder.encode(frames), mode: 'append' } });
+        post(id, 'progress', { progress: { done, total: end - start } });
+    }
+
+    return { header: encoder.finish(), pointCount, profileCount: done - unreferenced, unreferenced };
+}
+
+async function handleTrack(id, { start, count, options, tracking }, signal) {
+    if (!options.pipe) throw new Error('Pipe detection is disabled.');
+    const src = requireSource();
+    const end = Math.min(src.profileCount, start + count);
+    const tracker = createMultiPipeTracker(options.pipe.diameters.length, tracking);
+    let done = 0;
+
+    for (let batchStart = start; batchStart < end; batchStart += READ_BATCH) {
+        if (signal.aborted) return null;
+        const profiles = await src.getProfiles(batchStart, Math.min(READ_BATCH, end - batchStart));
+
+        for (const profile of profiles) {
+            // The RANSAC windows follow the trackers' predictions rather than the last detections
+            const pipe = { ...options.pipe, prevResults: tracker.predict() };
+            const { pipeResults } = processProfile(profile, { ...options, pipe });
+            tracker.update(profile.index, pipeResults);
+        }
+
+        done += profiles.length;
+        post(id, 'progress', { progress: { done, total: end - start } });
+    }
+
+    return pipeTracks(start, options.pipe.diameters, tracker.finish());
+}
+
+async function handleBatch(id, { start, count, options, featureOptions, tracking, burial, seabed }, signal) {
+    const src = requireSource();
+    const end = Math.min(src.profileCount, start + count);
+    const tracker = options.pipe ? createMultiPipeTracker(options.pipe.diameters.length, tracking) : null;
+    let done = 0;
+
+    for (let batchStart = start; batchStart < end; batchStart += READ_BATCH) {
+        if (signal.aborted) return null;
+        const profiles = await src.getProfiles(batchStart, Math.min(READ_BATCH, end - batchStart));
+        const rows = [];
+
+        for (const profile of profiles) {
+            const pipe = options.pipe ? { ...options.pipe, prevResults: tracker.predict() } : null;
+            const { points, pipeResult, pipeResults } = processProfile(profile, { ...options, pipe });
+
+            // Features are found around the tracked main line, so a missed or
+            // stray fit does not lose the anodes on that profile
+            const entry = tracker ? tracker.update(profile.index, pipeResults)[0] : null;
+            const featurePipe = trackedPipeResult(entry, pipeResult);
+            const features = featureOptions && points.length >= 10
+                ? await detectFeatures(points, { ...featureOptions, pipeResult: featurePipe, nominalRadius: mainRadius(options) })
+                : [];
+            // Coasting profiles wait for the smoothed track, see below
+            const deferred = entry?.status === 'coasting';
+            const profileBurial = deferred ? null : analyzeBurial(points, featurePipe, burial);
+            const profileSeabed = deferred ? null : analyzeSeabed(points, featurePipe, features, seabed);
+            const freespan = featureOptions && featurePipe ? measureFreespanGap(points, featurePipe) : null;
+
+            rows.push(createBatchRow(
+                profile.index, getAcquisitionTime(profile.comment), points, pipeResult, features, profileBurial, profileSeabed,
+                freespan?.gap ?? null
+            ));
+        }
+
+        done += profiles.length;
+        post(id, 'partial', { payload: { rows } });
+        post(id, 'progress', { progress: { done, total: end - start } });
+    }
+
+    if (!tracker) return { track: null, updates: [] };
+    const tracks = pipeTracks(start, options.pipe.diameters, tracker.finish());
+    const { track } = tracks.pipes[0];
+
+    // Profiles without an accepted detection are measured against the
+    // smoothed track (coasting) or the interpolated one (bridged gaps);
+    // features are not searched for again, so their points count as seabed
+    const updates = [];
+    for (const gap of trackSegments(track).filter(s => s.status === 'coasting' || s.status === 'interpolated')) {
+        for (let batchStart = gap.start; batchStart <= gap.end; batchStart += READ_BATCH) {
+            if (signal.aborted) return null;
+            const profiles = await src.getProfiles(batchStart, Math.min(READ_BATCH, gap.end + 1 - batchStart));
+            for (const profile of profiles) {
+                const { points } = processProfile(profile, { ...options, pipe: null });
+                const pipe = trackedPipeResult(track[profile.index - start], null);
+                updates.push({
+                    index: profile.index,
+                    burial: summarizeBurial(analyzeBurial(points, pipe, burial)),
+                    trench: summarizeTrench(analyzeSeabed(points, pipe, [], seabed)),
+                });
+            }
+        }
+    }
+
+    return { track: tracks, updates };
+}
+
+async function handleWaterfall(id, { start, count, options, featureOptions, binSize }, signal) {
+    const src = requireSource();
+    const end = Math.min(src.profileCount, start + count);
+    const waterfall = createWaterfall(start, end - start, src.header.pointsPerProfile, binSize);
+    let prevResults = [];
+    let done = 0;
+
+    for (let batchStart = start; batchStart < end; batchStart += READ_BATCH) {
+        if (signal.aborted) return null;
+        const profiles = await src.getProfiles(batchStart, Math.min(READ_BATCH, end - batchStart));
+
+        for (const profile of profiles) {
+            const pipe = options.pipe ? { ...options.pipe, prevResults } : null;
+            const { points, pipeResult, pipeResults } = processProfile(profile, { ...options, pipe });
+            prevResults = pipeResults.map((r, id) => r || prevResults[id] || null);
+
+            const features = featureOptions && points.length >= 10
+                ? await detectFeatures(points, { ...featureOptions, pipeResult, nominalRadius: mainRadius(options) })
+                : [];
+            addWaterfallRow(waterfall, profile.index - start, points, classifyExportPoints(points, pipeResult, features));
+        }
+
+        done += profiles.length;
+        post(id, 'progress', { progress: { done, total: end - start } });
+    }
+
+    return waterfall;
+}
+
+async function handleCalibrate(id, { profileIndices, target, params, fitKeys, quality }, signal) {
+    const src = requireSource();
+    const samples = [];
+    const missing = []; // profiles where the target was not found
+
+    for (const index of profileIndices) {
+        if (signal.aborted) return null;
+        const profile = await src.getProfile(index);
+        const sample = profile && selectCalibrationPixels(profile, target, params, quality);
+        if (sample && sample.pixelColumns.length > 0) samples.push(sample);
+        else missing.push(index);
+    }
+
+    const result = await calibrateLaserSystem(samples, target, params, fitKeys, {
+        signal,
+        onIteration: (state) => post(id, 'progress', { progress: state })
+    });
+    return { ...result, missing };
+}
+
+async function handleRequest(message, signal) {
+    switch (message.type) {
+        case 'open':
+            return handleOpen(message.id, message.file, signal);
+        case 'getProfile':
+            return requireSource().getProfile(message.index);
+        case 'process':
+            return handleProcess(message.index, message.options, signal);
+        case 'assemble':
+            return handleAssemble(message.id, message, signal);
+        case 'export':
+            return handleExport(message.id, message, signal);
+        case 'track':
+            return handleTrack(message.id, message, signal);
+        case 'batch':
+            return handleBatch(message.id, message, signal);
+        case 'waterfall':
+            return handleWaterfall(message.id, message, signal);
+        case 'calibrate':
+            return handleCalibrate(message.id, message, signal);
+        case 'close':
+            source = null;
+            return null;
+        default:
+            throw new Error(`Unknown request type: ${message.type}`);
+    }
+}
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'cancel') {
+        jobs.get(message.target)?.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    jobs.set(message.id, controller);
+
+    try {
+        const payload = await handleRequest(message, controller.signal);
+        if (controller.signal.aborted) {
+            post(message.id, 'cancelled');
+        } else {
+            post(message.id, 'result', { payload });
+        }
+    } catch (err) {
+        if (err.name === 'AbortError' || controller.signal.aborted) {
+            post(message.id, 'cancelled');
+        } else {
+            console.error(`[worker] ${message.type} failed:`, err);
+            post(message.id, 'error', { message: err.message });
+        }
+    } finally {
+        jobs.delete(message.id);
+    }
+};
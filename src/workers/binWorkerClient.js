@@ -0,0 +1,121 @@
+/**
+ * Bin Worker Client — promise-based wrapper around binWorker.js.
+ *
+ * Every call returns a job `{ promise, cancel }`. The promise resolves with
+ * the worker's final result and rejects with an AbortError when the job is
+ * cancelled. Progress and partial results are delivered through the
+ * optional `onProgress` / `onPartial` handlers.
+ */
+
+/**
+ * @typedef {Object} WorkerJob
+ * @property {Promise<any>} promise - Settles when the worker finishes the request
+ * @property {() => void} cancel - Ask the worker to stop; the promise rejects with an AbortError
+ */
+
+/**
+ * @typedef {Object} JobHandlers
+ * @property {(progress: object) => void} [onProgress]
+ * @property {(payload: object) => void} [onPartial]
+ */
+
+function abortError() {
+    const err = new Error('Request cancelled.');
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * Start the parser worker.
+ *
+ * @returns {{
+ *   openFile: (file: File, handlers?: JobHandlers) => WorkerJob,
+ *   getProfile: (index: number) => WorkerJob,
+ *   processProfile: (index: number, options: import('../utils/profilePipeline.js').PipelineOptions) => WorkerJob,
+ *   assembleProfiles: (start: number, count: number, options: object, spacing: object, handlers?: JobHandlers) => WorkerJob,
+ *   exportProfiles: (start: number, count: number, options: object, exportOptions: object, handlers?: JobHandlers) => WorkerJob,
+ *   trackPipe: (start: number, count: number, options: object, tracking: object, handlers?: JobHandlers) => WorkerJob,
+ *   processAll: (start: number, count: number, options: object, featureOptions: object|null, tracking: object, burial: object, seabed: object, handlers?: JobHandlers) => WorkerJob,
+ *   buildWaterfall: (start: number, count: number, options: object, featureOptions: object|null, binSize: number, handlers?: JobHandlers) => WorkerJob,
+ *   calibrate: (profileIndices: number[], target: object, params: object, fitKeys: string[], quality: object|null, handlers?: JobHandlers) => WorkerJob,
+ *   closeFile: () => WorkerJob,
+ *   terminate: () => void
+ * }}
+ */
+export function createBinWorkerClient() {
+    const worker = new Worker(new URL('./binWorker.js', import.meta.url), { type: 'module' });
+    const pending = new Map(); // id → { resolve, reject, handlers }
+    let nextId = 1;
+
+    worker.onmessage = (e) => {
+        const { id, type } = e.data;
+        const entry = pending.get(id);
+        if (!entry) return;
+
+        switch (type) {
+            case 'progress':
+                entry.handlers.onProgress?.(e.data.progress);
+                break;
+            case 'partial':
+                entry.handlers.onPartial?.(e.data.payload);
+                break;
+            case 'result':
+                pending.delete(id);
+                entry.resolve(e.data.payload);
+                break;
+            case 'cancelled':
+                pending.delete(id);
+                entry.reject(abortError());
+                break;
+            case 'error':
+                pending.delete(id);
+                entry.reject(new Error(e.data.message));
+                break;
+            default:
+                break;
+        }
+    };
+
+    worker.onerror = (e) => {
+        console.error('Bin worker error:', e.message);
+    };
+
+    const request = (type, payload = {}, handlers = {}) => {
+        const id = nextId++;
+        const promise = new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject, handlers });
+        });
+        worker.postMessage({ id, type, ...payload });
+
+        return {
+            promise,
+            cancel: () => {
+                if (pending.has(id)) worker.postMessage({ id: nextId++, type: 'cancel', target: id });
+            }
+        };
+    };
+
+    return {
+        openFile: (file, handlers) => request('open', { file }, handlers),
+        getProfile: (index) => request('getProfile', { index }),
+        processProfile: (index, options) => request('process', { index, options }),
+        assembleProfiles: (start, count, options, spacing, handlers) =>
+            request('assemble', { start, count, options, spacing }, handlers),
+        exportProfiles: (start, count, options, exportOptions, handlers) =>
+            request('export', { start, count, options, ...exportOptions }, handlers),
+        trackPipe: (start, count, options, tracking, handlers) =>
+            request('track', { start, count, options, tracking }, handlers),
+        processAll: (start, count, options, featureOptions, tracking, burial, seabed, handlers) =>
+            request('batch', { start, count, options, featureOptions, tracking, burial, seabed }, handlers),
+        buildWaterfall: (start, count, options, featureOptions, binSize, handlers) =>
+            request('waterfall', { start, count, options, featureOptions, binSize }, handlers),
+        calibrate: (profileIndices, target, params, fitKeys, quality, handlers) =>
+            request('calibrate', { profileIndices, target, params, fitKeys, quality }, handlers),
+        closeFile: () => request('close'),
+        terminate: () => {
+            worker.terminate();
+            pending.forEach(entry => entry.reject(abortError()));
+            pending.clear();
+        }
+    };
+}
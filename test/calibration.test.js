@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTriangulator } from '../src/utils/triangulation.js';
+import { DEFAULT_PARAMS } from '../src/utils/configProfiles.js';
+import {
+    selectCalibrationPixels, calibrationResiduals, calibrateLaserSystem, DEFAULT_FIT_KEYS
+} from '../src/utils/calibration.js';
+
+// The laser system the scans are taken with; fits start from DEFAULT_PARAMS
+const TRUE_PARAMS = { ...DEFAULT_PARAMS, laserY: 600, laserPitch: -20, camPitch: 1, camRoll: 0.5 };
+
+const PIPE = { type: 'pipe', diameter: 500 };
+const PLATE = { type: 'plate', range: 1500 };
+const SEABED_Z = 1750;
+
+// Pipe lying on the seabed, as sensor Z (mm) at each X
+const pipeOnSeabed = (cx) => (x) => {
+    const dx = x - cx, radius = PIPE.diameter / 2;
+    return Math.abs(dx) < radius ? SEABED_Z - radius - Math.sqrt(radius * radius - dx * dx) : SEABED_Z;
+};
+
+/**
+ * The profile a sensor with `params` records of a surface: in every other
+ * column, the row whose laser point lies on it.
+ *
+ * @param {number} index
+ * @param {object} params
+ * @param {(x: number) => number} surface - Sensor Z (mm) at each X
+ * @returns {import('../src/utils/binParser.js').LaserProfile}
+ */
+function scan(index, params, surface) {
+    const triangulate = createTriangulator(params);
+    const columns = 2048, rows = 1152;
+    const profile = {
+        index,
+        comment: null,
+        rawComment: '',
+        yOffsets: new Float32Array(columns),
+        intensities: new Uint8Array(columns),
+        widths: new Uint8Array(columns),
+        validCount: 0,
+        startOffset: 0,
+    };
+
+    // Depth below the surface along a column; it rises with the row
+    const below = (u, v) => {
+        const p = triangulate(u, v);
+        return p ? p.z - surface(p.x) : -Infinity;
+    };
+
+    for (let u = 0; u < columns; u += 2) {
+        let lo = 0, hi = rows - 1;
+        if (!(below(u, lo) < 0 && below(u, hi) > 0)) continue;
+        for (let k = 0; k < 40; k++) {
+            const mid = (lo + hi) / 2;
+            if (below(u, mid) < 0) lo = mid;
+            else hi = mid;
+        }
+        profile.yOffsets[u] = (lo + hi) / 2;
+        profile.intensities[u] = 200;
+        profile.widths[u] = 3;
+        profile.validCount++;
+    }
+    return profile;
+}
+
+test('selectCalibrationPixels keeps the pipe pixels and leaves out the seabed', () => {
+    const profile = scan(0, TRUE_PARAMS, pipeOnSeabed(0));
+    const sample = selectCalibrationPixels(profile, PIPE, DEFAULT_PARAMS);
+    assert.ok(sample);
+    assert.equal(sample.index, 0);
+    assert.ok(sample.pixelColumns.length > 200, `${sample.pixelColumns.length} pixels`);
+
+    const triangulate = createTriangulator(TRUE_PARAMS);
+    for (let i = 0; i < sample.pixelColumns.length; i++) {
+        const p = triangulate(sample.pixelColumns[i], sample.pixelRows[i]);
+        assert.ok(p.z < SEABED_Z - 1, `column ${sample.pixelColumns[i]} is on the seabed`);
+    }
+});
+
+// Three pipe profiles, the pipe passing from port to starboard
+const pipeSamples = () => [-150, 0, 150].map((cx, i) =>
+    selectCalibrationPixels(scan(i, TRUE_PARAMS, pipeOnSeabed(cx)), PIPE, DEFAULT_PARAMS));
+
+test('the residuals vanish for the parameters the scans were taken with', () => {
+    const samples = pipeSamples();
+    const rms = (r) => Math.sqrt(r.reduce((sum, v) => sum + v * v, 0) / r.length);
+    assert.ok(rms(calibrationResiduals(samples, PIPE, TRUE_PARAMS)) < 1e-3);
+    assert.ok(rms(calibrationResiduals(samples, PIPE, DEFAULT_PARAMS)) > 1);
+});
+
+test('calibrateLaserSystem recovers the laser and camera angles from pipe scans', async () => {
+    const samples = pipeSamples();
+    const result = await calibrateLaserSystem(samples, PIPE, DEFAULT_PARAMS, DEFAULT_FIT_KEYS);
+    assert.equal(result.converged, true);
+    assert.ok(result.rms < 1e-3, `rms ${result.rms}`);
+    for (const { key, initial, value } of result.fitted) {
+        assert.equal(initial, DEFAULT_PARAMS[key]);
+        assert.ok(Math.abs(value - TRUE_PARAMS[key]) < 1e-3, `${key} ${value}`);
+        assert.equal(result.params[key], value);
+    }
+    assert.ok(result.samples.every(s => Math.abs(s.radiusError) < 1e-3));
+});
+
+test('calibrateLaserSystem recovers the laser offset and camera roll from a plate scan', async () => {
+    const truth = { ...DEFAULT_PARAMS, laserY: 600, camRoll: 0.5 };
+    const samples = [selectCalibrationPixels(scan(0, truth, () => PLATE.range), PLATE, DEFAULT_PARAMS)];
+    const result = await calibrateLaserSystem(samples, PLATE, DEFAULT_PARAMS, ['laserY', 'camRoll']);
+    assert.equal(result.converged, true);
+    assert.ok(Math.abs(result.params.laserY - 600) < 1e-3, `laserY ${result.params.laserY}`);
+    assert.ok(Math.abs(result.params.camRoll - 0.5) < 1e-4, `camRoll ${result.params.camRoll}`);
+    assert.equal(result.samples[0].radiusError, null);
+});
+
+test('calibrateLaserSystem needs parameters to fit and profiles with the target', async () => {
+    const samples = [selectCalibrationPixels(scan(0, TRUE_PARAMS, () => PLATE.range), PLATE, DEFAULT_PARAMS)];
+    await assert.rejects(calibrateLaserSystem(samples, PLATE, DEFAULT_PARAMS, []), /at least one parameter/);
+    await assert.rejects(calibrateLaserSystem([], PLATE, DEFAULT_PARAMS, ['laserY']), /No calibration profiles/);
+});
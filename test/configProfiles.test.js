@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG_VERSION, CONFIG_DEFAULTS, createConfig, validateConfig, findConfigForSerial } from '../src/utils/configProfiles.js';
+
+test('a created configuration validates back to itself', () => {
+    const config = createConfig(' ROV 1 ', { ...CONFIG_DEFAULTS, pipeDiameters: [500, 120] }, ['SN-1 ', '']);
+    assert.equal(config.name, 'ROV 1');
+    assert.deepEqual(config.sensorSerials, ['SN-1']);
+    assert.deepEqual(validateConfig(JSON.parse(JSON.stringify(config)), CONFIG_DEFAULTS), config);
+});
+
+test('missing sections are filled from the defaults', () => {
+    const config = validateConfig({ name: 'Partial', params: { focalLength: 16 } }, CONFIG_DEFAULTS);
+    assert.equal(config.version, CONFIG_VERSION);
+    assert.equal(config.params.focalLength, 16);
+    assert.equal(config.params.pixelSize, CONFIG_DEFAULTS.params.pixelSize);
+    assert.deepEqual(config.pipeDiameters, CONFIG_DEFAULTS.pipeDiameters);
+    assert.deepEqual(config.quality, CONFIG_DEFAULTS.quality);
+});
+
+test('a single pipeDiameter from older files becomes the diameter list', () => {
+    const config = validateConfig({ version: 1, name: 'Old', pipeDiameter: 324 }, CONFIG_DEFAULTS);
+    assert.deepEqual(config.pipeDiameters, [324]);
+});
+
+test('unusable configurations are rejected', () => {
+    const reject = (data, message) => assert.throws(() => validateConfig(data, CONFIG_DEFAULTS), message);
+    reject([], /JSON object/);
+    reject({ name: ' ' }, /no name/);
+    reject({ name: 'New', version: CONFIG_VERSION + 1 }, /newer version/);
+    reject({ name: 'Empty', pipeDiameters: [] }, /non-empty list/);
+    reject({ name: 'Negative', pipeDiameters: [500, -1] }, /positive numbers/);
+    reject({ name: 'Text', params: { focalLength: '24' } }, /params\.focalLength/);
+});
+
+test('findConfigForSerial matches serial numbers without regard to case', () => {
+    const configs = [createConfig('A', CONFIG_DEFAULTS, ['sn-1']), createConfig('B', CONFIG_DEFAULTS, ['SN-2'])];
+    assert.equal(findConfigForSerial(configs, 'SN-1').name, 'A');
+    assert.equal(findConfigForSerial(configs, 'sn-2').name, 'B');
+    assert.equal(findConfigForSerial(configs, 'SN-3'), null);
+    assert.equal(findConfigForSerial(configs, null), null);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createEvent, updateEvent, commentEvent, mergeEvents, filterEvents, findDetectionEvent, newDetectionEvents
+} from '../src/utils/eventStore.js';
+
+const ANODE = { type: 'Anode', confidence: 0.9, xMin: 10, xMax: 60, zMin: 1240, zMax: 1260 };
+
+test('a detection seen again is matched to its event, even if it moved a little', () => {
+    const [event] = newDetectionEvents([], [{ feature: ANODE, profile: 3, time: 1000 }]);
+    assert.equal(event.status, 'auto');
+    assert.deepEqual(event.bounds, { xMin: 10, xMax: 60, zMin: 1240, zMax: 1260 });
+
+    const moved = { ...ANODE, xMin: 10.6, xMax: 61 };
+    assert.deepEqual(newDetectionEvents([event], [{ feature: moved, profile: 3, time: 1000 }]), []);
+    assert.equal(findDetectionEvent([event], 3, moved), event);
+});
+
+test('detections on another profile, of another type or elsewhere get their own event', () => {
+    const events = newDetectionEvents([], [{ feature: ANODE, profile: 3, time: null }]);
+    const created = newDetectionEvents(events, [
+        { feature: ANODE, profile: 4, time: null },
+        { feature: { ...ANODE, type: 'Rock' }, profile: 3, time: null },
+        { feature: { ...ANODE, xMin: 200, xMax: 240 }, profile: 3, time: null },
+    ]);
+    assert.equal(created.length, 3);
+    assert.equal(new Set([...events, ...created].map(e => e.id)).size, 4);
+});
+
+test('overlapping detections in one batch give one event', () => {
+    const created = newDetectionEvents([], [
+        { feature: ANODE, profile: 3, time: null },
+        { feature: { ...ANODE, xMin: 30 }, profile: 3, time: null },
+    ]);
+    assert.equal(created.length, 1);
+});
+
+test('mergeEvents replaces events by id and keeps profile order', () => {
+    const a = createEvent({ type: 'Rock', profile: 5, bounds: { xMin: 0, xMax: 1, zMin: 0, zMax: 1 } });
+    const b = createEvent({ type: 'Dent', profile: 2, bounds: { xMin: 0, xMax: 1, zMin: 0, zMax: 1 } });
+    const reviewed = updateEvent(a, { status: 'accepted' });
+
+    const merged = mergeEvents([a, b], [reviewed]);
+    assert.deepEqual(merged.map(e => e.id), [b.id, a.id]);
+    assert.equal(merged[1].status, 'accepted');
+});
+
+test('retyping marks an event edited; comments keep their order', () => {
+    const event = createEvent({ type: 'Rock', profile: 1, bounds: { xMin: 0, xMax: 1, zMin: 0, zMax: 1 } });
+    assert.equal(updateEvent(event, { type: 'Anode' }).status, 'edited');
+    assert.equal(updateEvent(event, { type: 'Anode', status: 'accepted' }).status, 'accepted');
+
+    const commented = commentEvent(commentEvent(event, 'first'), 'second');
+    assert.deepEqual(commented.comments.map(c => c.text), ['first', 'second']);
+    assert.deepEqual(filterEvents([commented, event], { text: 'SECOND' }), [commented]);
+});
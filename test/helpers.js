@@ -0,0 +1,66 @@
+/**
+ * Synthetic profiles for the tests: points in the sensor frame (mm, Z as
+ * depth, increasing downwards) from a seeded generator, so every run sees
+ * the same data.
+ */
+
+import { createRandom } from '../src/utils/random.js';
+
+/**
+ * Seeded normal deviates (Box–Muller).
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createGaussian(seed) {
+    const random = createRandom(seed);
+    return () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Points on the top of a pipe, from -arc to +arc degrees about the crest.
+ *
+ * @param {object} pipe
+ * @param {number} pipe.cx
+ * @param {number} pipe.cz
+ * @param {number} pipe.radius
+ * @param {number} arc - Half the visible arc (degrees)
+ * @param {object} [options]
+ * @param {number} [options.step=0.5] - Angular spacing (degrees)
+ * @param {number} [options.noise=0] - Radial noise σ (mm)
+ * @param {() => number} [options.gaussian]
+ * @param {(theta: number) => number} [options.shape] - Radius change at an angle (radians), for oval pipes
+ * @returns {{ x: number, z: number }[]}
+ */
+export function pipeArc({ cx, cz, radius }, arc, options = {}) {
+    const { step = 0.5, noise = 0, gaussian = createGaussian(1), shape = () => 0 } = options;
+    const points = [];
+    for (let deg = -arc; deg <= arc + 1e-9; deg += step) {
+        const theta = (deg * Math.PI) / 180;
+        const r = radius + shape(theta) + noise * gaussian();
+        points.push({ x: cx + r * Math.sin(theta), z: cz - r * Math.cos(theta) });
+    }
+    return points;
+}
+
+/**
+ * A profile of a pipe whose top `arc` degrees stand above a flat seabed.
+ *
+ * @param {number} arc - Half the visible arc (degrees)
+ * @param {number} seabedZ - Seabed level
+ * @param {object} [options]
+ * @param {number} [options.radius=250]
+ * @param {number} [options.cz=1500]
+ * @param {number} [options.noise=0.5]
+ * @returns {{ x: number, z: number }[]}
+ */
+export function pipeOnSeabed(arc, seabedZ, { radius = 250, cz = 1500, noise = 0.5 } = {}) {
+    const gaussian = createGaussian(7);
+    const edge = radius * Math.sin((arc * Math.PI) / 180);
+    const points = [];
+    for (let x = -1000; x <= 1000; x += 2) {
+        const z = Math.abs(x) <= edge ? Math.min(seabedZ, cz - Math.sqrt(radius * radius - x * x)) : seabedZ;
+        points.push({ x, z: z + noise * gaussian() });
+    }
+    return points;
+}
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { levenbergMarquardt } from '../src/utils/leastSquares.js';
+
+// y = a·exp(b·t), sampled without noise
+const T = Array.from({ length: 20 }, (_, i) => i / 4);
+const exponential = ([a, b]) => T.map(t => a * Math.exp(b * t) - 2 * Math.exp(-0.5 * t));
+
+test('levenbergMarquardt converges on a non-linear model', async () => {
+    const result = await levenbergMarquardt(exponential, [1, 0]);
+    assert.equal(result.converged, true);
+    assert.ok(Math.abs(result.x[0] - 2) < 1e-6);
+    assert.ok(Math.abs(result.x[1] + 0.5) < 1e-6);
+    assert.ok(result.rms < 1e-8);
+});
+
+test('levenbergMarquardt reports each iteration', async () => {
+    const seen = [];
+    const result = await levenbergMarquardt(exponential, [1, 0], { onIteration: (state) => seen.push(state.iteration) });
+    assert.equal(seen.length, result.iterations);
+});
+
+test('levenbergMarquardt stops with an AbortError when aborted', async () => {
+    const controller = new AbortController();
+    await assert.rejects(
+        levenbergMarquardt(exponential, [1, 0], {
+            signal: controller.signal,
+            onIteration: () => controller.abort(),
+        }),
+        { name: 'AbortError' }
+    );
+});
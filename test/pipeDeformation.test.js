@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPipe } from '../src/utils/pipeFitting.js';
+import { analyzePipeDeformation } from '../src/utils/pipeDeformation.js';
+import { createGaussian, pipeArc, pipeOnSeabed } from './helpers.js';
+
+test('a round pipe half sunk in a flat seabed shows no ovality', () => {
+    for (const seabedZ of [1400, 1500, 1600]) {
+        const points = pipeOnSeabed(50, seabedZ);
+        const result = analyzePipeDeformation(points, detectPipe(points, 500), { nominalRadius: 250 });
+        assert.ok(result, `seabed at ${seabedZ}`);
+        assert.ok(result.arc > 90 && result.arc < 110, `seabed at ${seabedZ}: arc ${result.arc}`);
+        assert.equal(result.ovality.radius, 'nominal');
+        assert.equal(result.ovality.significant, false, `seabed at ${seabedZ}: ${result.ovality.percent}%`);
+        assert.deepEqual(result.dents, []);
+    }
+});
+
+test('ovality is measured with a free radius on a long arc', () => {
+    // r(θ) = R + 3 cos 2θ, so Dmax − Dmin = 12 mm on a 500 mm pipe
+    const points = pipeArc({ cx: 0, cz: 1500, radius: 250 }, 80, {
+        step: 0.4, noise: 0.5, gaussian: createGaussian(2), shape: (theta) => 3 * Math.cos(2 * theta),
+    });
+    const result = analyzePipeDeformation(points, detectPipe(points, 500));
+    assert.equal(result.ovality.radius, 'fitted');
+    assert.equal(result.ovality.significant, true);
+    assert.ok(Math.abs(result.ovality.percent - 2.4) < 0.3, `ovality ${result.ovality.percent}%`);
+});
+
+test('an inward dent is found where the wall is pushed in', () => {
+    const points = pipeArc({ cx: 0, cz: 1500, radius: 250 }, 60, {
+        noise: 0.3, gaussian: createGaussian(4), shape: (theta) => (Math.abs(theta - 0.3) < 0.08 ? -8 : 0),
+    });
+    const result = analyzePipeDeformation(points, detectPipe(points, 500, { constrainRadius: true }));
+    assert.equal(result.dents.length, 1);
+    assert.ok(Math.abs(result.dents[0].angle - 17) < 5, `dent at ${result.dents[0].angle}°`);
+    assert.ok(result.dents[0].depth > 5);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPipe, fitCircle, fitCircleGeometric } from '../src/utils/pipeFitting.js';
+import { createGaussian, pipeArc } from './helpers.js';
+
+const PIPE = { cx: 40, cz: 1500, radius: 250 };
+
+// ±60° of pipe wall with debris scattered above it, in profile order
+function scene() {
+    const gaussian = createGaussian(5);
+    const points = pipeArc(PIPE, 60, { noise: 1, gaussian });
+    for (let k = 0; k < 40; k++) points.push({ x: -300 + k * 15, z: 1100 + 60 * gaussian() });
+    return points.sort((a, b) => a.x - b.x);
+}
+
+test('detectPipe gives the same result every time for the same points', () => {
+    const points = scene();
+    const first = detectPipe(points, 500);
+    assert.ok(first);
+    for (let run = 0; run < 3; run++) {
+        assert.deepEqual(detectPipe(points, 500), first);
+    }
+});
+
+test('detectPipe finds the pipe whatever the RANSAC seed', () => {
+    const points = scene();
+    for (const seed of [1, 2, 99]) {
+        const result = detectPipe(points, 500, { seed });
+        assert.ok(result, `seed ${seed}`);
+        assert.ok(Math.abs(result.radius - PIPE.radius) < 1, `seed ${seed}: radius ${result.radius}`);
+        assert.ok(Math.abs(result.cx - PIPE.cx) < 1, `seed ${seed}: cx ${result.cx}`);
+    }
+});
+
+test('detectPipe holds the radius when constrained', () => {
+    const points = scene();
+    const result = detectPipe(points, 500, { constrainRadius: true });
+    assert.equal(result.radius, 250);
+    assert.equal(result.constrained, true);
+});
+
+test('the geometric fit is unbiased on a short noisy arc, unlike the algebraic one', () => {
+    const gaussian = createGaussian(3);
+    const trials = 200;
+    let geometric = 0, algebraic = 0;
+    for (let k = 0; k < trials; k++) {
+        const points = pipeArc(PIPE, 40, { step: 1, noise: 3, gaussian });
+        const kasa = fitCircle(points);
+        algebraic += kasa.radius / trials;
+        geometric += fitCircleGeometric(points, kasa).radius / trials;
+    }
+    assert.ok(Math.abs(geometric - PIPE.radius) < 0.5, `geometric mean radius ${geometric}`);
+    assert.ok(algebraic < PIPE.radius - 2, `algebraic mean radius ${algebraic}`);
+});
+
+test('fitCircleGeometric fits the centre only when the radius is given', () => {
+    const points = pipeArc(PIPE, 50, { noise: 1 });
+    const result = fitCircleGeometric(points, { cx: 0, cz: 1450, radius: 240 }, { radius: 250 });
+    assert.equal(result.radius, 250);
+    assert.ok(Math.abs(result.cx - PIPE.cx) < 0.5);
+    assert.ok(Math.abs(result.cz - PIPE.cz) < 0.5);
+});
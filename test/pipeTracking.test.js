@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPipeTracker, trackPipe, fillTrackGaps, trackSegments } from '../src/utils/pipeTracking.js';
+import { createGaussian } from './helpers.js';
+
+// A pipe drifting 0.5 mm per profile across, detected with 3 mm of noise
+function detections(count, { missing = () => false, gaussian = createGaussian(11) } = {}) {
+    return Array.from({ length: count }, (_, index) => ({
+        index,
+        pipeResult: missing(index) ? null : {
+            cx: 0.5 * index + 3 * gaussian(),
+            cz: 1500 + 3 * gaussian(),
+            radius: 250 + gaussian(),
+            rms: 1,
+        },
+    }));
+}
+
+test('the smoothed track follows a drifting pipe more closely than the detections', () => {
+    const input = detections(200);
+    const track = trackPipe(input);
+    assert.ok(track.every(e => e.status === 'tracking'));
+
+    const rms = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+    const trackError = rms(track.map(e => e.cx - 0.5 * e.index));
+    const detectionError = rms(input.map(d => d.pipeResult.cx - 0.5 * d.index));
+    assert.ok(trackError < detectionError / 2, `track ${trackError}, detections ${detectionError}`);
+    assert.ok(track.every(e => Math.abs(e.radius - 250) < 2));
+});
+
+test('a stray detection is rejected and the track coasts through it', () => {
+    const tracker = createPipeTracker();
+    detections(50).forEach(d => tracker.update(d.index, d.pipeResult));
+    const entry = tracker.update(50, { cx: 400, cz: 1300, radius: 250, rms: 1 });
+    assert.equal(entry.status, 'coasting');
+    assert.equal(entry.rejected, true);
+    assert.ok(Math.abs(entry.cx - 25) < 5);
+});
+
+test('the track is lost after maxCoast profiles and gaps are bridged afterwards', () => {
+    const input = detections(100, { missing: (i) => i >= 40 && i < 60 });
+    const track = trackPipe(input, { maxCoast: 5 });
+    assert.deepEqual(
+        trackSegments(track).map(s => [s.status, s.start, s.end]),
+        [['tracking', 0, 39], ['coasting', 40, 44], ['lost', 45, 59], ['tracking', 60, 99]]
+    );
+
+    const filled = fillTrackGaps(track);
+    const bridged = filled.filter(e => e.status === 'interpolated');
+    assert.equal(bridged.length, 15);
+    assert.ok(bridged.every(e => Math.abs(e.cx - 0.5 * e.index) < 5));
+    assert.equal(fillTrackGaps(track, { maxInterpolate: 10 }).filter(e => e.status === 'interpolated').length, 0);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPointEncoder, EXPORT_CLASS } from '../src/utils/pointExport.js';
+
+const FRAME = {
+    index: 7,
+    time: Date.UTC(2024, 0, 1), // 1704067200 s Unix
+    points: [
+        { x: 100, y: 0, z: 1500, intensity: 200, width: 3 },
+        { x: -250.5, y: 20, z: 1620.25, intensity: 10, width: 5 },
+    ],
+    classes: new Uint8Array([EXPORT_CLASS.PIPE, EXPORT_CLASS.SEABED]),
+};
+
+function encodeLas(units) {
+    const encoder = createPointEncoder('las', { units });
+    const head = encoder.begin();
+    const body = encoder.encode([FRAME]);
+    const { data: header, position } = encoder.finish();
+    const file = new Uint8Array(head.length + body.length);
+    file.set(head, 0);
+    file.set(body, head.length);
+    file.set(header, position);
+    return new DataView(file.buffer);
+}
+
+const readString = (view, offset, length) =>
+    String.fromCharCode(...new Uint8Array(view.buffer, offset, length)).replace(/\0.*$/s, '');
+
+function readVlrs(view) {
+    const vlrs = [];
+    let o = view.getUint16(94, true);
+    for (let k = 0; k < view.getUint32(100, true); k++) {
+        const length = view.getUint16(o + 20, true);
+        vlrs.push({ userId: readString(view, o + 2, 16), recordId: view.getUint16(o + 18, true), offset: o + 54, length });
+        o += 54 + length;
+    }
+    return { vlrs, end: o };
+}
+
+test('LAS header declares adjusted GPS time and a WKT coordinate system', () => {
+    const view = encodeLas('mm');
+    assert.equal(readString(view, 0, 4), 'LASF');
+    assert.equal(view.getUint16(6, true), 0x11);
+    assert.equal(view.getUint8(104), 6);
+    assert.equal(view.getBigUint64(247, true), 2n);
+});
+
+test('LAS VLRs hold the extra bytes and a WKT string, and end where the points start', () => {
+    const view = encodeLas('m');
+    const { vlrs, end } = readVlrs(view);
+    assert.deepEqual(vlrs.map(v => [v.userId, v.recordId]), [['LASF_Spec', 4], ['LASF_Projection', 2112]]);
+    assert.equal(end, view.getUint32(96, true));
+
+    const wkt = vlrs[1];
+    assert.match(readString(view, wkt.offset, wkt.length), /^LOCAL_CS\[.*Easting.*\]$/);
+    assert.equal(view.getUint8(wkt.offset + wkt.length - 1), 0);
+});
+
+test('LAS points carry adjusted standard GPS time, metres with Z up, class and profile', () => {
+    const view = encodeLas('mm');
+    const start = view.getUint32(96, true);
+    const recordLength = view.getUint16(105, true);
+    const scale = view.getFloat64(131, true);
+    const offset = [0, 1, 2].map(a => view.getFloat64(155 + a * 8, true));
+
+    const second = start + recordLength;
+    assert.ok(Math.abs(view.getInt32(second, true) * scale + offset[0] + 0.2505) <= scale / 2);
+    assert.ok(Math.abs(view.getInt32(second + 8, true) * scale + offset[2] + 1.62025) <= scale / 2);
+    assert.equal(view.getUint8(second + 16), EXPORT_CLASS.SEABED);
+    assert.equal(view.getUint32(second + 31, true), 7);
+
+    // GPS seconds (leap seconds included since 1980-01-06) minus 10⁹
+    assert.equal(view.getFloat64(start + 22, true), 1704067200 - 315964800 + 18 - 1e9);
+});